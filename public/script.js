@@ -1,41 +1,222 @@
+// Per-player statistics columns of the Game View in display order; labels are stats.<key> in the locale bundles
+const STAT_COLUMNS = [
+    'minutesPlayed',
+    'goals',
+    'assists',
+    'expectedGoals',
+    'expectedAssists',
+    'shots',
+    'shotsOnTarget',
+    'keyPasses',
+    'passes',
+    'accuratePasses',
+    'crosses',
+    'accurateCrosses',
+    'longBalls',
+    'accurateLongBalls',
+    'dribbleAttempts',
+    'successfulDribbles',
+    'touches',
+    'tackles',
+    'interceptions',
+    'clearances',
+    'blockedShots',
+    'duels',
+    'duelsWon',
+    'aerialDuelsWon',
+    'possessionLost',
+    'fouls',
+    'wasFouled',
+    'saves',
+    'goalsPrevented'
+];
+
+// Ranking metrics computed by /api/aggregates; labels are metrics.<metric>
+const RATING_METRICS = ['shrunk', 'minutesWeighted', 'opponentAdjusted', 'average'];
+
+// Per-90 statistics shown for each position in the Position View
+const PER90_COLUMNS = {
+    Forward: ['goals', 'shots', 'keyPasses'],
+    Midfielder: ['keyPasses', 'accuratePasses', 'tackles'],
+    Defender: ['tackles', 'interceptions', 'clearances'],
+    Goalkeeper: ['saves', 'accuratePasses']
+};
+
+// How often the header's scrape schedule is refreshed
+const SCHEDULE_POLL_INTERVAL = 60 * 1000;
+
+// Position groups of the Position View, with the emoji shown before their name
+const POSITION_EMOJIS = {
+    Forward: '⚡',
+    Midfielder: '🔄',
+    Defender: '🛡️',
+    Goalkeeper: '🥅'
+};
+
+// Choices of the Best Formation view's minimum games and form window (0 is every game)
+const MIN_GAMES_OPTIONS = [1, 2, 3, 5];
+const FORM_WINDOW_OPTIONS = [0, 3, 5, 10];
+
+// UI language: the choice is kept in the browser; without one the browser's language, else English
+const LANGUAGE_STORAGE_KEY = 'maribor.language';
+const DEFAULT_LANGUAGE = 'en';
+
+// Pitch layouts for the Best Formation view: lines of slot ids, attack first
+const FORMATIONS = {
+    '4-4-2': [['LF', 'RF'], ['LM', 'LCM', 'RCM', 'RM'], ['LB', 'LCB', 'RCB', 'RB'], ['GK']],
+    '4-3-3': [['LW', 'ST', 'RW'], ['LCM', 'CM', 'RCM'], ['LB', 'LCB', 'RCB', 'RB'], ['GK']],
+    '4-2-3-1': [['ST'], ['LAM', 'CAM', 'RAM'], ['LDM', 'RDM'], ['LB', 'LCB', 'RCB', 'RB'], ['GK']],
+    '3-5-2': [['LF', 'RF'], ['LWB', 'LCM', 'CM', 'RCM', 'RWB'], ['LCB', 'CB', 'RCB'], ['GK']],
+    '3-4-3': [['LW', 'ST', 'RW'], ['LWB', 'LCM', 'RCM', 'RWB'], ['LCB', 'CB', 'RCB'], ['GK']],
+    '5-3-2': [['LF', 'RF'], ['LCM', 'CM', 'RCM'], ['LWB', 'LCB', 'CB', 'RCB', 'RWB'], ['GK']]
+};
+
+// Detailed roles recorded from the lineup (see src/utils/lineup.js); labels are roles.<role>
+const DETAILED_POSITIONS = ['GK', 'CB', 'FB', 'DM', 'CM', 'AM', 'W', 'ST'];
+
+// Each formation slot's position group and the detailed roles that fit it, best fit first
+const SLOT_POSITIONS = {
+    GK: { position: 'Goalkeeper', roles: ['GK'] },
+    LB: { position: 'Defender', roles: ['FB'] },
+    RB: { position: 'Defender', roles: ['FB'] },
+    LCB: { position: 'Defender', roles: ['CB'] },
+    CB: { position: 'Defender', roles: ['CB'] },
+    RCB: { position: 'Defender', roles: ['CB'] },
+    LWB: { position: 'Defender', roles: ['FB', 'W'] },
+    RWB: { position: 'Defender', roles: ['FB', 'W'] },
+    LDM: { position: 'Midfielder', roles: ['DM', 'CM'] },
+    RDM: { position: 'Midfielder', roles: ['DM', 'CM'] },
+    LCM: { position: 'Midfielder', roles: ['CM', 'DM', 'AM'] },
+    CM: { position: 'Midfielder', roles: ['CM', 'DM', 'AM'] },
+    RCM: { position: 'Midfielder', roles: ['CM', 'DM', 'AM'] },
+    LM: { position: 'Midfielder', roles: ['W', 'CM'] },
+    RM: { position: 'Midfielder', roles: ['W', 'CM'] },
+    LAM: { position: 'Midfielder', roles: ['W', 'AM'] },
+    CAM: { position: 'Midfielder', roles: ['AM', 'CM'] },
+    RAM: { position: 'Midfielder', roles: ['W', 'AM'] },
+    LW: { position: 'Forward', roles: ['W', 'ST'] },
+    RW: { position: 'Forward', roles: ['W', 'ST'] },
+    LF: { position: 'Forward', roles: ['ST', 'W'] },
+    ST: { position: 'Forward', roles: ['ST'] },
+    RF: { position: 'Forward', roles: ['ST', 'W'] }
+};
+
+// CSS class of a pitch line, by the position group of its slots
+const LINE_CLASSES = {
+    Goalkeeper: 'goalkeeper',
+    Defender: 'defenders',
+    Midfielder: 'midfielders',
+    Forward: 'forwards'
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Drawing area shared by the Player View charts (SVG viewBox units)
+const CHART = { width: 600, height: 220, left: 35, right: 10, top: 10, bottom: 25 };
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
 class MariborApp {
     constructor() {
         this.games = [];
+        this.teamName = 'NK Maribor';
         this.currentGame = null;
         this.filteredPlayers = [];
+        this.statColumns = [];
+        this.sortColumn = 'rating';
+        this.sortDirection = 'desc';
         this.positionData = {};
+        // Competition id and venue ('home'/'away'); empty means all
+        this.gameFilters = { competition: '', venue: '' };
+        this.positionRequest = 0;
+        this.formationRequest = 0;
         this.bestFormation = {};
+        this.formationRows = [];
+        this.formationCandidates = [];
+        this.formationSettings = { formation: '4-4-2', metric: 'shrunk', minGames: 1, formWindow: 0 };
+        // Player keys (see getPlayerKey) the user forced into or out of the formation
+        this.pinnedPlayers = new Set();
+        this.excludedPlayers = new Set();
         this.currentPage = 'gameView';
+        this.scrapeJobId = null;
+        this.scrapeEvents = null;
+        this.selectedRunId = null;
+        this.config = null;
+        this.scheduleState = null;
+        // UI strings of the chosen language, see setLanguage()
+        this.language = null;
+        this.texts = {};
+        this.dateLocale = 'en-GB';
+        this.pluralRules = new Intl.PluralRules(this.dateLocale);
         
         this.initializeElements();
         this.attachEventListeners();
-        this.loadGames();
+        this.loadLanguages();
+        this.setLanguage(this.getPreferredLanguage()).then(() => {
+            this.loadConfig().then(() => this.loadGames());
+            this.loadSchedule();
+            setInterval(() => this.loadSchedule(), SCHEDULE_POLL_INTERVAL);
+        });
     }
 
     initializeElements() {
+        // Header elements
+        this.appTitle = document.getElementById('appTitle');
+        this.appSubtitle = document.getElementById('appSubtitle');
+        this.scheduleStatus = document.getElementById('scheduleStatus');
+        this.languageSelect = document.getElementById('languageSelect');
+
         // Navigation elements
         this.gameViewBtn = document.getElementById('gameViewBtn');
         this.positionViewBtn = document.getElementById('positionViewBtn');
         this.formationViewBtn = document.getElementById('formationViewBtn');
+        this.playerViewBtn = document.getElementById('playerViewBtn');
+        this.runsViewBtn = document.getElementById('runsViewBtn');
         this.gameViewPage = document.getElementById('gameViewPage');
         this.positionViewPage = document.getElementById('positionViewPage');
         this.formationViewPage = document.getElementById('formationViewPage');
+        this.playerViewPage = document.getElementById('playerViewPage');
+        this.runsViewPage = document.getElementById('runsViewPage');
+
+        // Filters shared by every view
+        this.competitionFilter = document.getElementById('competitionFilter');
+        this.venueFilter = document.getElementById('venueFilter');
 
         // Game view elements
         this.gameSelect = document.getElementById('gameSelect');
         this.positionFilter = document.getElementById('positionFilter');
         this.refreshBtn = document.getElementById('refreshBtn');
+        this.scrapeProgress = document.getElementById('scrapeProgress');
+        this.scrapeProgressFill = document.getElementById('scrapeProgressFill');
+        this.scrapeProgressText = document.getElementById('scrapeProgressText');
+        this.cancelScrapeBtn = document.getElementById('cancelScrapeBtn');
+        this.gameExport = document.getElementById('gameExport');
         this.gameInfo = document.getElementById('gameInfo');
         this.gameTitle = document.getElementById('gameTitle');
+        this.rescrapeBtn = document.getElementById('rescrapeBtn');
         this.gameDate = document.getElementById('gameDate');
         this.gameScore = document.getElementById('gameScore');
+        this.gameHalftime = document.getElementById('gameHalftime');
+        this.gameCompetition = document.getElementById('gameCompetition');
+        this.gameFormation = document.getElementById('gameFormation');
+        this.matchDetail = document.getElementById('matchDetail');
+        this.matchPitch = document.getElementById('matchPitch');
+        this.matchTimeline = document.getElementById('matchTimeline');
         this.playersTable = document.getElementById('playersTable');
+        this.playersHeadRow = document.getElementById('playersHeadRow');
         this.playersBody = document.getElementById('playersBody');
         this.loading = document.getElementById('loading');
         this.noData = document.getElementById('noData');
 
         // Position view elements
         this.positionSelect = document.getElementById('positionSelect');
+        this.roleSelect = document.getElementById('roleSelect');
+        this.positionMetric = document.getElementById('positionMetric');
+        this.positionMetricHeader = document.getElementById('positionMetricHeader');
         this.sortBy = document.getElementById('sortBy');
         this.positionInfo = document.getElementById('positionInfo');
         this.positionTitle = document.getElementById('positionTitle');
@@ -45,19 +226,73 @@ class MariborApp {
         this.positionPlayersBody = document.getElementById('positionPlayersBody');
         this.positionLoading = document.getElementById('positionLoading');
         this.positionNoData = document.getElementById('positionNoData');
+        this.positionExport = document.getElementById('positionExport');
 
         // Formation view elements
+        this.formationSelect = document.getElementById('formationSelect');
+        this.formationMetric = document.getElementById('formationMetric');
+        this.formationMinGames = document.getElementById('formationMinGames');
+        this.formationWindow = document.getElementById('formationWindow');
+        this.formationTitle = document.getElementById('formationTitle');
+        this.formationField = document.getElementById('formationField');
+        this.formationSquadBody = document.getElementById('formationSquadBody');
         this.formationAvgRating = document.getElementById('formationAvgRating');
         this.formationTotalGames = document.getElementById('formationTotalGames');
         this.formationLoading = document.getElementById('formationLoading');
         this.formationNoData = document.getElementById('formationNoData');
+        this.formationExport = document.getElementById('formationExport');
+
+        // Player view elements
+        this.playerSelect = document.getElementById('playerSelect');
+        this.playerProfile = document.getElementById('playerProfile');
+        this.playerTitle = document.getElementById('playerTitle');
+        this.playerAppearances = document.getElementById('playerAppearances');
+        this.playerMinutes = document.getElementById('playerMinutes');
+        this.playerAvgRating = document.getElementById('playerAvgRating');
+        this.playerForm = document.getElementById('playerForm');
+        this.playerFormLegend = document.getElementById('playerFormLegend');
+        this.playerRatingChart = document.getElementById('playerRatingChart');
+        this.playerMinutesChart = document.getElementById('playerMinutesChart');
+        this.playerPositionsBody = document.getElementById('playerPositionsBody');
+        this.playerBestList = document.getElementById('playerBestList');
+        this.playerWorstList = document.getElementById('playerWorstList');
+        this.playerMatchesBody = document.getElementById('playerMatchesBody');
+        this.playerNoData = document.getElementById('playerNoData');
+
+        // Runs view elements
+        this.runsTable = document.getElementById('runsTable');
+        this.runsBody = document.getElementById('runsBody');
+        this.runDetail = document.getElementById('runDetail');
+        this.runTitle = document.getElementById('runTitle');
+        this.runStatus = document.getElementById('runStatus');
+        this.runDuration = document.getElementById('runDuration');
+        this.runCandidates = document.getElementById('runCandidates');
+        this.runError = document.getElementById('runError');
+        this.runSteps = document.getElementById('runSteps');
+        this.runMatchesBody = document.getElementById('runMatchesBody');
+        this.runsNoData = document.getElementById('runsNoData');
     }
 
     attachEventListeners() {
+        this.languageSelect.addEventListener('change', (e) => {
+            this.changeLanguage(e.target.value);
+        });
+
         // Page navigation
         this.gameViewBtn.addEventListener('click', () => this.switchPage('gameView'));
         this.positionViewBtn.addEventListener('click', () => this.switchPage('positionView'));
         this.formationViewBtn.addEventListener('click', () => this.switchPage('formationView'));
+        this.playerViewBtn.addEventListener('click', () => this.switchPage('playerView'));
+        this.runsViewBtn.addEventListener('click', () => this.switchPage('runsView'));
+
+        // Shared filters
+        this.competitionFilter.addEventListener('change', (e) => {
+            this.updateGameFilters({ competition: e.target.value });
+        });
+
+        this.venueFilter.addEventListener('change', (e) => {
+            this.updateGameFilters({ venue: e.target.value });
+        });
 
         // Game view listeners
         this.gameSelect.addEventListener('change', (e) => {
@@ -72,14 +307,187 @@ class MariborApp {
             this.refreshData();
         });
 
+        this.cancelScrapeBtn.addEventListener('click', () => {
+            this.cancelScrape();
+        });
+
+        this.rescrapeBtn.addEventListener('click', () => {
+            this.rescrapeGame();
+        });
+
+        // Export buttons: each page downloads the table it shows, in the button's format
+        const onExport = (handler) => (e) => {
+            const button = e.target.closest('button');
+            if (button) handler(button.dataset.format);
+        };
+        this.gameExport.addEventListener('click', onExport(format => this.exportGameView(format)));
+        this.positionExport.addEventListener('click', onExport(format => this.exportPositionView(format)));
+        this.formationExport.addEventListener('click', onExport(format => this.exportFormationView(format)));
+
         // Position view listeners
         this.positionSelect.addEventListener('change', (e) => {
+            this.roleSelect.value = '';
+            this.renderPositionView();
+        });
+
+        this.roleSelect.addEventListener('change', (e) => {
+            this.renderPositionView();
+        });
+
+        this.positionMetric.addEventListener('change', (e) => {
             this.renderPositionView();
         });
 
         this.sortBy.addEventListener('change', (e) => {
             this.renderPositionView();
         });
+
+        // Formation view listeners
+        Object.keys(FORMATIONS).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.formationSelect.appendChild(option);
+        });
+
+        this.formationSelect.addEventListener('change', (e) => {
+            this.updateFormationSettings({ formation: e.target.value });
+        });
+
+        this.formationMetric.addEventListener('change', (e) => {
+            this.updateFormationSettings({ metric: e.target.value });
+        });
+
+        this.formationMinGames.addEventListener('change', (e) => {
+            this.updateFormationSettings({ minGames: Number(e.target.value) });
+        });
+
+        this.formationWindow.addEventListener('change', (e) => {
+            this.updateFormationSettings({ formWindow: Number(e.target.value) });
+        });
+
+        // Player view listeners
+        this.playerSelect.addEventListener('change', (e) => {
+            this.loadPlayerProfile(e.target.value);
+        });
+    }
+
+    getPreferredLanguage() {
+        return localStorage.getItem(LANGUAGE_STORAGE_KEY) || (navigator.language || DEFAULT_LANGUAGE).split('-')[0];
+    }
+
+    // The language switcher offers every locale bundle the server has
+    async loadLanguages() {
+        try {
+            const response = await fetch('/api/locales');
+            if (!response.ok) return;
+
+            const languages = await response.json();
+            this.fillSelect(this.languageSelect, languages.map(language => [language.code, language.name]));
+            if (this.language) this.languageSelect.value = this.language;
+        } catch (error) {
+            console.error('Error loading languages:', error);
+        }
+    }
+
+    // Load a language's UI strings and translate the static page; unknown languages fall back to English
+    async setLanguage(code) {
+        try {
+            const response = await fetch(`/api/locales/${encodeURIComponent(code)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const bundle = await response.json();
+            this.language = bundle.code;
+            this.texts = bundle.ui;
+            this.dateLocale = bundle.dateLocale;
+            this.pluralRules = new Intl.PluralRules(bundle.dateLocale);
+        } catch (error) {
+            if (code !== DEFAULT_LANGUAGE) return this.setLanguage(DEFAULT_LANGUAGE);
+            console.error('Error loading language:', error);
+            return;
+        }
+
+        document.documentElement.lang = this.language;
+        this.languageSelect.value = this.language;
+        this.applyTranslations();
+    }
+
+    async changeLanguage(code) {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+        await this.setLanguage(code);
+
+        // Everything rendered from data is rendered again in the new language
+        this.renderHeader();
+        if (this.scheduleState) this.renderScheduleStatus(this.scheduleState);
+        if (this.refreshBtn.disabled) this.refreshBtn.textContent = this.t('scrape.running');
+        this.populateCompetitionFilter();
+        this.populateGameSelect();
+        this.populatePlayerSelect();
+        if (this.currentGame) {
+            this.gameSelect.value = this.currentGame.id;
+            this.displayGame();
+            this.filterPlayers(this.positionFilter.value);
+        }
+
+        if (this.currentPage === 'positionView') {
+            this.renderPositionView();
+        } else if (this.currentPage === 'formationView') {
+            this.renderFormationView();
+        } else if (this.currentPage === 'playerView') {
+            this.loadPlayerProfile(this.playerSelect.value);
+        } else if (this.currentPage === 'runsView') {
+            this.loadRuns();
+        }
+    }
+
+    // UI string in the current language; {name} placeholders are filled from params, and a string
+    // with plural forms picks the one for params.count
+    t(key, params = {}) {
+        let text = this.texts[key];
+        if (text === undefined) return key;
+        if (typeof text === 'object') {
+            text = text[this.pluralRules.select(params.count)] || text.other;
+        }
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined ? params[name] : placeholder);
+    }
+
+    // Label of a value from the data, e.g. label('positions', 'Forward'); values without one show as they are
+    label(group, value) {
+        const key = `${group}.${value}`;
+        return this.texts[key] !== undefined ? this.t(key) : value;
+    }
+
+    // Translate the static page (data-i18n, data-i18n-title) and the choices built from constants
+    applyTranslations() {
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+
+        this.fillSelect(this.positionSelect, Object.entries(POSITION_EMOJIS)
+            .map(([position, emoji]) => [position, `${emoji} ${this.label('positions', position)}`]));
+        [this.positionMetric, this.formationMetric].forEach(select => {
+            this.fillSelect(select, RATING_METRICS.map(metric => [metric, this.label('metrics', metric)]));
+        });
+        this.fillSelect(this.formationMinGames, MIN_GAMES_OPTIONS
+            .map(count => [count, this.t('count.games', { count })]));
+        this.fillSelect(this.formationWindow, FORM_WINDOW_OPTIONS
+            .map(count => [count, count ? this.t('formation.lastGames', { count }) : this.t('formation.allGames')]));
+    }
+
+    // Replace a select's options with [value, text] pairs, keeping the selected value
+    fillSelect(select, options) {
+        const selected = select.value;
+        select.innerHTML = '';
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        if (options.some(([value]) => String(value) === selected)) select.value = selected;
     }
 
     switchPage(page) {
@@ -89,20 +497,101 @@ class MariborApp {
         this.gameViewBtn.classList.toggle('active', page === 'gameView');
         this.positionViewBtn.classList.toggle('active', page === 'positionView');
         this.formationViewBtn.classList.toggle('active', page === 'formationView');
+        this.playerViewBtn.classList.toggle('active', page === 'playerView');
+        this.runsViewBtn.classList.toggle('active', page === 'runsView');
 
         // Update page visibility
         this.gameViewPage.classList.toggle('active', page === 'gameView');
         this.positionViewPage.classList.toggle('active', page === 'positionView');
         this.formationViewPage.classList.toggle('active', page === 'formationView');
+        this.playerViewPage.classList.toggle('active', page === 'playerView');
+        this.runsViewPage.classList.toggle('active', page === 'runsView');
 
         if (page === 'positionView') {
             this.calculatePositionData();
             this.renderPositionView();
         } else if (page === 'formationView') {
-            this.calculatePositionData();
-            this.calculateBestFormation();
-            this.renderFormationView();
+            this.loadFormationView();
+        } else if (page === 'runsView') {
+            this.loadRuns();
+        }
+    }
+
+    async loadConfig() {
+        try {
+            const response = await fetch('/api/config');
+            if (!response.ok) return;
+
+            this.config = await response.json();
+            this.teamName = this.config.team.name;
+            this.renderHeader();
+        } catch (error) {
+            console.error('Error loading config:', error);
+        }
+    }
+
+    renderHeader() {
+        if (!this.config) return;
+
+        const formatDate = (date) => new Date(date).toLocaleDateString(this.dateLocale, {
+            day: 'numeric', month: 'long', year: 'numeric'
+        });
+        const from = formatDate(this.config.dateFrom);
+
+        document.title = this.t('app.documentTitle', { team: this.config.team.name });
+        this.appTitle.textContent = this.t('app.title', { team: this.config.team.name });
+        this.appSubtitle.textContent = this.config.dateTo
+            ? this.t('app.subtitleBetween', { from: from, to: formatDate(this.config.dateTo) })
+            : this.t('app.subtitleSince', { from: from });
+    }
+
+    async loadSchedule() {
+        try {
+            const response = await fetch('/api/schedule');
+            if (!response.ok) return;
+
+            const status = await response.json();
+            this.scheduleState = status;
+            this.renderScheduleStatus(status);
+
+            // A scheduled run (or one started from another tab) shows its progress here too
+            if (status.activeJob && status.activeJob.id !== this.scrapeJobId) {
+                this.followScrapeJob(status.activeJob);
+            }
+        } catch (error) {
+            console.error('Error loading schedule:', error);
+        }
+    }
+
+    renderScheduleStatus(status) {
+        const formatTime = (time) => new Date(time).toLocaleString(this.dateLocale, {
+            weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        const parts = [];
+
+        if (status.activeJob) {
+            parts.push(this.t('schedule.inProgress'));
+        } else if (status.lastRun) {
+            const outcome = { completed: '✅', cancelled: '⏹️' }[status.lastRun.status] || '❌';
+            parts.push(this.t('schedule.lastRun', { time: formatTime(status.lastRun.startedAt), outcome: outcome }));
+        }
+
+        if (!status.enabled) {
+            parts.push(this.t('schedule.off'));
+        } else if (status.nextRun) {
+            parts.push(this.t('schedule.next', {
+                kind: this.label('scheduleKinds', status.nextRun.kind),
+                time: formatTime(status.nextRun.runAt),
+                teams: status.nextRun.teams
+            }));
+        } else {
+            parts.push(this.t('schedule.none'));
         }
+
+        this.scheduleStatus.textContent = parts.join(' · ');
+        this.scheduleStatus.title = status.schedule
+            .map(run => this.t('schedule.run', { time: formatTime(run.runAt), kind: this.label('scheduleKinds', run.kind), teams: run.teams }))
+            .join('\n');
     }
 
     async loadGames() {
@@ -112,11 +601,17 @@ class MariborApp {
             
             if (response.ok) {
                 this.games = await response.json();
+                this.populateCompetitionFilter();
                 this.populateGameSelect();
-                if (this.games.length > 0) {
-                    this.selectGame(this.games[0].id);
+                // Stay on the game that was open, e.g. after re-scraping it
+                const games = this.getFilteredGames();
+                const selected = games.find(game => this.currentGame && game.id === this.currentGame.id) || games[0];
+                if (selected) {
+                    this.gameSelect.value = selected.id;
+                    this.selectGame(selected.id);
                 }
                 this.calculatePositionData();
+                this.populatePlayerSelect();
             } else {
                 this.showNoData();
             }
@@ -126,17 +621,132 @@ class MariborApp {
         }
     }
 
+    // Our side of the game; older records without a venue compare the home team with ours
+    getGameVenue(game) {
+        if (game.venue) return game.venue;
+        return game.homeTeam === this.teamName ? 'home' : 'away';
+    }
+
+    getFilteredGames() {
+        const { competition, venue } = this.gameFilters;
+        return this.games.filter(game => {
+            if (competition && String(game.competition ? game.competition.id : '') !== competition) return false;
+            if (venue && this.getGameVenue(game) !== venue) return false;
+            return true;
+        });
+    }
+
+    // Add the shared filters to an API query
+    addFilterParams(params) {
+        Object.entries(this.gameFilters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return params;
+    }
+
+    populateCompetitionFilter() {
+        const competitions = new Map();
+        this.games.forEach(game => {
+            if (game.competition && !competitions.has(String(game.competition.id))) {
+                competitions.set(String(game.competition.id), game.competition.name);
+            }
+        });
+
+        this.competitionFilter.innerHTML = `<option value="">${this.t('filters.allCompetitions')}</option>`;
+        Array.from(competitions.entries())
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .forEach(([id, name]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                this.competitionFilter.appendChild(option);
+            });
+
+        // A competition that is no longer in the data resets the filter
+        if (!competitions.has(this.gameFilters.competition)) {
+            this.gameFilters.competition = '';
+        }
+        this.competitionFilter.value = this.gameFilters.competition;
+    }
+
+    // Apply changed filters to every view: the game list and player list here, the open page from the server
+    updateGameFilters(changes) {
+        this.gameFilters = { ...this.gameFilters, ...changes };
+
+        this.populateGameSelect();
+        const games = this.getFilteredGames();
+        const stillListed = this.currentGame && games.some(game => game.id === this.currentGame.id);
+        if (stillListed) {
+            this.gameSelect.value = this.currentGame.id;
+        } else if (games.length > 0) {
+            this.gameSelect.value = games[0].id;
+            this.selectGame(games[0].id);
+        } else {
+            this.currentGame = null;
+            this.hideGame();
+        }
+
+        this.calculatePositionData();
+        this.populatePlayerSelect();
+
+        if (this.currentPage === 'positionView') {
+            this.renderPositionView();
+        } else if (this.currentPage === 'formationView') {
+            this.loadFormationView();
+        } else if (this.currentPage === 'playerView') {
+            this.loadPlayerProfile(this.playerSelect.value);
+        }
+    }
+
+    // Download /api/export/:table with the shared filters applied, headed in the UI language
+    downloadExport(table, params, format) {
+        this.addFilterParams(params);
+        params.set('format', format);
+        params.set('lang', this.language);
+
+        const link = document.createElement('a');
+        link.href = `/api/export/${table}?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    // The selected game's appearances, or every listed game's when none is selected
+    exportGameView(format) {
+        const params = new URLSearchParams();
+        if (this.currentGame) params.set('game', this.currentGame.id);
+        this.downloadExport('appearances', params, format);
+    }
+
+    exportPositionView(format) {
+        const params = new URLSearchParams({ metric: this.positionMetric.value, position: this.positionSelect.value });
+        if (this.roleSelect.value) params.set('role', this.roleSelect.value);
+        this.downloadExport('positions', params, format);
+    }
+
+    // The ratings the formation is picked from: per player and role, over the form window
+    exportFormationView(format) {
+        const { metric, formWindow } = this.formationSettings;
+        const params = new URLSearchParams({ metric: metric, groupBy: 'role', window: formWindow });
+        this.downloadExport('players', params, format);
+    }
+
     calculatePositionData() {
         this.positionData = {};
 
-        // Aggregate all players across all games by position
-        this.games.forEach(game => {
+        // Aggregate all players across the filtered games by position
+        this.getFilteredGames().forEach(game => {
             if (game.players && game.players.length > 0) {
                 game.players.forEach(player => {
-                    const key = `${player.name}_${player.position}`;
+                    const playerKey = this.getPlayerKey(player);
+                    const key = `${playerKey}_${player.position}`;
                     
+                    // Games are newest first, so a renamed player shows the current name
                     if (!this.positionData[key]) {
                         this.positionData[key] = {
+                            playerKey: playerKey,
+                            playerId: player.playerId || null,
                             name: player.name,
                             position: player.position,
                             ratings: [],
@@ -146,9 +756,10 @@ class MariborApp {
                     
                     this.positionData[key].ratings.push(player.rating);
                     this.positionData[key].games.push({
-                        opponent: game.awayTeam === 'NK Maribor' ? game.homeTeam : game.awayTeam,
+                        opponent: game.awayTeam === this.teamName ? game.homeTeam : game.awayTeam,
                         date: game.date,
-                        rating: player.rating
+                        rating: player.rating,
+                        role: player.detailedPosition || null
                     });
                 });
             }
@@ -156,181 +767,335 @@ class MariborApp {
 
         // Calculate averages and additional stats
         Object.keys(this.positionData).forEach(key => {
-            const playerData = this.positionData[key];
-            const validRatings = playerData.ratings.filter(r => r !== null && r !== undefined);
-            
-            if (validRatings.length > 0) {
-                const sum = validRatings.reduce((a, b) => a + b, 0);
-                playerData.averageRating = Math.round((sum / validRatings.length) * 10) / 10;
-                playerData.gamesPlayed = validRatings.length;
-                playerData.bestRating = Math.max(...validRatings);
-                playerData.worstRating = Math.min(...validRatings);
-            } else {
-                playerData.averageRating = 0;
-                playerData.gamesPlayed = 0;
-                playerData.bestRating = 0;
-                playerData.worstRating = 0;
-            }
+            Object.assign(this.positionData[key], this.summarizeRatings(this.positionData[key].ratings));
         });
     }
 
+    summarizeRatings(ratings) {
+        const validRatings = ratings.filter(r => r !== null && r !== undefined);
+        if (validRatings.length === 0) {
+            return { averageRating: 0, gamesPlayed: 0, bestRating: 0, worstRating: 0 };
+        }
+
+        const sum = validRatings.reduce((a, b) => a + b, 0);
+        return {
+            averageRating: Math.round((sum / validRatings.length) * 10) / 10,
+            gamesPlayed: validRatings.length,
+            bestRating: Math.max(...validRatings),
+            worstRating: Math.min(...validRatings)
+        };
+    }
+
+    // Role filter options: the detailed roles recorded for players of the selected position
+    populateRoleSelect(selectedPosition) {
+        const roles = new Set();
+        Object.values(this.positionData)
+            .filter(player => player.position === selectedPosition)
+            .forEach(player => player.games.forEach(game => {
+                if (game.role) roles.add(game.role);
+            }));
+
+        const selected = this.roleSelect.value;
+        this.roleSelect.innerHTML = `<option value="">${this.t('position.allRoles')}</option>`;
+        DETAILED_POSITIONS
+            .filter(role => roles.has(role))
+            .forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = this.label('roles', role);
+                this.roleSelect.appendChild(option);
+            });
+        this.roleSelect.value = roles.has(selected) ? selected : '';
+    }
+
+    // Group by SofaScore player id; older records without one fall back to the name
+    getPlayerKey(player) {
+        return player.playerId ? `id:${player.playerId}` : `name:${player.name}`;
+    }
+
+    // Key accepted by /api/players/:id
+    getPlayerApiKey(player) {
+        return String(player.playerId || player.name);
+    }
+
+    async updateFormationSettings(changes) {
+        this.formationSettings = { ...this.formationSettings, ...changes };
+        await this.loadFormationView();
+    }
+
+    // Fetch ratings per player, position and role for the current metric and form window
+    async loadFormationView() {
+        const { metric, formWindow } = this.formationSettings;
+        const params = this.addFilterParams(new URLSearchParams({ metric: metric, groupBy: 'role', window: formWindow }));
+
+        const request = ++this.formationRequest;
+        this.formationLoading.style.display = 'block';
+        let rows = [];
+        try {
+            const response = await fetch(`/api/aggregates?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            rows = (await response.json()).rows;
+        } catch (error) {
+            console.error('Error loading formation ratings:', error);
+        }
+        if (request !== this.formationRequest) return;
+
+        this.formationRows = rows;
+        this.calculateBestFormation();
+        this.renderFormationView();
+    }
+
     calculateBestFormation() {
-        // Get all unique players and their best positions
-        const playerBestPositions = {};
-        
-        Object.values(this.positionData).forEach(playerData => {
-            const playerName = playerData.name;
-            
-            if (!playerBestPositions[playerName] || 
-                playerData.averageRating > playerBestPositions[playerName].averageRating) {
-                playerBestPositions[playerName] = {
-                    name: playerName,
-                    position: playerData.position,
-                    averageRating: playerData.averageRating,
-                    gamesPlayed: playerData.gamesPlayed,
-                    bestRating: playerData.bestRating
-                };
+        const { formation, metric, minGames } = this.formationSettings;
+
+        // Each player's best position and role; pinned players skip the games minimum
+        const candidates = new Map();
+        this.formationRows.forEach(row => {
+            const pinned = this.pinnedPlayers.has(row.playerKey);
+            if (!candidates.has(row.playerKey)) {
+                candidates.set(row.playerKey, {
+                    playerKey: row.playerKey,
+                    playerId: row.playerId,
+                    name: row.name,
+                    position: null,
+                    role: null,
+                    averageRating: 0,
+                    gamesPlayed: 0,
+                    pinned: pinned,
+                    excluded: this.excludedPlayers.has(row.playerKey)
+                });
+            }
+
+            const candidate = candidates.get(row.playerKey);
+            const rating = row.metrics[metric];
+            if ((row.appearances >= minGames || pinned) && (!candidate.position || rating > candidate.averageRating)) {
+                Object.assign(candidate, {
+                    position: row.position,
+                    role: row.role,
+                    averageRating: rating,
+                    gamesPlayed: row.appearances
+                });
             }
         });
+        this.formationCandidates = Array.from(candidates.values());
 
-        // Group players by their best positions
-        const playersByPosition = {
-            'Goalkeeper': [],
-            'Defender': [],
-            'Midfielder': [],
-            'Forward': []
-        };
+        const available = this.formationCandidates
+            .filter(player => player.position && !player.excluded)
+            .sort((a, b) => b.averageRating - a.averageRating);
+        const slots = FORMATIONS[formation].flat();
+        const passes = Math.max(...slots.map(slot => SLOT_POSITIONS[slot].roles.length)) + 1;
 
-        Object.values(playerBestPositions).forEach(player => {
-            if (playersByPosition[player.position] && player.averageRating > 0) {
-                playersByPosition[player.position].push(player);
+        // Fill slots in passes: each slot's best-fitting role first, then its fallback roles, then
+        // anyone of the slot's position group (games without detailed roles). Pinned players go first.
+        this.bestFormation = Object.fromEntries(slots.map(slot => [slot, null]));
+        [true, false].forEach(pinnedOnly => {
+            for (let pass = 0; pass < passes; pass++) {
+                slots.forEach(slot => {
+                    if (this.bestFormation[slot]) return;
+
+                    const { position, roles } = SLOT_POSITIONS[slot];
+                    const index = available.findIndex(player => {
+                        if (pinnedOnly && !player.pinned) return false;
+                        return pass < roles.length ? player.role === roles[pass] : player.position === position;
+                    });
+                    if (index >= 0) this.bestFormation[slot] = available.splice(index, 1)[0];
+                });
             }
         });
+    }
 
-        // Sort each position by average rating (descending)
-        Object.keys(playersByPosition).forEach(position => {
-            playersByPosition[position].sort((a, b) => b.averageRating - a.averageRating);
-        });
-
-        // Select best formation (4-4-2)
-        this.bestFormation = {
-            'GK': playersByPosition['Goalkeeper'][0] || null,
-            'LB': playersByPosition['Defender'][0] || null,
-            'LCB': playersByPosition['Defender'][1] || null,
-            'RCB': playersByPosition['Defender'][2] || null,
-            'RB': playersByPosition['Defender'][3] || null,
-            'LM': playersByPosition['Midfielder'][0] || null,
-            'LCM': playersByPosition['Midfielder'][1] || null,
-            'RCM': playersByPosition['Midfielder'][2] || null,
-            'RM': playersByPosition['Midfielder'][3] || null,
-            'LF': playersByPosition['Forward'][0] || null,
-            'RF': playersByPosition['Forward'][1] || null
-        };
+    togglePlayerSelection(player, set) {
+        const other = set === this.pinnedPlayers ? this.excludedPlayers : this.pinnedPlayers;
+        if (set.has(player.playerKey)) {
+            set.delete(player.playerKey);
+        } else {
+            set.add(player.playerKey);
+            other.delete(player.playerKey);
+        }
+        this.calculateBestFormation();
+        this.renderFormationView();
+    }
+
+    createFormationSlot(slot) {
+        const positionElement = document.createElement('div');
+        positionElement.className = 'player-position';
+        positionElement.dataset.slot = slot;
+
+        const labelElement = document.createElement('div');
+        labelElement.className = 'position-label';
+        labelElement.textContent = slot;
+        const nameElement = document.createElement('div');
+        nameElement.className = 'player-name';
+        const ratingElement = document.createElement('div');
+        ratingElement.className = 'player-rating';
+
+        const player = this.bestFormation[slot];
+        if (player) {
+            // Truncate long names
+            const displayName = player.name.length > 12 ?
+                player.name.substring(0, 12) + '...' : player.name;
+
+            nameElement.textContent = player.pinned ? `📌 ${displayName}` : displayName;
+            nameElement.title = player.name; // Full name on hover
+            nameElement.classList.add('player-name-link');
+            nameElement.onclick = () => this.showPlayer(player);
+            ratingElement.textContent = player.averageRating.toFixed(1);
+
+            // Color-code the rating
+            if (player.averageRating >= 8.0) {
+                ratingElement.classList.add('rating-excellent');
+            } else if (player.averageRating >= 7.0) {
+                ratingElement.classList.add('rating-good');
+            } else if (player.averageRating >= 6.0) {
+                ratingElement.classList.add('rating-average');
+            } else {
+                ratingElement.classList.add('rating-poor');
+            }
+        } else {
+            nameElement.textContent = '-';
+            nameElement.title = this.t('formation.noPlayer');
+            ratingElement.textContent = '0.0';
+            ratingElement.classList.add('rating-none');
+        }
+
+        positionElement.append(labelElement, nameElement, ratingElement);
+        return positionElement;
     }
 
     renderFormationView() {
-        const positions = ['GK', 'LB', 'LCB', 'RCB', 'RB', 'LM', 'LCM', 'RCM', 'RM', 'LF', 'RF'];
-        
-        let totalRating = 0;
-        let totalGames = 0;
-        let playersWithData = 0;
+        const { formation } = this.formationSettings;
+        const lines = FORMATIONS[formation];
 
-        positions.forEach(positionId => {
-            const positionElement = document.getElementById(positionId);
-            const player = this.bestFormation[positionId];
-            
-            if (player && positionElement) {
-                const nameElement = positionElement.querySelector('.player-name');
-                const ratingElement = positionElement.querySelector('.player-rating');
-                
-                // Truncate long names
-                const displayName = player.name.length > 12 ? 
-                    player.name.substring(0, 12) + '...' : player.name;
-                
-                nameElement.textContent = displayName;
-                nameElement.title = player.name; // Full name on hover
-                ratingElement.textContent = player.averageRating.toFixed(1);
-                
-                // Color-code the rating
-                ratingElement.className = 'player-rating';
-                if (player.averageRating >= 8.0) {
-                    ratingElement.classList.add('rating-excellent');
-                } else if (player.averageRating >= 7.0) {
-                    ratingElement.classList.add('rating-good');
-                } else if (player.averageRating >= 6.0) {
-                    ratingElement.classList.add('rating-average');
-                } else {
-                    ratingElement.classList.add('rating-poor');
-                }
-                
-                totalRating += player.averageRating;
-                totalGames += player.gamesPlayed;
-                playersWithData++;
-            } else if (positionElement) {
-                const nameElement = positionElement.querySelector('.player-name');
-                const ratingElement = positionElement.querySelector('.player-rating');
-                
-                nameElement.textContent = '-';
-                nameElement.title = 'No player available';
-                ratingElement.textContent = '0.0';
-                ratingElement.className = 'player-rating rating-none';
+        this.formationSelect.value = formation;
+        this.formationTitle.textContent = this.t('formation.title', { formation: formation });
+        this.formationField.innerHTML = '';
+
+        lines.forEach(line => {
+            const lineElement = document.createElement('div');
+            // Style the line after its central slot, so wing-backs sit in a midfield line
+            const group = SLOT_POSITIONS[line[Math.floor(line.length / 2)]].position;
+            lineElement.className = `position-line ${LINE_CLASSES[group]}`;
+            if (line.length < 4 && (group === 'Midfielder' || group === 'Defender')) {
+                lineElement.classList.add('narrow');
             }
+            line.forEach(slot => lineElement.appendChild(this.createFormationSlot(slot)));
+            this.formationField.appendChild(lineElement);
         });
 
+        const players = Object.values(this.bestFormation).filter(player => player);
+        const totalRating = players.reduce((sum, player) => sum + player.averageRating, 0);
+        const totalGames = players.reduce((sum, player) => sum + player.gamesPlayed, 0);
+
         // Update formation stats
-        const avgRating = playersWithData > 0 ? totalRating / playersWithData : 0;
-        this.formationAvgRating.textContent = `Team Avg: ${avgRating.toFixed(1)}`;
-        this.formationTotalGames.textContent = `Total Games: ${totalGames}`;
-
-        // Show/hide appropriate elements
-        if (playersWithData >= 8) { // Need at least 8 players for a reasonable formation
-            this.formationLoading.style.display = 'none';
-            this.formationNoData.style.display = 'none';
-        } else {
-            this.formationNoData.style.display = 'block';
-            this.formationLoading.style.display = 'none';
-        }
+        const avgRating = players.length > 0 ? totalRating / players.length : 0;
+        this.formationAvgRating.textContent = this.t('formation.teamAvg', { value: avgRating.toFixed(1) });
+        this.formationTotalGames.textContent = this.t('formation.totalGames', { count: totalGames });
+
+        this.renderFormationSquad();
+
+        // Show/hide appropriate elements; allow up to three gaps for a reasonable formation
+        this.formationLoading.style.display = 'none';
+        this.formationNoData.style.display = players.length >= lines.flat().length - 3 ? 'none' : 'block';
     }
 
-    renderPositionView() {
+    renderFormationSquad() {
+        const selected = new Set(Object.values(this.bestFormation).filter(player => player).map(player => player.playerKey));
+        this.formationSquadBody.innerHTML = '';
+
+        [...this.formationCandidates]
+            .sort((a, b) => b.averageRating - a.averageRating || a.name.localeCompare(b.name))
+            .forEach(player => {
+                const row = document.createElement('tr');
+                row.classList.toggle('squad-selected', selected.has(player.playerKey));
+                row.classList.toggle('squad-excluded', player.excluded);
+
+                const nameCell = document.createElement('td');
+                nameCell.appendChild(this.createPlayerLink(player));
+
+                const positionCell = document.createElement('td');
+                if (player.position) {
+                    positionCell.appendChild(this.createPositionBadge(player.position, player.role));
+                } else {
+                    positionCell.textContent = '-';
+                    positionCell.title = this.t('formation.notEnoughGames');
+                }
+
+                const ratingCell = document.createElement('td');
+                ratingCell.appendChild(this.createRatingElement(player.position ? player.averageRating : null, true));
+
+                const gamesCell = document.createElement('td');
+                gamesCell.textContent = player.gamesPlayed;
+
+                const selectionCell = document.createElement('td');
+                const pinButton = document.createElement('button');
+                pinButton.className = `btn-toggle${player.pinned ? ' active' : ''}`;
+                pinButton.textContent = this.t('formation.pin');
+                pinButton.title = this.t('formation.pinTitle');
+                pinButton.addEventListener('click', () => this.togglePlayerSelection(player, this.pinnedPlayers));
+
+                const excludeButton = document.createElement('button');
+                excludeButton.className = `btn-toggle${player.excluded ? ' active' : ''}`;
+                excludeButton.textContent = this.t('formation.exclude');
+                excludeButton.title = this.t('formation.excludeTitle');
+                excludeButton.addEventListener('click', () => this.togglePlayerSelection(player, this.excludedPlayers));
+
+                selectionCell.append(pinButton, excludeButton);
+                row.append(nameCell, positionCell, ratingCell, gamesCell, selectionCell);
+                this.formationSquadBody.appendChild(row);
+            });
+    }
+
+    async renderPositionView() {
         const selectedPosition = this.positionSelect.value;
         const sortBy = this.sortBy.value;
+        const metric = this.positionMetric.value;
 
         // Update position info header
-        const positionEmojis = {
-            'Forward': '⚡',
-            'Midfielder': '🔄',
-            'Defender': '🛡️',
-            'Goalkeeper': '🥅'
-        };
+        this.populateRoleSelect(selectedPosition);
+        const selectedRole = this.roleSelect.value;
+        const title = selectedRole ? this.label('roles', selectedRole) : this.label('positions', selectedPosition);
+        this.positionTitle.textContent = `${POSITION_EMOJIS[selectedPosition]} ${this.t('position.title', { title: title })}`;
+        this.positionMetricHeader.textContent = this.label('metrics', metric);
 
-        this.positionTitle.textContent = `${positionEmojis[selectedPosition]} ${selectedPosition} Players`;
+        // Aggregates come from the server; a role narrows each player to the games in that role
+        const params = this.addFilterParams(new URLSearchParams({ metric: metric, position: selectedPosition }));
+        if (selectedRole) params.set('role', selectedRole);
 
-        // Filter players by selected position
-        const positionPlayers = Object.values(this.positionData)
-            .filter(player => player.position === selectedPosition && player.gamesPlayed > 0);
+        // Only the latest request renders when the filters change quickly
+        const request = ++this.positionRequest;
+        let positionPlayers = [];
+        this.positionLoading.style.display = 'block';
+        try {
+            const response = await fetch(`/api/aggregates?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            positionPlayers = (await response.json()).rows.map(row => ({ ...row, rating: row.metrics[metric] }));
+        } catch (error) {
+            console.error('Error loading position ratings:', error);
+        }
+        if (request !== this.positionRequest) return;
+        this.positionLoading.style.display = 'none';
 
         // Update stats
-        this.playerCount.textContent = `${positionPlayers.length} players`;
+        this.playerCount.textContent = this.t('count.players', { count: positionPlayers.length });
         
         if (positionPlayers.length > 0) {
-            const avgRating = positionPlayers.reduce((sum, p) => sum + p.averageRating, 0) / positionPlayers.length;
-            this.avgRating.textContent = `Avg: ${(Math.round(avgRating * 10) / 10).toFixed(1)}`;
+            const avgRating = positionPlayers.reduce((sum, p) => sum + p.rating, 0) / positionPlayers.length;
+            this.avgRating.textContent = this.t('common.avg', { value: (Math.round(avgRating * 10) / 10).toFixed(1) });
         } else {
-            this.avgRating.textContent = 'Avg: 0.0';
+            this.avgRating.textContent = this.t('common.avg', { value: '0.0' });
         }
 
         // Sort players
         positionPlayers.sort((a, b) => {
             switch (sortBy) {
                 case 'rating':
-                    return b.averageRating - a.averageRating;
+                    return b.rating - a.rating;
                 case 'games':
-                    return b.gamesPlayed - a.gamesPlayed;
+                    return b.appearances - a.appearances;
                 case 'name':
                     return a.name.localeCompare(b.name);
                 default:
-                    return b.averageRating - a.averageRating;
+                    return b.rating - a.rating;
             }
         });
 
@@ -339,7 +1104,7 @@ class MariborApp {
 
         if (positionPlayers.length === 0) {
             const row = document.createElement('tr');
-            row.innerHTML = '<td colspan="5" style="text-align: center; color: #666;">No players found for this position</td>';
+            row.innerHTML = `<td colspan="7" style="text-align: center; color: #666;">${this.t('position.noPlayers')}</td>`;
             this.positionPlayersBody.appendChild(row);
             return;
         }
@@ -348,27 +1113,40 @@ class MariborApp {
             const row = document.createElement('tr');
             
             const nameCell = document.createElement('td');
-            nameCell.textContent = player.name;
+            nameCell.appendChild(this.createPlayerLink(player));
             
-            const avgRatingCell = document.createElement('td');
-            const avgRatingSpan = this.createRatingElement(player.averageRating);
-            avgRatingCell.appendChild(avgRatingSpan);
+            const ratingCell = document.createElement('td');
+            ratingCell.appendChild(this.createRatingElement(player.rating));
+            ratingCell.title = this.t('position.averageTitle', { value: player.metrics.average.toFixed(2) });
             
             const gamesCell = document.createElement('td');
-            gamesCell.textContent = player.gamesPlayed;
+            gamesCell.textContent = player.appearances;
             gamesCell.style.textAlign = 'center';
+
+            const minutesCell = document.createElement('td');
+            minutesCell.textContent = player.minutes;
+            minutesCell.style.textAlign = 'center';
+
+            const per90Cell = document.createElement('td');
+            per90Cell.className = 'per90';
+            per90Cell.textContent = (PER90_COLUMNS[selectedPosition] || [])
+                .filter(key => player.per90[key] !== undefined)
+                .map(key => `${player.per90[key].toFixed(1)} ${this.getStatLabel(key)}`)
+                .join(' · ') || '-';
             
             const bestRatingCell = document.createElement('td');
             const bestRatingSpan = this.createRatingElement(player.bestRating, true);
             bestRatingCell.appendChild(bestRatingSpan);
             
             const performanceCell = document.createElement('td');
-            performanceCell.innerHTML = this.getPerformanceText(player.averageRating);
+            performanceCell.innerHTML = this.getPerformanceText(player.rating);
             performanceCell.className = 'performance';
             
             row.appendChild(nameCell);
-            row.appendChild(avgRatingCell);
+            row.appendChild(ratingCell);
             row.appendChild(gamesCell);
+            row.appendChild(minutesCell);
+            row.appendChild(per90Cell);
             row.appendChild(bestRatingCell);
             row.appendChild(performanceCell);
             
@@ -376,13 +1154,241 @@ class MariborApp {
         });
     }
 
+    createPlayerLink(player) {
+        const link = document.createElement('span');
+        link.className = 'player-name-link';
+        link.textContent = player.name;
+        link.title = this.t('player.openProfile', { name: player.name });
+        link.addEventListener('click', () => this.showPlayer(player));
+        return link;
+    }
+
+    populatePlayerSelect() {
+        const players = new Map();
+        Object.values(this.positionData).forEach(playerData => {
+            if (!players.has(playerData.playerKey)) {
+                players.set(playerData.playerKey, playerData);
+            }
+        });
+
+        const selected = this.playerSelect.value;
+        this.playerSelect.innerHTML = `<option value="">${this.t('player.selectPlaceholder')}</option>`;
+
+        Array.from(players.values())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(player => {
+                const option = document.createElement('option');
+                option.value = this.getPlayerApiKey(player);
+                option.textContent = player.name;
+                this.playerSelect.appendChild(option);
+            });
+
+        this.playerSelect.value = selected;
+    }
+
+    showPlayer(player) {
+        this.switchPage('playerView');
+        this.playerSelect.value = this.getPlayerApiKey(player);
+        this.loadPlayerProfile(this.getPlayerApiKey(player));
+    }
+
+    async loadPlayerProfile(key) {
+        if (!key) {
+            this.playerProfile.style.display = 'none';
+            this.playerNoData.style.display = 'block';
+            return;
+        }
+
+        try {
+            const params = this.addFilterParams(new URLSearchParams());
+            const query = params.toString() ? `?${params}` : '';
+            const response = await fetch(`/api/players/${encodeURIComponent(key)}${query}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.renderPlayerProfile(await response.json());
+        } catch (error) {
+            console.error('Error loading player:', error);
+            this.playerProfile.style.display = 'none';
+            this.playerNoData.style.display = 'block';
+        }
+    }
+
+    renderPlayerProfile(profile) {
+        const { summary } = profile;
+        const formatRating = (rating) => rating === null ? '-' : rating.toFixed(2);
+
+        this.playerTitle.textContent = `👤 ${profile.name}`;
+        this.playerAppearances.textContent = this.t('player.appearances', {
+            games: this.t('count.games', { count: summary.appearances }),
+            starts: this.t('count.starts', { count: summary.starts })
+        });
+        this.playerMinutes.textContent = this.t('count.minutes', { count: summary.minutes });
+        this.playerAvgRating.textContent = this.t('common.avg', { value: formatRating(summary.averageRating) });
+        this.playerForm.textContent = this.t('player.form', { count: summary.formWindow, value: formatRating(summary.form) });
+        this.playerFormLegend.textContent = this.t('player.rollingFormWindow', { count: summary.formWindow });
+
+        this.renderRatingChart(profile.matches);
+        this.renderMinutesChart(profile.matches);
+
+        this.playerPositionsBody.innerHTML = '';
+        profile.positions.forEach(entry => {
+            const row = document.createElement('tr');
+            const positionCell = document.createElement('td');
+            positionCell.appendChild(this.createPositionBadge(entry.position));
+            const gamesCell = document.createElement('td');
+            gamesCell.textContent = entry.appearances;
+            const minutesCell = document.createElement('td');
+            minutesCell.textContent = entry.minutes;
+            const ratingCell = document.createElement('td');
+            ratingCell.appendChild(this.createRatingElement(entry.averageRating, true));
+            row.append(positionCell, gamesCell, minutesCell, ratingCell);
+            this.playerPositionsBody.appendChild(row);
+        });
+
+        this.renderHighlightList(this.playerBestList, profile.best);
+        this.renderHighlightList(this.playerWorstList, profile.worst);
+
+        // Match history, newest first
+        this.playerMatchesBody.innerHTML = '';
+        [...profile.matches].reverse().forEach(match => {
+            const row = document.createElement('tr');
+            const cells = [
+                match.date,
+                [match.competition, this.formatRound(match.round)].filter(Boolean).join(' · ') || '-',
+                `${match.opponent} (${this.t(match.venue === 'home' ? 'venue.homeShort' : 'venue.awayShort')})`,
+                match.score,
+                null,
+                match.minutesPlayed,
+                null,
+                formatRating(match.form)
+            ].map(text => {
+                const cell = document.createElement('td');
+                if (text !== null) cell.textContent = text;
+                return cell;
+            });
+            cells[4].appendChild(this.createPositionBadge(match.position, match.detailedPosition));
+            cells[6].appendChild(this.createRatingElement(match.rating, true));
+            row.append(...cells);
+            this.playerMatchesBody.appendChild(row);
+        });
+
+        this.playerNoData.style.display = 'none';
+        this.playerProfile.style.display = 'block';
+    }
+
+    renderHighlightList(list, matches) {
+        list.innerHTML = '';
+        matches.forEach(match => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = this.t('common.vs', { date: match.date, opponent: match.opponent });
+            item.append(label, this.createRatingElement(match.rating, true));
+            list.appendChild(item);
+        });
+    }
+
+    // x position of the i-th of n matches inside the chart area
+    chartX(index, count) {
+        const width = CHART.width - CHART.left - CHART.right;
+        return CHART.left + (count > 1 ? (index / (count - 1)) * width : width / 2);
+    }
+
+    createChart(container, yTicks, toY) {
+        container.innerHTML = '';
+        const svg = createSvgElement('svg', { viewBox: `0 0 ${CHART.width} ${CHART.height}`, preserveAspectRatio: 'none' });
+
+        yTicks.forEach(tick => {
+            const y = toY(tick);
+            svg.appendChild(createSvgElement('line', {
+                class: 'grid-line', x1: CHART.left, x2: CHART.width - CHART.right, y1: y, y2: y
+            }));
+            const label = createSvgElement('text', { class: 'axis-label', x: CHART.left - 6, y: y + 4, 'text-anchor': 'end' });
+            label.textContent = tick;
+            svg.appendChild(label);
+        });
+
+        container.appendChild(svg);
+        return svg;
+    }
+
+    addDateLabels(svg, matches) {
+        // Label at most ~8 matches so dates never overlap
+        const step = Math.ceil(matches.length / 8);
+        matches.forEach((match, index) => {
+            if (index % step !== 0 && index !== matches.length - 1) return;
+            const label = createSvgElement('text', {
+                class: 'axis-label', x: this.chartX(index, matches.length), y: CHART.height - 6, 'text-anchor': 'middle'
+            });
+            label.textContent = match.date;
+            svg.appendChild(label);
+        });
+    }
+
+    renderRatingChart(matches) {
+        const rated = matches.filter(match => typeof match.rating === 'number');
+        const min = Math.min(5, ...rated.map(match => Math.floor(match.rating)));
+        const toY = (rating) => CHART.top + ((10 - rating) / (10 - min)) * (CHART.height - CHART.top - CHART.bottom);
+        const ticks = [];
+        for (let tick = min; tick <= 10; tick++) ticks.push(tick);
+
+        const svg = this.createChart(this.playerRatingChart, ticks, toY);
+        const points = (key) => rated
+            .map(match => `${this.chartX(matches.indexOf(match), matches.length)},${toY(match[key])}`)
+            .join(' ');
+
+        svg.appendChild(createSvgElement('polyline', { class: 'rating-line', points: points('rating') }));
+        svg.appendChild(createSvgElement('polyline', { class: 'form-line', points: points('form') }));
+
+        rated.forEach(match => {
+            const point = createSvgElement('circle', {
+                class: 'rating-point', r: 4, cx: this.chartX(matches.indexOf(match), matches.length), cy: toY(match.rating)
+            });
+            const title = createSvgElement('title');
+            title.textContent = `${this.t('common.vs', { date: match.date, opponent: match.opponent })}: ${match.rating}`;
+            point.appendChild(title);
+            svg.appendChild(point);
+        });
+
+        this.addDateLabels(svg, matches);
+    }
+
+    renderMinutesChart(matches) {
+        const max = Math.max(90, ...matches.map(match => match.minutesPlayed || 0));
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const toY = (minutes) => CHART.top + (1 - minutes / max) * plotHeight;
+        const svg = this.createChart(this.playerMinutesChart, [0, 45, 90], toY);
+
+        const slot = (CHART.width - CHART.left - CHART.right) / Math.max(matches.length, 1);
+        const barWidth = Math.min(30, slot * 0.6);
+
+        matches.forEach((match, index) => {
+            const minutes = match.minutesPlayed || 0;
+            const bar = createSvgElement('rect', {
+                class: `minutes-bar${match.isStartingXI ? '' : ' substitute'}`,
+                x: this.chartX(index, matches.length) - barWidth / 2,
+                y: toY(minutes),
+                width: barWidth,
+                height: CHART.top + plotHeight - toY(minutes)
+            });
+            const title = createSvgElement('title');
+            title.textContent = this.t('player.minutesPoint', {
+                match: this.t('common.vs', { date: match.date, opponent: match.opponent }),
+                minutes: minutes,
+                status: this.t(match.isStartingXI ? 'player.started' : 'player.substitute')
+            });
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+
+        this.addDateLabels(svg, matches);
+    }
+
     populateGameSelect() {
-        this.gameSelect.innerHTML = '<option value="">Select a game...</option>';
+        this.gameSelect.innerHTML = `<option value="">${this.t('game.selectPlaceholder')}</option>`;
         
-        this.games.forEach(game => {
+        this.getFilteredGames().forEach(game => {
             const option = document.createElement('option');
             option.value = game.id;
-            option.textContent = `${game.date} - ${game.homeTeam} vs ${game.awayTeam}`;
+            option.textContent = `${game.date} - ${this.t('game.title', { home: game.homeTeam, away: game.awayTeam })}`;
             this.gameSelect.appendChild(option);
         });
     }
@@ -401,9 +1407,23 @@ class MariborApp {
     }
 
     displayGame() {
-        this.gameTitle.textContent = `${this.currentGame.homeTeam} vs ${this.currentGame.awayTeam}`;
+        this.gameTitle.textContent = this.t('game.title', { home: this.currentGame.homeTeam, away: this.currentGame.awayTeam });
         this.gameDate.textContent = `📅 ${this.currentGame.date}`;
         this.gameScore.textContent = `⚽ ${this.currentGame.score}`;
+        const { halftimeScore } = this.currentGame;
+        this.gameHalftime.textContent = halftimeScore ? this.t('game.halftime', { score: halftimeScore }) : '';
+        this.gameHalftime.style.display = halftimeScore ? '' : 'none';
+
+        const { competition, round } = this.currentGame;
+        const venue = this.t(this.getGameVenue(this.currentGame) === 'home' ? 'venue.home' : 'venue.away');
+        const tags = [competition ? `🏆 ${competition.name}` : null, this.formatRound(round), venue].filter(Boolean);
+        this.gameCompetition.textContent = tags.join(' · ');
+
+        const formation = this.currentGame.lineup && this.currentGame.lineup.formation;
+        this.gameFormation.textContent = formation ? `📋 ${formation}` : '';
+        this.gameFormation.style.display = formation ? '' : 'none';
+
+        this.renderMatchDetail();
         
         this.gameInfo.style.display = 'block';
         this.playersTable.style.display = 'table';
@@ -411,8 +1431,167 @@ class MariborApp {
         this.noData.style.display = 'none';
     }
 
+    // Rounds are stored as "Round <n>" whatever language the match page was in
+    formatRound(round) {
+        const match = /^Round (\d+)$/.exec(round || '');
+        return match ? this.t('game.round', { number: match[1] }) : round;
+    }
+
+    // Both lineups on one pitch, home team at the top, and the goal/card/substitution timeline;
+    // games scraped before match events were recorded have neither
+    renderMatchDetail() {
+        const game = this.currentGame;
+        const ours = { name: this.teamName, lineup: game.lineup, players: game.players || [], opponent: false };
+        const theirs = {
+            name: this.getGameVenue(game) === 'home' ? game.awayTeam : game.homeTeam,
+            lineup: game.opponent ? game.opponent.lineup : null,
+            players: game.opponent ? game.opponent.players : [],
+            opponent: true
+        };
+        const [home, away] = this.getGameVenue(game) === 'home' ? [ours, theirs] : [theirs, ours];
+        const hasLineups = [home, away].some(side => side.lineup && side.lineup.startingXI.length > 0);
+        const events = game.events || [];
+
+        this.matchDetail.style.display = hasLineups || events.length > 0 ? '' : 'none';
+        this.matchPitch.innerHTML = '';
+        this.matchPitch.className = 'match-pitch field-container';
+        this.matchPitch.append(this.createMatchSide(home, true), this.createMatchSide(away, false));
+        this.renderMatchTimeline(events, game.halftimeScore);
+    }
+
+    // One team's starting XI in formation lines; the home team attacks down the pitch, so its lines
+    // run from the goalkeeper forwards and its players from its right to its left, as seen from above
+    createMatchSide(side, isHome) {
+        const element = document.createElement('div');
+        element.className = 'match-side';
+
+        const nameElement = document.createElement('div');
+        nameElement.className = 'match-side-name';
+        const formation = side.lineup && side.lineup.formation;
+        nameElement.textContent = formation ? `${side.name} · ${formation}` : side.name;
+
+        const starters = side.lineup ? side.lineup.startingXI : [];
+        const lineSizes = [1, ...(formation || '').split('-').map(Number)];
+        if (starters.length === 0 || lineSizes.reduce((sum, size) => sum + size, 0) !== starters.length) {
+            const emptyElement = document.createElement('div');
+            emptyElement.className = 'match-side-empty';
+            emptyElement.textContent = this.t('match.noLineup');
+            element.append(nameElement, emptyElement);
+            return element;
+        }
+
+        // startingXI lists the goalkeeper, then each line from the team's right to its left
+        let offset = 0;
+        const lines = lineSizes.map(size => {
+            const line = starters.slice(offset, offset + size);
+            offset += size;
+            return isHome ? line : line.reverse();
+        });
+        const lineElements = lines.map(line => {
+            const lineElement = document.createElement('div');
+            lineElement.className = 'match-line';
+            line.forEach(starter => lineElement.appendChild(this.createMatchPlayer(starter, side)));
+            return lineElement;
+        });
+
+        if (isHome) {
+            element.append(nameElement, ...lineElements);
+        } else {
+            element.append(...lineElements.reverse(), nameElement);
+        }
+        return element;
+    }
+
+    createMatchPlayer(starter, side) {
+        const player = side.players.find(candidate =>
+            (starter.playerId && candidate.playerId === starter.playerId) || candidate.name === starter.name);
+
+        const element = document.createElement('div');
+        element.className = `match-player${side.opponent ? ' opponent' : ''}`;
+        element.title = starter.slot ? `${starter.name} (${starter.slot})` : starter.name;
+
+        const numberElement = document.createElement('div');
+        numberElement.className = 'match-player-number';
+        numberElement.textContent = starter.shirtNumber !== null && starter.shirtNumber !== undefined ? starter.shirtNumber : '';
+
+        const nameElement = document.createElement('div');
+        nameElement.className = 'match-player-name';
+        nameElement.textContent = starter.name;
+
+        element.append(numberElement, nameElement, this.createRatingElement(player ? player.rating : null, true));
+        return element;
+    }
+
+    renderMatchTimeline(events, halftimeScore) {
+        this.matchTimeline.innerHTML = '';
+        if (events.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'match-event halftime';
+            item.textContent = this.t('match.noEvents');
+            this.matchTimeline.appendChild(item);
+            return;
+        }
+
+        // The halftime marker goes before the first second-half event, after first-half added time
+        const secondHalf = events.findIndex(event => event.minute > 45);
+        const halftimeAt = secondHalf === -1 ? events.length : secondHalf;
+        events.forEach((event, index) => {
+            if (index === halftimeAt && halftimeScore) this.matchTimeline.appendChild(this.createHalftimeItem(halftimeScore));
+            this.matchTimeline.appendChild(this.createMatchEventItem(event));
+        });
+        if (halftimeAt === events.length && halftimeScore) {
+            this.matchTimeline.appendChild(this.createHalftimeItem(halftimeScore));
+        }
+    }
+
+    createHalftimeItem(score) {
+        const item = document.createElement('li');
+        item.className = 'match-event halftime';
+        item.textContent = `${this.t('match.halftime')} ${score}`;
+        return item;
+    }
+
+    createMatchEventItem(event) {
+        const item = document.createElement('li');
+        item.className = `match-event ${event.type} ${event.team}`;
+
+        const minuteElement = document.createElement('span');
+        minuteElement.className = 'match-event-minute';
+        minuteElement.textContent = event.addedTime ? `${event.minute}+${event.addedTime}'` : `${event.minute}'`;
+
+        const textElement = document.createElement('span');
+        const detailElement = document.createElement('span');
+        detailElement.className = 'match-event-detail';
+        item.append(minuteElement, textElement, detailElement);
+
+        if (event.type === 'goal') {
+            textElement.textContent = `⚽ ${event.player || '-'}`;
+            const details = [
+                event.goalType === 'penalty' ? this.t('match.penalty') : null,
+                event.goalType === 'ownGoal' ? this.t('match.ownGoal') : null,
+                event.assist ? this.t('match.assist', { name: event.assist }) : null
+            ].filter(Boolean);
+            detailElement.textContent = details.join(', ');
+            if (event.score) {
+                const scoreElement = document.createElement('span');
+                scoreElement.className = 'match-event-score';
+                scoreElement.textContent = event.score;
+                item.appendChild(scoreElement);
+            }
+        } else if (event.type === 'card') {
+            const icon = { yellow: '🟨', yellowRed: '🟨🟥', red: '🟥' }[event.card] || '🟨';
+            textElement.textContent = `${icon} ${event.player || '-'}`;
+            detailElement.textContent = this.label('cards', event.card);
+        } else {
+            textElement.textContent = `🔄 ${event.playerIn || '-'} ⬅ ${event.playerOut || '-'}`;
+            detailElement.textContent = event.injury ? this.t('match.injury') : '';
+        }
+        return item;
+    }
+
     hideGame() {
         this.gameInfo.style.display = 'none';
+        this.matchDetail.style.display = 'none';
         this.playersTable.style.display = 'none';
     }
 
@@ -433,21 +1612,91 @@ class MariborApp {
                 break;
         }
 
-        // Sort by rating (highest first), then by name
-        filtered.sort((a, b) => {
-            if (a.rating && b.rating) {
-                return b.rating - a.rating;
-            } else if (a.rating) {
-                return -1;
-            } else if (b.rating) {
-                return 1;
-            } else {
-                return a.name.localeCompare(b.name);
-            }
+        this.filteredPlayers = this.sortPlayers(filtered);
+        this.statColumns = this.getStatColumns(this.currentGame.players);
+        this.renderPlayersTableHeader();
+        this.renderPlayersTable();
+    }
+
+    getStatColumns(players) {
+        const available = new Set();
+        players.forEach(player => {
+            Object.keys(player.stats || {}).forEach(key => available.add(key));
         });
+        // Rating already has its own column
+        available.delete('rating');
 
-        this.filteredPlayers = filtered;
-        this.renderPlayersTable();
+        const known = STAT_COLUMNS.filter(key => available.has(key));
+        const others = Array.from(available).filter(key => !STAT_COLUMNS.includes(key)).sort();
+        return known.concat(others);
+    }
+
+    getStatLabel(key) {
+        if (STAT_COLUMNS.includes(key)) return this.t(`stats.${key}`);
+        const words = key.replace(/([A-Z])/g, ' $1');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    sortPlayers(players) {
+        const column = this.sortColumn;
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+
+        const valueOf = (player) => {
+            if (column === 'rating') return player.rating || null;
+            if (column === 'name') return player.name;
+            const value = player.stats ? player.stats[column] : undefined;
+            return typeof value === 'number' ? value : null;
+        };
+
+        return [...players].sort((a, b) => {
+            const aValue = valueOf(a);
+            const bValue = valueOf(b);
+
+            // Players without a value always go last, then fall back to name
+            if (aValue === null && bValue === null) return a.name.localeCompare(b.name);
+            if (aValue === null) return 1;
+            if (bValue === null) return -1;
+
+            if (column === 'name') return direction * aValue.localeCompare(bValue);
+            return direction * (aValue - bValue) || a.name.localeCompare(b.name);
+        });
+    }
+
+    setSort(column) {
+        if (this.sortColumn === column) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortColumn = column;
+            this.sortDirection = column === 'name' ? 'asc' : 'desc';
+        }
+        this.filterPlayers(this.positionFilter.value);
+    }
+
+    renderPlayersTableHeader() {
+        const columns = [
+            { key: 'name', label: this.t('table.playerName'), sortable: true },
+            { key: 'rating', label: this.t('table.rating'), sortable: true },
+            { key: 'position', label: this.t('table.position') },
+            { key: 'status', label: this.t('table.status') },
+            ...this.statColumns.map(key => ({ key, label: this.getStatLabel(key), sortable: true })),
+            { key: 'performance', label: this.t('table.performance') }
+        ];
+
+        this.playersHeadRow.innerHTML = '';
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+
+            if (column.sortable) {
+                th.className = 'sortable';
+                if (column.key === this.sortColumn) {
+                    th.className += this.sortDirection === 'asc' ? ' sorted-asc' : ' sorted-desc';
+                }
+                th.addEventListener('click', () => this.setSort(column.key));
+            }
+
+            this.playersHeadRow.appendChild(th);
+        });
     }
 
     renderPlayersTable() {
@@ -455,7 +1704,7 @@ class MariborApp {
 
         if (this.filteredPlayers.length === 0) {
             const row = document.createElement('tr');
-            row.innerHTML = '<td colspan="5" style="text-align: center; color: #666;">No players found for selected filter</td>';
+            row.innerHTML = `<td colspan="${5 + this.statColumns.length}" style="text-align: center; color: #666;">${this.t('game.noPlayersForFilter')}</td>`;
             this.playersBody.appendChild(row);
             return;
         }
@@ -464,18 +1713,18 @@ class MariborApp {
             const row = document.createElement('tr');
             
             const nameCell = document.createElement('td');
-            nameCell.textContent = player.name;
+            nameCell.appendChild(this.createPlayerLink(player));
             
             const ratingCell = document.createElement('td');
             const ratingSpan = this.createRatingElement(player.rating);
             ratingCell.appendChild(ratingSpan);
             
             const positionCell = document.createElement('td');
-            const positionBadge = this.createPositionBadge(player.position);
+            const positionBadge = this.createPositionBadge(player.position, player.detailedPosition);
             positionCell.appendChild(positionBadge);
             
             const statusCell = document.createElement('td');
-            const statusBadge = this.createStatusBadge(player.isStartingXI);
+            const statusBadge = this.createStatusBadge(player.isStartingXI, this.getSubstitutionMinute(player));
             statusCell.appendChild(statusBadge);
             
             const performanceCell = document.createElement('td');
@@ -486,6 +1735,15 @@ class MariborApp {
             row.appendChild(ratingCell);
             row.appendChild(positionCell);
             row.appendChild(statusCell);
+
+            this.statColumns.forEach(key => {
+                const statCell = document.createElement('td');
+                const value = player.stats ? player.stats[key] : undefined;
+                statCell.textContent = typeof value === 'number' ? value : '-';
+                statCell.className = 'stat-cell';
+                row.appendChild(statCell);
+            });
+
             row.appendChild(performanceCell);
             
             this.playersBody.appendChild(row);
@@ -498,7 +1756,7 @@ class MariborApp {
         if (isSmall) span.className += ' rating-small';
         
         if (rating === null || rating === undefined || rating === 0) {
-            span.textContent = 'N/A';
+            span.textContent = this.t('common.notAvailable');
             span.className += ' rating-none';
         } else {
             span.textContent = rating.toFixed(1);
@@ -516,10 +1774,14 @@ class MariborApp {
         return span;
     }
 
-    createPositionBadge(position) {
+    createPositionBadge(position, role = null) {
         const badge = document.createElement('span');
         badge.className = 'position-badge';
-        badge.textContent = position || 'Unknown';
+        badge.textContent = position ? this.label('positions', position) : this.t('positions.unknown');
+        if (role) {
+            badge.textContent += ` · ${role}`;
+            badge.title = this.label('roles', role);
+        }
         
         // Add position-specific styling
         const pos = (position || '').toLowerCase();
@@ -538,15 +1800,25 @@ class MariborApp {
         return badge;
     }
 
-    createStatusBadge(isStartingXI) {
+    getSubstitutionMinute(player) {
+        const lineup = this.currentGame && this.currentGame.lineup;
+        if (!lineup || !lineup.substitutions) return null;
+
+        const substitution = lineup.substitutions.find(sub => sub.playerIn === player.name);
+        return substitution ? substitution.minute : null;
+    }
+
+    createStatusBadge(isStartingXI, substitutionMinute = null) {
         const badge = document.createElement('span');
         badge.className = 'status-badge';
         
         if (isStartingXI) {
-            badge.textContent = 'Starting XI';
+            badge.textContent = this.t('status.starting');
             badge.className += ' starting-xi';
         } else {
-            badge.textContent = 'Substitute';
+            badge.textContent = substitutionMinute !== null
+                ? this.t('status.substituteAt', { minute: substitutionMinute })
+                : this.t('status.substitute');
             badge.className += ' substitute';
         }
         
@@ -555,21 +1827,172 @@ class MariborApp {
 
     getPerformanceText(rating) {
         if (rating === null || rating === undefined || rating === 0) {
-            return '<span style="color: #6c757d;">Not Rated</span>';
+            return `<span style="color: #6c757d;">${this.t('performance.notRated')}</span>`;
         } else if (rating >= 8.0) {
-            return '<span style="color: #28a745;">Excellent</span>';
+            return `<span style="color: #28a745;">${this.t('performance.excellent')}</span>`;
         } else if (rating >= 7.0) {
-            return '<span style="color: #17a2b8;">Good</span>';
+            return `<span style="color: #17a2b8;">${this.t('performance.good')}</span>`;
         } else if (rating >= 6.0) {
-            return '<span style="color: #ffc107;">Average</span>';
+            return `<span style="color: #ffc107;">${this.t('performance.average')}</span>`;
         } else {
-            return '<span style="color: #dc3545;">Poor</span>';
+            return `<span style="color: #dc3545;">${this.t('performance.poor')}</span>`;
         }
     }
 
+    // Runs View: recent run reports, and the per-match outcomes of the selected one
+    async loadRuns() {
+        try {
+            const response = await fetch('/api/runs');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const runs = await response.json();
+
+            this.renderRuns(runs);
+            const selected = runs.find(run => run.id === this.selectedRunId) || runs[0];
+            if (selected) await this.loadRun(selected.id);
+        } catch (error) {
+            console.error('Error loading runs:', error);
+            this.renderRuns([]);
+        }
+    }
+
+    renderRuns(runs) {
+        this.runsBody.innerHTML = '';
+        runs.forEach(run => {
+            const row = document.createElement('tr');
+            row.dataset.runId = run.id;
+            row.classList.toggle('selected', run.id === this.selectedRunId);
+
+            const cells = [
+                new Date(run.startedAt).toLocaleString(this.dateLocale),
+                this.label('runReasons', run.reason),
+                null,
+                this.formatDuration(run.durationMs),
+                run.found === null ? '-' : this.t('runs.scrapedOf', {
+                    scraped: Object.values(run.summary).reduce((sum, count) => sum + count, 0),
+                    found: run.found
+                }),
+                null
+            ].map(text => {
+                const cell = document.createElement('td');
+                if (text !== null) cell.textContent = text;
+                return cell;
+            });
+            cells[2].appendChild(this.createOutcomeBadge(run.status, this.label('runStatuses', run.status)));
+            Object.entries(run.summary).forEach(([outcome, count]) => {
+                cells[5].appendChild(this.createOutcomeBadge(outcome, `${count} × ${this.label('outcomes', outcome)}`));
+            });
+            row.append(...cells);
+            row.addEventListener('click', () => this.loadRun(run.id));
+            this.runsBody.appendChild(row);
+        });
+
+        this.runsTable.style.display = runs.length > 0 ? 'table' : 'none';
+        this.runsNoData.style.display = runs.length > 0 ? 'none' : 'block';
+        if (runs.length === 0) this.runDetail.style.display = 'none';
+    }
+
+    async loadRun(id) {
+        try {
+            const response = await fetch(`/api/runs/${encodeURIComponent(id)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.renderRun(await response.json());
+        } catch (error) {
+            console.error('Error loading run:', error);
+        }
+    }
+
+    renderRun(run) {
+        this.selectedRunId = run.id;
+        Array.from(this.runsBody.rows).forEach(row => {
+            row.classList.toggle('selected', row.dataset.runId === run.id);
+        });
+
+        this.runTitle.textContent = this.t('runs.title', {
+            time: new Date(run.startedAt).toLocaleString(this.dateLocale),
+            reason: this.label('runReasons', run.reason)
+        });
+        this.runStatus.textContent = this.t('runs.statusLine', { status: this.label('runStatuses', run.status) });
+        this.runDuration.textContent = `⏱️ ${this.formatDuration(run.durationMs)}`;
+        this.runCandidates.textContent = run.found === null
+            ? this.t('count.matches', { count: run.matches.length })
+            : this.t('runs.candidates', { found: run.found, skipped: run.skipped, scraped: run.matches.length });
+        this.runError.textContent = run.error ? `❌ ${run.error}` : '';
+        this.runError.style.display = run.error ? 'block' : 'none';
+        const steps = Object.entries(run.steps || {}).map(([step, stats]) => {
+            return this.t('runs.step', {
+                step: step,
+                avg: this.formatDuration(stats.avgMs),
+                max: this.formatDuration(stats.maxMs),
+                timeouts: stats.timeouts ? this.t('runs.stepTimeouts', { count: stats.timeouts }) : ''
+            });
+        });
+        this.runSteps.textContent = steps.length ? this.t('runs.steps', { steps: steps.join(' · ') }) : '';
+        this.runSteps.style.display = steps.length ? 'block' : 'none';
+
+        this.runMatchesBody.innerHTML = '';
+        run.matches.forEach(match => {
+            const row = document.createElement('tr');
+            const strategies = match.strategies || [];
+            const notFound = [...new Set(strategies.filter(entry => !entry.strategy).map(entry => entry.target))];
+            const details = [
+                match.outcome === 'ok' || match.outcome === 'no-ratings' ? this.t('count.players', { count: match.players }) : null,
+                match.error,
+                notFound.length > 0 ? this.t('runs.noStrategy', { targets: notFound.join(', ') }) : null,
+                match.screenshot ? `📸 ${match.screenshot}` : null
+            ].filter(Boolean);
+
+            const cells = [
+                match.teams,
+                null,
+                match.source || '-',
+                match.attempts,
+                this.formatDuration(match.durationMs),
+                null
+            ].map(text => {
+                const cell = document.createElement('td');
+                if (text !== null) cell.textContent = text;
+                return cell;
+            });
+            cells[1].appendChild(this.createOutcomeBadge(match.outcome, this.label('outcomes', match.outcome)));
+            if (strategies.length > 0) {
+                cells[2].title = strategies
+                    .map(entry => `${entry.target}: ${entry.strategy || this.t('runs.strategyNotFound')}`)
+                    .join('\n');
+            }
+            if (match.steps && match.steps.length > 0) {
+                cells[4].title = match.steps
+                    .map(entry => `${entry.step}: ${this.formatDuration(entry.durationMs)}${entry.ok ? '' : this.t('runs.timedOut')}`)
+                    .join('\n');
+            }
+            details.forEach(text => {
+                const line = document.createElement('div');
+                line.className = 'run-detail-text';
+                line.textContent = text;
+                cells[5].appendChild(line);
+            });
+            row.append(...cells);
+            this.runMatchesBody.appendChild(row);
+        });
+
+        this.runDetail.style.display = 'block';
+    }
+
+    createOutcomeBadge(outcome, text) {
+        const badge = document.createElement('span');
+        badge.className = `outcome-badge outcome-${outcome}`;
+        badge.textContent = text;
+        return badge;
+    }
+
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return '-';
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+    }
+
     async refreshData() {
         this.refreshBtn.disabled = true;
-        this.refreshBtn.textContent = '🔄 Scraping...';
+        this.refreshBtn.textContent = this.t('scrape.running');
         
         try {
             const response = await fetch('/api/scrape', {
@@ -578,24 +2001,129 @@ class MariborApp {
                     'Content-Type': 'application/json'
                 }
             });
+            const result = await response.json();
             
-            if (response.ok) {
-                const result = await response.json();
-                alert(`Successfully scraped ${result.gamesCount} games!`);
-                await this.loadGames();
+            // 409 means a run is already in progress; follow that one instead
+            if (response.ok || response.status === 409) {
+                this.followScrapeJob(result.job);
             } else {
-                const error = await response.json();
-                alert(`Scraping failed: ${error.details || error.error}`);
+                this.finishScrape(this.t('scrape.failed', { error: result.details || result.error }));
             }
         } catch (error) {
             console.error('Refresh error:', error);
-            alert('Failed to refresh data. Please try again.');
-        } finally {
-            this.refreshBtn.disabled = false;
-            this.refreshBtn.textContent = '🔄 Refresh Data';
+            this.finishScrape(this.t('scrape.startFailed'));
         }
     }
 
+    // Scrape only the open game again and upsert it; progress shows like a full scrape
+    async rescrapeGame() {
+        if (!this.currentGame) return;
+
+        this.rescrapeBtn.disabled = true;
+        try {
+            const response = await fetch('/api/scrape/match', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ match: this.currentGame.url })
+            });
+            const result = await response.json();
+
+            if (response.ok || response.status === 409) {
+                this.followScrapeJob(result.job);
+            } else {
+                this.finishScrape(this.t('scrape.rescrapeFailed', { error: result.details || result.error }));
+            }
+        } catch (error) {
+            console.error('Re-scrape error:', error);
+            this.finishScrape(this.t('scrape.rescrapeStartFailed'));
+        }
+    }
+
+    followScrapeJob(job) {
+        this.scrapeJobId = job.id;
+        this.refreshBtn.disabled = true;
+        this.refreshBtn.textContent = this.t('scrape.running');
+        this.rescrapeBtn.disabled = true;
+        this.cancelScrapeBtn.style.display = '';
+        this.cancelScrapeBtn.disabled = false;
+        this.scrapeProgress.style.display = 'flex';
+        this.scrapeProgressFill.style.width = '0';
+        this.scrapeProgressText.textContent = this.t('scrape.starting');
+
+        if (this.scrapeEvents) this.scrapeEvents.close();
+        this.scrapeEvents = new EventSource(`/api/scrape/${encodeURIComponent(job.id)}/events`);
+
+        this.scrapeEvents.addEventListener('progress', (e) => {
+            this.renderScrapeProgress(JSON.parse(e.data));
+        });
+
+        this.scrapeEvents.addEventListener('end', async (e) => {
+            this.scrapeEvents.close();
+            this.scrapeEvents = null;
+
+            const finished = JSON.parse(e.data);
+            const messages = {
+                completed: this.t('scrape.finished', { games: this.t('count.games', { count: finished.gamesCount }) }),
+                cancelled: this.t('scrape.cancelled'),
+                failed: this.t('scrape.failed', { error: finished.error })
+            };
+            this.finishScrape(messages[finished.status]);
+            await this.loadGames();
+        });
+
+        this.scrapeEvents.addEventListener('error', () => {
+            // EventSource retries on its own unless the server refused the stream
+            if (this.scrapeEvents && this.scrapeEvents.readyState === EventSource.CLOSED) {
+                this.scrapeEvents = null;
+                this.finishScrape(this.t('scrape.connectionLost'));
+            }
+        });
+    }
+
+    renderScrapeProgress(event) {
+        if (event.type === 'match' || event.type === 'match-done') {
+            const done = event.type === 'match-done' ? event.index : event.index - 1;
+            this.scrapeProgressFill.style.width = `${Math.round((done / event.total) * 100)}%`;
+            this.scrapeProgressText.textContent = this.t('scrape.match', { index: event.index, total: event.total, teams: event.teams });
+            if (event.type === 'match-done') {
+                this.scrapeProgressText.textContent += event.success
+                    ? this.t('scrape.matchDone', { players: this.t('count.players', { count: event.players }) })
+                    : this.t('scrape.matchFailed');
+            }
+        } else if (event.type === 'pending' && event.total === 0) {
+            this.scrapeProgressText.textContent = this.t('scrape.nothingNew');
+        } else {
+            this.scrapeProgressText.textContent = event.message;
+        }
+    }
+
+    async cancelScrape() {
+        if (!this.scrapeJobId) return;
+
+        this.cancelScrapeBtn.disabled = true;
+        this.scrapeProgressText.textContent = this.t('scrape.cancelling');
+
+        try {
+            await fetch(`/api/scrape/${encodeURIComponent(this.scrapeJobId)}/cancel`, { method: 'POST' });
+        } catch (error) {
+            console.error('Cancel error:', error);
+            this.cancelScrapeBtn.disabled = false;
+        }
+    }
+
+    finishScrape(message) {
+        this.scrapeProgress.style.display = 'flex';
+        this.scrapeProgressText.textContent = message;
+        this.cancelScrapeBtn.style.display = 'none';
+        this.refreshBtn.disabled = false;
+        this.refreshBtn.textContent = this.t('scrape.refresh');
+        this.rescrapeBtn.disabled = false;
+        this.loadSchedule();
+        if (this.currentPage === 'runsView') this.loadRuns();
+    }
+
     showLoading() {
         this.loading.style.display = 'block';
         this.playersTable.style.display = 'none';
@@ -0,0 +1,186 @@
+// src/browserPool.js - One Puppeteer browser with a pool of pages, a politeness rate limit and per-task timeouts
+const puppeteer = require('puppeteer');
+
+const LAUNCH_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
+
+/**
+ * Hands out up to `size` pages of one lazily launched browser. A page is only reused after
+ * its task succeeded; one whose task failed or timed out is closed and replaced, so a match
+ * never starts on a page left half-way through another.
+ */
+class BrowserPool {
+    /**
+     * @param {Object} options
+     * @param {number} [options.size=1] - Pages open at the same time
+     * @param {boolean} [options.headless=true] - false shows the browser window (needs a display)
+     * @param {number} [options.minDelayMs=0] - Minimum time between two page loads across the pool
+     * @param {Function} [options.preparePage] - async (page) => void, run on every new page
+     * @param {Function} [options.warmUp] - async (page) => void, run once on the first page, e.g. to accept the
+     *   cookie banner, which then holds for every page of the browser
+     * @param {Function} [options.launch] - Replaces puppeteer.launch(), for tests
+     * @param {Logger} [options.log]
+     */
+    constructor(options = {}) {
+        this.size = Math.max(1, options.size || 1);
+        this.headless = options.headless !== false;
+        this.minDelayMs = options.minDelayMs || 0;
+        this.preparePage = options.preparePage || null;
+        this.warmUp = options.warmUp || null;
+        this.launch = options.launch || (launchOptions => puppeteer.launch(launchOptions));
+        this.log = options.log || null;
+
+        this.browser = null;
+        this.starting = null;
+        this.idle = [];
+        this.open = 0;
+        this.waiting = [];
+        this.nextLoadAt = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Launch the browser and warm it up; concurrent callers share the same launch
+     * @returns {Promise<Browser>}
+     */
+    start() {
+        if (!this.starting) {
+            this.starting = (async () => {
+                // 'new' is Chrome's current headless mode; plain true still means the old one in Puppeteer 21
+                const browser = await this.launch({ headless: this.headless ? 'new' : false, args: LAUNCH_ARGS });
+                // Closed while launching: nobody else will close this one
+                if (this.closed) {
+                    await browser.close().catch(() => {});
+                    throw new Error('Browser pool closed');
+                }
+                this.browser = browser;
+                if (this.log) this.log.debug(`🌐 Browser launched (${this.headless ? 'headless' : 'headed'}, ${this.size} pages)`);
+
+                if (this.warmUp) {
+                    this.open++;
+                    const page = await this.newPage().catch(error => {
+                        this.open--;
+                        throw error;
+                    });
+                    try {
+                        await this.warmUp(page);
+                    } catch (error) {
+                        await this.discard(page);
+                        throw error;
+                    }
+                    this.idle.push(page);
+                }
+                return this.browser;
+            })();
+        }
+        return this.starting;
+    }
+
+    async newPage() {
+        const page = await this.browser.newPage();
+        if (this.preparePage) await this.preparePage(page);
+        return page;
+    }
+
+    /**
+     * Run a task on a pool page, waiting for one to be free. The page goes back to the pool when the
+     * task succeeds; otherwise it is closed, which also makes any Puppeteer call still in flight fail.
+     * @param {Function} task - async (page, signal) => result; signal is aborted when the task times out
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Give up on the task after this long
+     * @returns {Promise<*>} The task's result
+     * @throws {Error} The task's error, or a TimeoutError
+     */
+    async withPage(task, options = {}) {
+        const page = await this.acquire();
+        const controller = new AbortController();
+        let timer = null;
+
+        try {
+            const running = task(page, controller.signal);
+            const result = options.timeoutMs
+                ? await Promise.race([running, new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        controller.abort();
+                        const seconds = Math.round(options.timeoutMs / 1000);
+                        reject(Object.assign(new Error(`Timed out after ${seconds}s`), { name: 'TimeoutError' }));
+                    }, options.timeoutMs);
+                })])
+                : await running;
+            // A page that crashed or was closed under the task is not worth keeping
+            if (page.isClosed()) {
+                await this.discard(page);
+            } else {
+                this.release(page);
+            }
+            return result;
+        } catch (error) {
+            // The task may still be running; closing the page ends it
+            await this.discard(page);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Wait for the politeness slot of the next page load. Every navigation of a pool page goes through here.
+     * @returns {Promise<void>}
+     */
+    async throttle() {
+        const now = Date.now();
+        const wait = Math.max(0, this.nextLoadAt - now);
+        this.nextLoadAt = Math.max(now, this.nextLoadAt) + this.minDelayMs;
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    async acquire() {
+        if (this.closed) throw new Error('Browser pool closed');
+        await this.start();
+        if (this.closed) throw new Error('Browser pool closed');
+
+        if (this.idle.length > 0) return this.idle.shift();
+        if (this.open < this.size) {
+            this.open++;
+            try {
+                return await this.newPage();
+            } catch (error) {
+                this.open--;
+                this.wakeNext();
+                throw error;
+            }
+        }
+        // All pages busy: a released page is handed over directly, a discarded one frees a slot
+        await new Promise(resolve => this.waiting.push(resolve));
+        return this.acquire();
+    }
+
+    release(page) {
+        this.idle.push(page);
+        this.wakeNext();
+    }
+
+    async discard(page) {
+        this.open--;
+        await page.close().catch(() => {});
+        this.wakeNext();
+    }
+
+    wakeNext() {
+        const next = this.waiting.shift();
+        if (next) next();
+    }
+
+    /**
+     * Close the browser; tasks still running fail and waiting ones are rejected
+     */
+    async close() {
+        this.closed = true;
+        this.idle = [];
+        this.waiting.splice(0).forEach(resolve => resolve());
+        const browser = this.browser;
+        this.browser = null;
+        if (browser) await browser.close().catch(() => {});
+    }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// src/cli.js - Command-line interface: scrape, list, player, export and doctor
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, CONFIG_FLAGS } = require('./config');
+const { logger } = require('./logger');
+const { openDatabase } = require('./storage/gamesDatabase');
+const MariborScraper = require('./scraper');
+const { runChecks } = require('./doctor');
+const { buildPlayerProfile } = require('./utils/playerProfile');
+const { filterGames, parseFilters } = require('./utils/gameFilters');
+const { buildExportTables, mergeTables, toCsv, toXlsx, toJson, TABLES, FORMATS } = require('./utils/exportTables');
+const { METRICS } = require('./utils/aggregates');
+const { LOCALE_CODES, DEFAULT_LOCALE } = require('./locales');
+
+// Exit codes; cron jobs can tell a scrape where some matches failed from one that failed outright
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_PARTIAL = 2;
+
+const USAGE = `Usage: maribor <command> [options] [config flags]
+
+Commands:
+  scrape [--full] [--since DATE] [--match URL|EVENT_ID]
+                          Scrape new matches into the database, or (re-)scrape one match
+  list [--limit N]        Stored games, newest first
+  player <name or id>     Season profile of one player
+  export [--format csv|json|xlsx] [--table appearances|players|positions] [--file PATH] [--lang en|sl]
+                          Export tables; CSV holds one table (appearances by default),
+                          JSON and XLSX every table unless --table is given
+  doctor [--match URL|EVENT_ID]
+                          Check the config, database, SofaScore API and browser, and which page
+                          selector strategies still work on a known match (default: newest rated game)
+
+Options:
+  --json                  Machine-readable output on stdout; progress goes to stderr
+  --competition ID        Only games of this competition (list, player, export)
+  --venue home|away       Only home or away games (list, player, export)
+  --metric METRIC         Ranking metric for export: ${METRICS.join(', ')}
+
+Config flags (--team-id, --database, --source, ...) override scraper.config.json.
+Exit codes: 0 success, 1 error, 2 scrape finished but some matches failed`;
+
+const BOOLEAN_FLAGS = ['--json', '--full', '--help'];
+const VALUE_FLAGS = ['--match', '--limit', '--format', '--table', '--file', '--competition', '--venue', '--metric', '--lang'];
+
+/**
+ * Split argv into positionals, CLI flags and the config flags passed on to loadConfig()
+ * @param {string[]} argv
+ * @returns {{positionals: string[], flags: Object, configArgv: string[]}}
+ */
+function parseArgs(argv) {
+    const args = { positionals: [], flags: {}, configArgv: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+        if (BOOLEAN_FLAGS.includes(flag)) {
+            args.flags[flag.slice(2)] = true;
+        } else if (VALUE_FLAGS.includes(flag) || CONFIG_FLAGS.includes(flag)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            if (CONFIG_FLAGS.includes(flag)) {
+                args.configArgv.push(flag, value);
+            } else {
+                args.flags[flag.slice(2)] = value;
+            }
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option ${flag}`);
+        } else {
+            args.positionals.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+// Run fn with the configured database, closing it afterwards
+async function withDatabase(config, fn) {
+    const database = openDatabase(config);
+    try {
+        return await fn(database);
+    } finally {
+        database.close();
+    }
+}
+
+function formatRating(rating) {
+    return typeof rating === 'number' ? rating.toFixed(2) : '-';
+}
+
+async function scrapeCommand({ flags, config }) {
+    let saved = null;
+    const scraper = new MariborScraper({
+        full: flags.full,
+        config: config,
+        reason: 'cli',
+        onProgress: event => {
+            if (event.type === 'saved') saved = event;
+        }
+    });
+
+    if (flags.match) {
+        const game = await scraper.scrapeSingleMatch(flags.match);
+        return {
+            code: EXIT_OK,
+            json: { stored: saved.gamesCount, scraped: 1, failed: [], game: game },
+            text: [`🎉 Scraped ${game.homeTeam} ${game.score} ${game.awayTeam} (${game.players.length} players), ${saved.gamesCount} games stored`]
+        };
+    }
+
+    const games = await scraper.scrapeGames();
+    const failed = scraper.failedMatches;
+    const scraped = saved ? saved.scrapedCount : 0;
+
+    return {
+        code: failed.length > 0 ? EXIT_PARTIAL : EXIT_OK,
+        json: { stored: games.length, scraped: scraped, failed: failed },
+        text: [
+            `🎉 Scraped ${scraped} matches, ${games.length} games stored`,
+            ...failed.map(match => `❌ No data for ${match.teams} (${match.url})`)
+        ]
+    };
+}
+
+async function listCommand({ flags, config, filters }) {
+    const limit = flags.limit ? parseInt(flags.limit, 10) : null;
+    if (flags.limit && !(limit > 0)) {
+        throw new Error(`Invalid --limit: ${flags.limit}`);
+    }
+
+    const games = await withDatabase(config, database => database.findGames(filters));
+    const listed = (limit ? games.slice(0, limit) : games).map(game => ({
+        id: game.id,
+        date: game.date,
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        score: game.score,
+        competition: game.competition ? game.competition.name : null,
+        round: game.round || null,
+        players: game.players.length,
+        hasRatings: game.hasRatings
+    }));
+
+    return {
+        code: EXIT_OK,
+        json: listed,
+        text: listed.length === 0 ? ['No games stored'] : listed.map(game => [
+            game.hasRatings ? '✅' : '⚠️ ',
+            game.date,
+            `${game.homeTeam} ${game.score} ${game.awayTeam}`,
+            [game.competition, game.round].filter(Boolean).join(', '),
+            `${game.players} players`
+        ].filter(Boolean).join('  '))
+    };
+}
+
+/**
+ * Resolve a player from an id or a (partial, accent-insensitive) name
+ * @throws {Error} When nothing matches, or a name matches several players
+ */
+function findPlayer(database, query) {
+    if (/^\d+$/.test(query)) {
+        const data = database.getPlayerAppearances(query);
+        if (!data) throw new Error(`No player with id ${query}`);
+        return data;
+    }
+
+    const matches = database.findPlayers(query);
+    const exact = matches.filter(player => player.name.toLowerCase() === query.toLowerCase());
+    const candidates = exact.length === 1 ? exact : matches;
+
+    if (candidates.length === 0) {
+        throw new Error(`No player matches "${query}"`);
+    }
+    if (candidates.length > 1) {
+        const names = candidates.map(player => `${player.name}${player.playerId ? ` (${player.playerId})` : ''}`);
+        throw new Error(`"${query}" matches several players: ${names.join(', ')}`);
+    }
+    return database.getPlayerAppearances(candidates[0].playerId || candidates[0].name);
+}
+
+async function playerCommand({ positionals, config, filters }) {
+    const query = positionals.join(' ').trim();
+    if (!query) {
+        throw new Error('Usage: maribor player <name or id>');
+    }
+
+    const profile = await withDatabase(config, database => {
+        const data = findPlayer(database, query);
+        return buildPlayerProfile(data.player, filterGames(data.appearances, filters), { teamName: config.team.name });
+    });
+    const { summary } = profile;
+
+    return {
+        code: EXIT_OK,
+        json: profile,
+        text: [
+            `👤 ${profile.name}${profile.playerId ? ` (${profile.playerId})` : ''}`,
+            `${summary.appearances} games (${summary.starts} starts), ${summary.minutes} minutes, ` +
+                `avg ${formatRating(summary.averageRating)}, form (last ${summary.formWindow}) ${formatRating(summary.form)}`,
+            ...profile.positions.map(entry =>
+                `  ${entry.position}: ${entry.appearances} games, ${entry.minutes} minutes, avg ${formatRating(entry.averageRating)}`),
+            '',
+            ...[...profile.matches].reverse().map(match => [
+                match.date,
+                `${match.venue === 'home' ? 'vs' : '@'} ${match.opponent}`,
+                match.score,
+                match.detailedPosition || match.position,
+                `${match.minutesPlayed ?? 0}'`,
+                formatRating(match.rating)
+            ].join('  '))
+        ]
+    };
+}
+
+async function exportCommand({ flags, config, filters, stdout }) {
+    const format = flags.format || 'csv';
+    const table = flags.table || (format === 'csv' ? 'appearances' : null);
+    const metric = flags.metric || 'shrunk';
+    const lang = flags.lang || DEFAULT_LOCALE;
+
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+    if (table && !TABLES.includes(table)) {
+        throw new Error(`Unknown table "${table}", expected one of ${TABLES.join(', ')}`);
+    }
+    if (!METRICS.includes(metric)) {
+        throw new Error(`Unknown metric "${metric}", expected one of ${METRICS.join(', ')}`);
+    }
+    if (!LOCALE_CODES.includes(lang)) {
+        throw new Error(`Unknown lang "${lang}", expected one of ${LOCALE_CODES.join(', ')}`);
+    }
+
+    const tables = await withDatabase(config, database => buildExportTables(table, database.findGames(filters), {
+        teamName: config.team.name,
+        lang: lang,
+        metric: metric
+    }));
+
+    let content;
+    if (format === 'csv') content = toCsv(mergeTables(table, tables));
+    else if (format === 'json') content = JSON.stringify(toJson(tables), null, 2);
+    else content = await toXlsx(tables);
+
+    // A workbook is binary, so it always goes to a file
+    const file = flags.file || (format === 'xlsx' ? `${config.team.slug}-ratings.xlsx` : null);
+    if (!file) {
+        stdout.write(content);
+        return { code: EXIT_OK };
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    const rows = tables.reduce((sum, entry) => sum + entry.rows.length, 0);
+    return {
+        code: EXIT_OK,
+        json: { file: path.resolve(file), format: format, tables: tables.map(entry => entry.name), rows: rows },
+        text: [`💾 Exported ${rows} rows (${tables.map(entry => entry.name).join(', ')}) to ${file}`]
+    };
+}
+
+async function doctorCommand({ flags, config }) {
+    const checks = await runChecks(config, { match: flags.match });
+    const ok = checks.every(entry => entry.ok);
+
+    return {
+        code: ok ? EXIT_OK : EXIT_ERROR,
+        json: { ok: ok, checks: checks },
+        text: checks.map(entry => `${entry.ok ? '✅' : '❌'} ${entry.name}: ${entry.detail}`)
+    };
+}
+
+const COMMANDS = {
+    scrape: scrapeCommand,
+    list: listCommand,
+    player: playerCommand,
+    export: exportCommand,
+    doctor: doctorCommand
+};
+
+/**
+ * Run a command line and report its outcome
+ * @param {string[]} argv - Arguments after "maribor"
+ * @param {Object} [io]
+ * @param {Object} [io.stdout] - Writable for results (process.stdout)
+ * @param {Object} [io.stderr] - Writable for errors and, with --json, progress (process.stderr)
+ * @param {Object} [io.env] - Environment for loadConfig()
+ * @param {string} [io.configPath] - Config file for loadConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        stderr.write(`❌ ${error.message}\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    const [command, ...positionals] = args.positionals;
+    if (!command || args.flags.help) {
+        (command ? stdout : stderr).write(`${USAGE}\n`);
+        return command ? EXIT_OK : EXIT_ERROR;
+    }
+    if (!COMMANDS[command]) {
+        stderr.write(`❌ Unknown command "${command}"\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    // With --json only the result goes to stdout; the scraper's progress lines move to stderr
+    const json = Boolean(args.flags.json);
+    const consoleLog = console.log;
+    if (json) {
+        console.log = (...values) => stderr.write(`${values.join(' ')}\n`);
+    }
+
+    try {
+        const config = loadConfig({ argv: args.configArgv, env: io.env, configPath: io.configPath });
+        logger.configure({ ...config.logging, dir: config.logsDir });
+        const filters = parseFilters(args.flags, config.team.name);
+        const result = await COMMANDS[command]({ flags: args.flags, positionals, config, filters, stdout });
+
+        if (json && result.json !== undefined) {
+            stdout.write(`${JSON.stringify(result.json, null, 2)}\n`);
+        } else if (!json && result.text) {
+            stdout.write(`${result.text.join('\n')}\n`);
+        }
+        return result.code;
+    } catch (error) {
+        if (json) {
+            stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+        } else {
+            stderr.write(`❌ ${error.message}\n`);
+        }
+        return EXIT_ERROR;
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exit(code);
+    });
+}
+
+module.exports = { run, parseArgs, EXIT_OK, EXIT_ERROR, EXIT_PARTIAL };
@@ -0,0 +1,275 @@
+// src/config.js - Scraper configuration (config file, environment and CLI overrides)
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, FORMATS } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'scraper.config.json');
+
+const DEFAULTS = {
+    baseUrl: 'https://www.sofascore.com',
+    apiBaseUrl: 'https://api.sofascore.com/api/v1',
+    // 'auto' = JSON API with browser fallback, 'api' = JSON API only, 'browser' = Puppeteer only
+    source: 'auto',
+    team: {
+        id: 2420,
+        slug: 'nk-maribor',
+        name: 'NK Maribor',
+        keywords: ['maribor']
+    },
+    dateFrom: '2025-07-15',
+    dateTo: null,
+    outputPath: 'data/games.json',
+    // Player id -> known names, used to resolve records scraped without an id
+    playersPath: 'data/players.json',
+    databasePath: 'data/maribor.db',
+    // Automatic scrapes run by the server after each kickoff
+    schedule: {
+        enabled: true,
+        delayMinutes: 150,
+        // Second pass once SofaScore has finalized the ratings
+        recheckMinutes: 720,
+        // How often the fixture list is reloaded
+        refreshHours: 6
+    },
+    // Puppeteer, used for the match list and matches the JSON API cannot serve
+    browser: {
+        // false shows the browser window, which needs a display
+        headless: true,
+        // Matches scraped at the same time, each on its own page
+        concurrency: 2,
+        // Minimum time between two page loads, to stay polite to SofaScore
+        minDelaySeconds: 3,
+        // A match taking longer is abandoned and its page closed; 0 for no limit
+        matchTimeoutSeconds: 180
+    },
+    logging: {
+        // debug, info, warn, error or silent
+        level: 'info',
+        // Console output: 'pretty' messages or 'json' lines; log files are always JSON lines
+        format: 'pretty',
+        path: 'data/logs',
+        maxFileMB: 5,
+        maxFiles: 5
+    }
+};
+
+// Environment variable -> config key
+const ENV_OVERRIDES = {
+    TEAM_ID: 'team.id',
+    TEAM_SLUG: 'team.slug',
+    TEAM_NAME: 'team.name',
+    TEAM_KEYWORDS: 'team.keywords',
+    DATE_FROM: 'dateFrom',
+    DATE_TO: 'dateTo',
+    OUTPUT_PATH: 'outputPath',
+    PLAYERS_PATH: 'playersPath',
+    DATABASE_PATH: 'databasePath',
+    SCHEDULE_ENABLED: 'schedule.enabled',
+    SCRAPE_DELAY_MINUTES: 'schedule.delayMinutes',
+    SCRAPE_RECHECK_MINUTES: 'schedule.recheckMinutes',
+    SOFASCORE_URL: 'baseUrl',
+    SOFASCORE_API_URL: 'apiBaseUrl',
+    SCRAPE_SOURCE: 'source',
+    BROWSER_HEADLESS: 'browser.headless',
+    SCRAPE_CONCURRENCY: 'browser.concurrency',
+    SCRAPE_MIN_DELAY_SECONDS: 'browser.minDelaySeconds',
+    SCRAPE_MATCH_TIMEOUT_SECONDS: 'browser.matchTimeoutSeconds',
+    LOG_LEVEL: 'logging.level',
+    LOG_FORMAT: 'logging.format',
+    LOG_PATH: 'logging.path'
+};
+
+// CLI flag -> config key
+const CLI_OVERRIDES = {
+    '--team-id': 'team.id',
+    '--team-slug': 'team.slug',
+    '--team-name': 'team.name',
+    '--team-keywords': 'team.keywords',
+    '--from': 'dateFrom',
+    '--since': 'dateFrom',
+    '--to': 'dateTo',
+    '--output': 'outputPath',
+    '--players': 'playersPath',
+    '--database': 'databasePath',
+    '--schedule': 'schedule.enabled',
+    '--scrape-delay': 'schedule.delayMinutes',
+    '--recheck-delay': 'schedule.recheckMinutes',
+    '--base-url': 'baseUrl',
+    '--api-url': 'apiBaseUrl',
+    '--source': 'source',
+    '--headless': 'browser.headless',
+    '--concurrency': 'browser.concurrency',
+    '--min-delay': 'browser.minDelaySeconds',
+    '--match-timeout': 'browser.matchTimeoutSeconds',
+    '--log-level': 'logging.level',
+    '--log-format': 'logging.format',
+    '--log-path': 'logging.path'
+};
+
+function setValue(config, key, value) {
+    const parts = key.split('.');
+    let target = config;
+    while (parts.length > 1) {
+        target = target[parts.shift()];
+    }
+    const field = parts[0];
+
+    if (field === 'id') {
+        target[field] = parseInt(value, 10);
+    } else if (field === 'enabled' || field === 'headless') {
+        target[field] = !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+    } else if (field === 'concurrency' || /(Seconds|Minutes|Hours)$/.test(field)) {
+        target[field] = Number(value);
+    } else if (field === 'keywords') {
+        target[field] = String(value).split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+    } else {
+        target[field] = value;
+    }
+}
+
+function readConfigFile(configPath) {
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Parse `--flag value` and `--flag=value` pairs for the known config flags
+ * @param {string[]} argv
+ * @returns {Object} config key -> raw value
+ */
+function parseCliOverrides(argv) {
+    const overrides = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const key = CLI_OVERRIDES[flag];
+        if (!key) continue;
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        overrides[key] = value;
+    }
+    return overrides;
+}
+
+/**
+ * Build the effective configuration. Precedence: CLI flags > environment > config file > defaults.
+ * @param {Object} [options]
+ * @param {string[]} [options.argv]
+ * @param {Object} [options.env]
+ * @param {string} [options.configPath]
+ * @returns {Object}
+ */
+function loadConfig(options = {}) {
+    const argv = options.argv || process.argv.slice(2);
+    const env = options.env || process.env;
+    const configPath = options.configPath || env.SCRAPER_CONFIG || DEFAULT_CONFIG_PATH;
+
+    const fileConfig = readConfigFile(path.resolve(ROOT_DIR, configPath));
+    const config = {
+        ...DEFAULTS,
+        ...fileConfig,
+        team: { ...DEFAULTS.team, ...(fileConfig.team || {}) },
+        schedule: { ...DEFAULTS.schedule, ...(fileConfig.schedule || {}) },
+        browser: { ...DEFAULTS.browser, ...(fileConfig.browser || {}) },
+        logging: { ...DEFAULTS.logging, ...(fileConfig.logging || {}) }
+    };
+
+    Object.entries(ENV_OVERRIDES).forEach(([name, key]) => {
+        if (env[name]) setValue(config, key, env[name]);
+    });
+
+    Object.entries(parseCliOverrides(argv)).forEach(([key, value]) => {
+        setValue(config, key, value);
+    });
+
+    return validateConfig(config);
+}
+
+function validateConfig(config) {
+    if (!Number.isInteger(config.team.id) || config.team.id <= 0) {
+        throw new Error(`Invalid team id: ${config.team.id}`);
+    }
+    if (!config.team.slug || !config.team.name) {
+        throw new Error('Team slug and name are required');
+    }
+    if (isNaN(new Date(config.dateFrom))) {
+        throw new Error(`Invalid dateFrom: ${config.dateFrom}`);
+    }
+    if (config.dateTo && isNaN(new Date(config.dateTo))) {
+        throw new Error(`Invalid dateTo: ${config.dateTo}`);
+    }
+    if (!['auto', 'api', 'browser'].includes(config.source)) {
+        throw new Error(`Invalid source: ${config.source} (expected auto, api or browser)`);
+    }
+    ['delayMinutes', 'recheckMinutes', 'refreshHours'].forEach(field => {
+        const value = config.schedule[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid schedule.${field}: ${value}`);
+        }
+    });
+    // The fixture refresh re-arms itself after refreshHours; zero would poll the API in a tight loop
+    if (config.schedule.refreshHours === 0) {
+        throw new Error('Invalid schedule.refreshHours: 0 (expected more than 0)');
+    }
+    if (typeof config.browser.headless !== 'boolean') {
+        throw new Error(`Invalid browser.headless: ${config.browser.headless} (expected true or false)`);
+    }
+    if (!Number.isInteger(config.browser.concurrency) || config.browser.concurrency < 1) {
+        throw new Error(`Invalid browser.concurrency: ${config.browser.concurrency}`);
+    }
+    ['minDelaySeconds', 'matchTimeoutSeconds'].forEach(field => {
+        const value = config.browser[field];
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            throw new Error(`Invalid browser.${field}: ${value}`);
+        }
+    });
+    if (LEVELS[config.logging.level] === undefined) {
+        throw new Error(`Invalid logging.level: ${config.logging.level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (!FORMATS.includes(config.logging.format)) {
+        throw new Error(`Invalid logging.format: ${config.logging.format} (expected ${FORMATS.join(' or ')})`);
+    }
+    if (typeof config.logging.maxFileMB !== 'number' || !Number.isFinite(config.logging.maxFileMB) || config.logging.maxFileMB <= 0) {
+        throw new Error(`Invalid logging.maxFileMB: ${config.logging.maxFileMB} (expected more than 0)`);
+    }
+    if (!Number.isInteger(config.logging.maxFiles) || config.logging.maxFiles < 1) {
+        throw new Error(`Invalid logging.maxFiles: ${config.logging.maxFiles} (expected a whole number of at least 1)`);
+    }
+    if (!config.team.keywords || config.team.keywords.length === 0) {
+        config.team.keywords = [config.team.name.toLowerCase()];
+    }
+
+    config.teamUrl = `${config.baseUrl}/team/football/${config.team.slug}/${config.team.id}`;
+    config.dataPath = path.resolve(ROOT_DIR, config.outputPath);
+    config.playersDataPath = path.resolve(ROOT_DIR, config.playersPath);
+    config.databaseFile = config.databasePath === ':memory:'
+        ? config.databasePath
+        : path.resolve(ROOT_DIR, config.databasePath);
+    config.logsDir = path.resolve(ROOT_DIR, config.logging.path);
+    return config;
+}
+
+/**
+ * Subset of the config that is safe to expose to the frontend
+ * @param {Object} config
+ * @returns {Object}
+ */
+function publicConfig(config) {
+    return {
+        team: { id: config.team.id, slug: config.team.slug, name: config.team.name },
+        dateFrom: config.dateFrom,
+        dateTo: config.dateTo
+    };
+}
+
+// Flags loadConfig() reads from argv, each followed by a value
+const CONFIG_FLAGS = Object.keys(CLI_OVERRIDES);
+
+module.exports = { loadConfig, publicConfig, DEFAULTS, CONFIG_FLAGS };
@@ -0,0 +1,166 @@
+// src/doctor.js - Self-check of the configuration, storage, SofaScore API, browser and page selectors
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { GamesDatabase } = require('./storage/gamesDatabase');
+const SofascoreApiSource = require('./sources/sofascoreApi');
+const MariborScraper = require('./scraper');
+
+/**
+ * Run one check; a thrown error marks it failed with the error message as detail
+ * @param {string} name
+ * @param {Function} fn - Returns (or resolves to) the detail text of a passing check
+ * @returns {Promise<{name: string, ok: boolean, detail: string}>}
+ */
+async function check(name, fn) {
+    try {
+        return { name, ok: true, detail: await fn() };
+    } catch (error) {
+        return { name, ok: false, detail: error.message };
+    }
+}
+
+function checkDatabase(config) {
+    const database = new GamesDatabase(config.databaseFile);
+    try {
+        const games = database.getGames();
+        const rated = games.filter(game => game.hasRatings).length;
+        const version = database.db.pragma('user_version', { simple: true });
+        return `${config.databaseFile} (schema v${version}): ${games.length} games, ${rated} with ratings`;
+    } finally {
+        database.close();
+    }
+}
+
+function checkWritable(filePath) {
+    const dir = path.dirname(filePath);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+    return `${dir} is writable`;
+}
+
+async function checkApi(config) {
+    const api = new SofascoreApiSource(config);
+    const data = await api.get(`/team/${config.team.id}/events/last/0`);
+    return `${config.apiBaseUrl} answered with ${(data.events || []).length} recent ${config.team.name} matches`;
+}
+
+function checkBrowser(config) {
+    let executable;
+    try {
+        executable = puppeteer.executablePath();
+    } catch (error) {
+        // Puppeteer explains at length; the first line names the missing browser
+        throw new Error(error.message.split('\n')[0]);
+    }
+    if (!fs.existsSync(executable)) {
+        throw new Error(`Browser not installed at ${executable} (run "npx puppeteer browsers install chrome")`);
+    }
+    const { headless, concurrency } = config.browser;
+    if (!headless && process.platform === 'linux' && !process.env.DISPLAY) {
+        throw new Error('browser.headless is false but there is no display (DISPLAY is not set)');
+    }
+    return `${executable} (${headless ? 'headless' : 'headed'}, ${concurrency} pages)`;
+}
+
+/**
+ * Match page to probe the selector strategies on: the one asked for (URL, or event id of a stored
+ * game), else the newest stored game with ratings
+ * @param {Object} config
+ * @param {string} [match] - URL or event id
+ * @returns {string} Match URL
+ */
+function knownMatchUrl(config, match) {
+    if (match && /^https?:\/\//.test(match)) return match;
+
+    const database = new GamesDatabase(config.databaseFile);
+    try {
+        const games = database.getGames();
+        const game = match
+            ? games.find(stored => (stored.url || '').endsWith(`#id:${match}`))
+            : games.find(stored => stored.hasRatings && stored.url);
+        if (!game) {
+            throw new Error(match
+                ? `Match ${match} is not stored; pass its SofaScore URL with --match`
+                : 'No stored match with ratings to probe; pass a SofaScore match URL with --match');
+        }
+        return game.url;
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Load a known match in the browser and try every selector strategy on it, see selectorStrategies.js
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {string} [options.match] - Match URL or event id, see knownMatchUrl()
+ * @param {BrowserPool} [options.pool] - Pool to load the match with; the scraper's own by default
+ * @param {Object} [options.waitOptions] - Replaces the scraper's readiness waits, for tests
+ * @returns {Promise<Array<{name: string, ok: boolean, detail: string}>>} One check per target; a target
+ *   passes while any of its strategies works, and the detail names the ones that no longer do
+ */
+async function checkSelectors(config, options = {}) {
+    let url;
+    try {
+        url = knownMatchUrl(config, options.match);
+    } catch (error) {
+        return [{ name: 'selectors', ok: false, detail: error.message }];
+    }
+
+    const scraper = new MariborScraper({ config });
+    const pool = options.pool || scraper.createPool();
+    scraper.pool = pool;
+    if (options.waitOptions) scraper.waitOptions = options.waitOptions;
+    try {
+        const results = await pool.withPage(page => scraper.scopeFor({ page }).probeSelectors(url), {
+            timeoutMs: config.browser.matchTimeoutSeconds * 1000
+        });
+        return Object.entries(results).map(([target, strategies]) => {
+            const working = strategies.filter(entry => entry.ok).map(entry => entry.strategy);
+            const broken = strategies.filter(entry => !entry.ok).map(entry => entry.strategy);
+            const detail = working.length > 0
+                ? `${working[0]} works${working.length > 1 ? ` (also ${working.slice(1).join(', ')})` : ''}`
+                : `no strategy works on ${url}`;
+            return {
+                name: `selectors: ${target}`,
+                ok: working.length > 0,
+                detail: broken.length > 0 ? `${detail}; not working: ${broken.join(', ')}` : detail
+            };
+        });
+    } catch (error) {
+        return [{ name: 'selectors', ok: false, detail: `${url}: ${error.message}` }];
+    } finally {
+        await pool.close();
+    }
+}
+
+/**
+ * Check everything a scrape depends on. Checks that do not apply to the configured source
+ * (the API when scraping only with the browser, the browser when only using the API) are skipped.
+ * The selector check loads a real match page, so it only runs once the browser check passed.
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {Object} [options] - { match, pool }, see checkSelectors()
+ * @returns {Promise<Array<{name: string, ok: boolean, detail: string}>>}
+ */
+async function runChecks(config, options = {}) {
+    const checks = [
+        await check('config', () => `${config.team.name} (${config.team.id}) since ${config.dateFrom}, source ${config.source}`),
+        await check('database', () => checkDatabase(config)),
+        await check('data directory', () => checkWritable(config.dataPath))
+    ];
+
+    if (config.source !== 'browser') {
+        checks.push(await check('SofaScore API', () => checkApi(config)));
+    }
+    if (config.source !== 'api') {
+        const browser = await check('browser', () => checkBrowser(config));
+        checks.push(browser);
+        if (browser.ok) {
+            checks.push(...await checkSelectors(config, options));
+        }
+    }
+    return checks;
+}
+
+module.exports = { runChecks, checkSelectors };
@@ -0,0 +1,89 @@
+// src/locales/index.js - Locale bundles: the scraper's page text heuristics and the web UI strings
+//
+// One JSON bundle per language. Its `scraper` part holds the words the scraper looks for on SofaScore
+// pages served in that language; its `ui` part holds the web UI strings the browser fetches from
+// /api/locales/<code>, and the export headers the server writes (see uiText()).
+const LOCALES = {
+    en: require('./en.json'),
+    sl: require('./sl.json')
+};
+
+const LOCALE_CODES = Object.keys(LOCALES);
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Every locale, the preferred one first, e.g. the language of the page being scraped
+ * @param {string} [preferred] - Locale code or language tag ("sl", "sl-SI"); unknown ones are ignored
+ * @returns {Array<string>}
+ */
+function localeOrder(preferred) {
+    const code = String(preferred || '').toLowerCase().split('-')[0];
+    return LOCALES[code] ? [code, ...LOCALE_CODES.filter(other => other !== code)] : [...LOCALE_CODES];
+}
+
+/**
+ * One scraper heuristic of a locale
+ * @param {string} code
+ * @param {string} key - Key of the bundle's `scraper` part
+ * @returns {*} undefined when the locale has no such heuristic
+ */
+function scraperText(code, key) {
+    return LOCALES[code] ? LOCALES[code].scraper[key] : undefined;
+}
+
+/**
+ * Word lists of several locales joined, in locale order
+ * @param {Array<string>} codes
+ * @param {string} key
+ * @returns {Array<string>}
+ */
+function scraperWords(codes, key) {
+    return codes.flatMap(code => scraperText(code, key) || []);
+}
+
+/**
+ * Maps of several locales merged; earlier locales win on conflicting keys
+ * @param {Array<string>} codes
+ * @param {string} key
+ * @returns {Object}
+ */
+function scraperMap(codes, key) {
+    return Object.assign({}, ...[...codes].reverse().map(code => scraperText(code, key) || {}));
+}
+
+/**
+ * What the web UI needs of a locale
+ * @param {string} code
+ * @returns {Object|null} { code, name, dateLocale, ui }, null for an unknown locale
+ */
+function uiBundle(code) {
+    const locale = Object.hasOwn(LOCALES, code) ? LOCALES[code] : null;
+    return locale ? { code: locale.code, name: locale.name, dateLocale: locale.dateLocale, ui: locale.ui } : null;
+}
+
+/**
+ * One UI string of a locale, for text the server writes itself (e.g. export headers); {name}
+ * placeholders are filled from params. Falls back to the default locale.
+ * @param {string} code
+ * @param {string} key - Key of the bundle's `ui` part
+ * @param {Object} [params]
+ * @returns {string|null} null when no locale has the string
+ */
+function uiText(code, key, params = {}) {
+    const bundle = uiBundle(code) || uiBundle(DEFAULT_LOCALE);
+    const text = Object.hasOwn(bundle.ui, key) ? bundle.ui[key] : LOCALES[DEFAULT_LOCALE].ui[key];
+    if (typeof text !== 'string') return null;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined ? params[name] : placeholder);
+}
+
+module.exports = {
+    LOCALES,
+    LOCALE_CODES,
+    DEFAULT_LOCALE,
+    localeOrder,
+    scraperText,
+    scraperWords,
+    scraperMap,
+    uiBundle,
+    uiText
+};
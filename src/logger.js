@@ -0,0 +1,172 @@
+// src/logger.js - Levelled logging to the console and to rotated JSON-lines files, with run and match context
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['pretty', 'json'];
+
+/**
+ * Append-only log file that rolls over by size: maribor.log -> maribor.1.log -> ... -> maribor.<maxFiles - 1>.log,
+ * dropping the oldest
+ */
+class RotatingFile {
+    /**
+     * @param {string} dir - Log directory, created on the first write
+     * @param {Object} [options]
+     * @param {string} [options.name='maribor'] - File name without extension
+     * @param {number} [options.maxBytes=5242880] - Size at which the current file is rotated
+     * @param {number} [options.maxFiles=5] - Files kept, the current one included
+     */
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.name = options.name || 'maribor';
+        this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+        this.maxFiles = Math.max(1, options.maxFiles || 5);
+        this.size = null;
+    }
+
+    filePath(index = 0) {
+        return path.join(this.dir, index === 0 ? `${this.name}.log` : `${this.name}.${index}.log`);
+    }
+
+    write(line) {
+        if (this.size === null) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            this.size = fs.existsSync(this.filePath()) ? fs.statSync(this.filePath()).size : 0;
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.rotate();
+        }
+        fs.appendFileSync(this.filePath(), line);
+        this.size += bytes;
+    }
+
+    rotate() {
+        for (let index = this.maxFiles - 1; index > 0; index--) {
+            if (fs.existsSync(this.filePath(index - 1))) {
+                fs.renameSync(this.filePath(index - 1), this.filePath(index));
+            }
+        }
+        // With a single file there is nothing to roll over to
+        if (fs.existsSync(this.filePath())) fs.unlinkSync(this.filePath());
+        this.size = 0;
+    }
+}
+
+// Errors are logged by message; JSON.stringify would drop them to {}
+function serializeFields(fields) {
+    const result = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        result[key] = value instanceof Error ? value.message : value;
+    });
+    return result;
+}
+
+class Logger {
+    /**
+     * Use the shared `logger` and its child() loggers rather than constructing one
+     * @param {Object} settings - { level, format, file }, shared by a logger and its children
+     * @param {Object} [context] - Fields added to every entry, e.g. { runId, eventId }
+     */
+    constructor(settings, context = {}) {
+        this.settings = settings;
+        this.context = context;
+    }
+
+    /**
+     * Logger adding more context to every entry; settings stay shared with this one
+     * @param {Object} context
+     * @returns {Logger}
+     */
+    child(context) {
+        return new Logger(this.settings, { ...this.context, ...context });
+    }
+
+    /**
+     * Apply the logging config. Called once by the server and CLI; until then entries only go to the console.
+     * @param {Object} options
+     * @param {string} [options.level='info'] - Lowest level written: debug, info, warn, error or silent
+     * @param {string} [options.format='pretty'] - Console output: 'pretty' (the message) or 'json' (one entry per line)
+     * @param {string} [options.dir] - Directory for rotated log files; none when omitted
+     * @param {number} [options.maxFileMB] - Size at which a log file is rotated
+     * @param {number} [options.maxFiles] - Log files kept
+     */
+    configure(options = {}) {
+        const level = options.level || 'info';
+        const format = options.format || 'pretty';
+        if (LEVELS[level] === undefined) {
+            throw new Error(`Invalid log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Invalid log format: ${format} (expected ${FORMATS.join(' or ')})`);
+        }
+
+        this.settings.level = level;
+        this.settings.format = format;
+        this.settings.file = options.dir
+            ? new RotatingFile(options.dir, {
+                maxBytes: options.maxFileMB ? options.maxFileMB * 1024 * 1024 : undefined,
+                maxFiles: options.maxFiles
+            })
+            : null;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.settings.level];
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} message - Human-readable line, shown as is in pretty mode
+     * @param {Object} [fields] - Structured data for JSON output and the log file
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: String(message).trim(),
+            ...this.context,
+            ...serializeFields(fields)
+        };
+        const json = JSON.stringify(entry);
+
+        // Errors keep going to stderr as they did before; console is looked up per call so tests and the CLI can redirect it
+        const write = level === 'error' ? console.error : console.log;
+        write(this.settings.format === 'json' ? json : message);
+
+        if (this.settings.file) {
+            try {
+                this.settings.file.write(`${json}\n`);
+            } catch (error) {
+                // A full disk or missing permission must not stop a scrape; report it once
+                console.error(`⚠️  Could not write log file: ${error.message}`);
+                this.settings.file = null;
+            }
+        }
+    }
+}
+
+// Shared root logger; modules take child loggers from it
+const logger = new Logger({ level: 'info', format: 'pretty', file: null });
+
+module.exports = { logger, Logger, RotatingFile, LEVELS, FORMATS };
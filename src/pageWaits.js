@@ -0,0 +1,126 @@
+// src/pageWaits.js - Readiness waits for the browser navigation flow, with per-step timeouts
+//
+// Each wait resolves to true when its condition held in time and false when the step timed out;
+// the callers decide whether a timed-out step is fatal (most are not: the next check catches it).
+
+// Per-step timeouts in ms
+const STEP_TIMEOUTS = {
+    // Match page rendered its header after navigation
+    page: 15000,
+    // Cookie banner gone after accepting
+    cookie: 5000,
+    // Team page match list loaded (and grown after each scroll)
+    matchList: 8000,
+    // Lineup tab active or its pitch view rendered
+    lineupTab: 10000,
+    // Lineups JSON the tab requested has arrived
+    lineupData: 5000,
+    // Tab bar rendered enough tabs to find Player statistics
+    navigation: 10000,
+    // Player statistics table rendered with a stable row count
+    statsTable: 15000,
+    // Table redrawn after switching a statistics column group
+    statsGroup: 8000
+};
+
+// A row or link count unchanged this long counts as settled
+const STABLE_MS = 500;
+const POLL_INTERVAL_MS = 100;
+
+/**
+ * Wait for a function run inside the page to return something truthy
+ * @param {Page} page
+ * @param {Function} fn - Runs in the page; must be self-contained
+ * @param {Object} options - { timeout, interval }
+ * @param {...*} args - Passed to fn
+ * @returns {Promise<boolean>}
+ */
+async function waitForCondition(page, fn, options, ...args) {
+    try {
+        await page.waitForFunction(fn, { timeout: options.timeout, polling: options.interval || POLL_INTERVAL_MS }, ...args);
+        return true;
+    } catch (error) {
+        if (error.name === 'TimeoutError' || /exceeded|timed? ?out/i.test(error.message)) return false;
+        throw error;
+    }
+}
+
+/**
+ * Wait until a count read from the page reaches `min` and then stops changing for `stableMs`,
+ * e.g. the rows of a table that renders in batches
+ * @param {Page} page
+ * @param {Function} countFn - Runs in the page and returns a number
+ * @param {Object} options - { timeout, min = 1, stableMs, interval }
+ * @param {...*} args - Passed to countFn
+ * @returns {Promise<number|null>} The settled count, or null on timeout
+ */
+async function waitForStableCount(page, countFn, options, ...args) {
+    const min = options.min === undefined ? 1 : options.min;
+    const stableMs = options.stableMs === undefined ? STABLE_MS : options.stableMs;
+    const interval = options.interval || POLL_INTERVAL_MS;
+    const deadline = Date.now() + options.timeout;
+
+    let last = null;
+    let changedAt = Date.now();
+    for (;;) {
+        const count = await page.evaluate(countFn, ...args);
+        if (count !== last) {
+            last = count;
+            changedAt = Date.now();
+        }
+        if (count >= min && Date.now() - changedAt >= stableMs) return count;
+        if (Date.now() >= deadline) return null;
+        await sleep(interval);
+    }
+}
+
+/**
+ * Wait for a condition on the Node side, e.g. a captured network response
+ * @param {Function} predicate - () => boolean
+ * @param {Object} options - { timeout, interval }
+ * @returns {Promise<boolean>}
+ */
+async function waitUntil(predicate, options) {
+    const deadline = Date.now() + options.timeout;
+    while (!predicate()) {
+        if (Date.now() >= deadline) return false;
+        await sleep(options.interval || POLL_INTERVAL_MS);
+    }
+    return true;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Per-step totals over many matches: how often each step ran, timed out, and how long it took
+ * @param {Array} steps - { step, durationMs, ok } entries
+ * @returns {Object} step -> { count, timeouts, avgMs, maxMs }
+ */
+function summarizeSteps(steps) {
+    const byStep = {};
+    steps.forEach(({ step, durationMs, ok }) => {
+        const stats = byStep[step] || (byStep[step] = { count: 0, timeouts: 0, totalMs: 0, maxMs: 0 });
+        stats.count++;
+        if (!ok) stats.timeouts++;
+        stats.totalMs += durationMs;
+        stats.maxMs = Math.max(stats.maxMs, durationMs);
+    });
+
+    const summary = {};
+    Object.entries(byStep).forEach(([step, { totalMs, ...stats }]) => {
+        summary[step] = { ...stats, avgMs: Math.round(totalMs / stats.count) };
+    });
+    return summary;
+}
+
+module.exports = {
+    STEP_TIMEOUTS,
+    STABLE_MS,
+    POLL_INTERVAL_MS,
+    waitForCondition,
+    waitForStableCount,
+    waitUntil,
+    summarizeSteps
+};
@@ -0,0 +1,151 @@
+// src/playerRegistry.js - Stable player identity: SofaScore player ids and name aliases
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeName } = require('./utils/lineup');
+const { logger } = require('./logger');
+
+/**
+ * Keeps every name a player has appeared under, keyed by SofaScore player id, so that
+ * aggregation can group by id even for records scraped without one.
+ *
+ * File format (data/players.json):
+ * {
+ *   "players": { "900110": { "name": "Žan Kos", "names": ["Žan Kos", "Z. Kos"] } },
+ *   "merges": { "123456": 900110 }
+ * }
+ * Add a spelling to "names" to alias it by hand; add an id to "merges" to fold a
+ * duplicate SofaScore id into the canonical one.
+ */
+class PlayerRegistry {
+    constructor(filePath, data = {}) {
+        this.filePath = filePath;
+        this.players = data.players || {};
+        this.merges = data.merges || {};
+        this.rebuildAliases();
+    }
+
+    static async load(filePath) {
+        try {
+            return new PlayerRegistry(filePath, JSON.parse(await fs.readFile(filePath, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`⚠️  Could not read player registry, starting fresh: ${error.message}`, { error });
+            }
+            return new PlayerRegistry(filePath);
+        }
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ players: this.players, merges: this.merges }, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    rebuildAliases() {
+        // normalized name -> Set of ids; more than one id means the name is ambiguous
+        this.aliases = new Map();
+        Object.entries(this.players).forEach(([id, player]) => {
+            (player.names || []).forEach(name => this.addAlias(name, Number(id)));
+        });
+    }
+
+    addAlias(name, id) {
+        const key = normalizeName(name);
+        if (!key) return;
+        if (!this.aliases.has(key)) this.aliases.set(key, new Set());
+        this.aliases.get(key).add(id);
+    }
+
+    /**
+     * Follow merges to the canonical id
+     * @param {number|string} id
+     * @returns {number}
+     */
+    canonicalId(id) {
+        let current = Number(id);
+        const seen = new Set();
+        while (this.merges[current] !== undefined && !seen.has(current)) {
+            seen.add(current);
+            current = Number(this.merges[current]);
+        }
+        return current;
+    }
+
+    /**
+     * Record a name seen for a player id
+     * @param {number|string} id
+     * @param {string} name
+     * @returns {number} canonical id
+     */
+    register(id, name) {
+        const canonical = this.canonicalId(id);
+        const player = this.players[canonical] || (this.players[canonical] = { name: name, names: [] });
+
+        if (name && !player.names.includes(name)) {
+            player.names.push(name);
+            this.addAlias(name, canonical);
+        }
+        return canonical;
+    }
+
+    /**
+     * Find the id of a player known only by name. Exact (accent-insensitive) aliases
+     * win; otherwise an abbreviated "Ž. Kos" matches a unique player with that initial
+     * and surname.
+     * @param {string} name
+     * @returns {number|null} null when unknown or ambiguous
+     */
+    resolve(name) {
+        const key = normalizeName(name);
+        const exact = this.aliases.get(key);
+        if (exact) {
+            return exact.size === 1 ? this.canonicalId([...exact][0]) : null;
+        }
+
+        const abbreviated = key.match(/^([a-z])\.?\s+(.+)$/);
+        if (!abbreviated) return null;
+
+        const [, initial, surname] = abbreviated;
+        const candidates = new Set();
+        this.aliases.forEach((ids, alias) => {
+            if (alias.startsWith(initial) && alias.endsWith(` ${surname}`)) {
+                ids.forEach(id => candidates.add(this.canonicalId(id)));
+            }
+        });
+        return candidates.size === 1 ? [...candidates][0] : null;
+    }
+
+    canonicalName(id) {
+        const player = this.players[this.canonicalId(id)];
+        return player ? player.name : null;
+    }
+
+    /**
+     * Give every player record in the games a canonical playerId where one can be
+     * determined, registering the names seen along the way
+     * @param {Array} games - Mutated in place
+     * @returns {Array}
+     */
+    applyToGames(games) {
+        const allPlayers = games.flatMap(game => game.players || []);
+
+        // Records with an id teach us names first, so name-only records can be resolved after
+        allPlayers
+            .filter(player => player.playerId)
+            .forEach(player => {
+                player.playerId = this.register(player.playerId, player.name);
+            });
+
+        allPlayers
+            .filter(player => !player.playerId)
+            .forEach(player => {
+                const id = this.resolve(player.name);
+                if (id) player.playerId = id;
+            });
+
+        return games;
+    }
+}
+
+module.exports = PlayerRegistry;
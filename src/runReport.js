@@ -0,0 +1,143 @@
+// src/runReport.js - Per-run health report: what happened to each candidate match and why
+const crypto = require('crypto');
+const { summarizeSteps } = require('./pageWaits');
+
+// Outcome of one match. 'ok' and 'no-ratings' store a game record; the rest are failures.
+const OUTCOMES = [
+    'ok',
+    'no-ratings',
+    'lineup-tab-missing',
+    'stats-tab-missing',
+    'table-verification-failed',
+    'timeout',
+    'error',
+    'cancelled'
+];
+
+/**
+ * Outcome for an error thrown while scraping a match. Navigation failures carry their own
+ * outcome; Puppeteer and axios timeouts are told apart from other errors.
+ * @param {Error} error
+ * @returns {string}
+ */
+function classifyError(error) {
+    if (error && OUTCOMES.includes(error.outcome)) return error.outcome;
+    if (error && (error.name === 'TimeoutError' || error.code === 'ECONNABORTED' || /timed? ?out/i.test(error.message))) {
+        return 'timeout';
+    }
+    return 'error';
+}
+
+function isFailure(entry) {
+    return entry.outcome !== 'ok' && entry.outcome !== 'no-ratings';
+}
+
+class RunReport {
+    /**
+     * @param {Object} options
+     * @param {string} [options.id] - Run id; the scrape job id when started from the server
+     * @param {string} [options.reason='manual'] - Why the run was started
+     * @param {boolean} [options.full=false]
+     * @param {string|null} [options.match] - Match URL or event id of a single-match run
+     * @param {string} [options.source] - Configured data source
+     */
+    constructor(options = {}) {
+        this.id = options.id || crypto.randomUUID();
+        this.reason = options.reason || 'manual';
+        this.full = Boolean(options.full);
+        this.match = options.match || null;
+        this.source = options.source || null;
+        this.status = 'running';
+        this.error = null;
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.found = null;
+        this.skipped = 0;
+        this.matches = [];
+    }
+
+    /**
+     * Start timing a candidate match
+     * @param {Object} gameInfo - Match list entry { url, teams, eventId }
+     * @returns {Object} Entry to pass to finishMatch()
+     */
+    startMatch(gameInfo) {
+        const urlId = (gameInfo.url || '').match(/#id:(\d+)/);
+        const entry = {
+            eventId: gameInfo.eventId ? String(gameInfo.eventId) : (urlId ? urlId[1] : null),
+            teams: gameInfo.teams,
+            url: gameInfo.url,
+            outcome: null,
+            source: null,
+            attempts: 0,
+            players: 0,
+            error: null,
+            screenshot: null,
+            // Browser readiness waits: { step, durationMs, ok }
+            steps: [],
+            startedAt: new Date().toISOString(),
+            durationMs: null
+        };
+        this.matches.push(entry);
+        return entry;
+    }
+
+    /**
+     * @param {Object} entry - From startMatch()
+     * @param {Object} result - { outcome, source, attempts, players, error, screenshot, steps }
+     */
+    finishMatch(entry, result) {
+        Object.assign(entry, result);
+        entry.durationMs = Date.now() - new Date(entry.startedAt).getTime();
+    }
+
+    /**
+     * Close the report. A run that finished with failed matches (not just matches without ratings) is 'partial'.
+     * @param {Error} [error] - What ended the run early, if anything
+     */
+    finish(error = null) {
+        this.finishedAt = new Date();
+        if (error && error.cancelled) {
+            this.status = 'cancelled';
+        } else if (error) {
+            this.status = 'failed';
+            this.error = error.message;
+        } else {
+            this.status = this.matches.some(isFailure) ? 'partial' : 'completed';
+        }
+    }
+
+    /**
+     * Matches per outcome, only outcomes that occurred
+     * @returns {Object} outcome -> count
+     */
+    summary() {
+        const counts = {};
+        this.matches.forEach(entry => {
+            counts[entry.outcome] = (counts[entry.outcome] || 0) + 1;
+        });
+        return counts;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            reason: this.reason,
+            full: this.full,
+            match: this.match,
+            source: this.source,
+            status: this.status,
+            error: this.error,
+            startedAt: this.startedAt.toISOString(),
+            finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+            durationMs: this.finishedAt ? this.finishedAt - this.startedAt : null,
+            found: this.found,
+            skipped: this.skipped,
+            summary: this.summary(),
+            steps: summarizeSteps(this.matches.flatMap(entry => entry.steps || [])),
+            matches: this.matches
+        };
+    }
+}
+
+module.exports = { RunReport, classifyError, OUTCOMES };
@@ -0,0 +1,227 @@
+// src/scheduler.js - Automatic scrapes a set time after each kickoff
+const SofascoreApiSource = require('./sources/sofascoreApi');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scheduler' });
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// setTimeout overflows above ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+// A scheduled scrape that fails is tried again after this long, up to MAX_ATTEMPTS times in all
+const RETRY_MINUTES = 30;
+const MAX_ATTEMPTS = 3;
+
+class ScrapeScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.config - Configuration from loadConfig()
+     * @param {ScrapeJobManager} options.jobs - Runs the scrapes, one at a time
+     * @param {Object} [options.api] - Fixture source with getFixtures(since); SofascoreApiSource by default
+     */
+    constructor(options) {
+        this.config = options.config;
+        this.settings = options.config.schedule;
+        this.jobs = options.jobs;
+        this.api = options.api || new SofascoreApiSource(options.config);
+
+        this.fixtures = [];
+        this.fixturesUpdatedAt = null;
+        // Pending runs, soonest first: { key, eventId, url, teams, kickoff, kind, runAt, attempt }
+        this.pending = [];
+        this.completed = new Set();
+        this.runTimer = null;
+        this.refreshTimer = null;
+        this.started = false;
+        this.runningDue = false;
+        // Set while due runs wait for another scrape to end
+        this.waitingForJob = false;
+        this.onJobEnd = () => {
+            this.waitingForJob = false;
+            if (this.started) this.runDue();
+        };
+    }
+
+    async start() {
+        if (!this.settings.enabled) {
+            log.info('⏸️  Scheduler disabled');
+            return;
+        }
+        this.started = true;
+        await this.refresh();
+    }
+
+    stop() {
+        this.started = false;
+        this.waitingForJob = false;
+        this.jobs.off('end', this.onJobEnd);
+        clearTimeout(this.runTimer);
+        clearTimeout(this.refreshTimer);
+    }
+
+    /**
+     * Reload the fixture list and re-plan the pending runs
+     */
+    async refresh() {
+        const since = new Date(Date.now() - this.settings.recheckMinutes * MINUTE);
+
+        try {
+            this.fixtures = await this.api.getFixtures(since);
+            this.fixturesUpdatedAt = new Date();
+            log.info(`📅 Scheduler loaded ${this.fixtures.length} fixtures`);
+        } catch (error) {
+            // Keep planning from the fixtures we already know; the next refresh tries again
+            log.warn(`⚠️  Could not load fixtures: ${error.message}`, { error });
+        }
+
+        this.plan();
+
+        if (this.started) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = this.setTimer(() => this.refresh(), this.settings.refreshHours * HOUR);
+        }
+    }
+
+    plan() {
+        const now = Date.now();
+        // Due runs still waiting for another scrape to end, and retries of failed ones, stay queued
+        const queued = this.pending.filter(run => run.runAt.getTime() <= now || run.attempt > 1);
+        const queuedKeys = new Set(queued.map(run => run.key));
+
+        const planned = this.fixtures
+            .flatMap(fixture => [
+                this.describeRun(fixture, 'scrape', this.settings.delayMinutes),
+                this.describeRun(fixture, 'recheck', this.settings.recheckMinutes)
+            ])
+            .filter(run => run.runAt.getTime() > now && !this.completed.has(run.key) && !queuedKeys.has(run.key));
+        this.pending = [...queued, ...planned].sort((a, b) => a.runAt - b.runAt);
+
+        this.armRunTimer();
+    }
+
+    describeRun(fixture, kind, delayMinutes) {
+        const kickoff = new Date(fixture.kickoff);
+        return {
+            // Kickoff is part of the key so a rescheduled match is planned again
+            key: `${fixture.eventId}:${kickoff.getTime()}:${kind}`,
+            eventId: fixture.eventId,
+            url: fixture.url,
+            teams: fixture.teams,
+            kickoff: kickoff,
+            kind: kind,
+            runAt: new Date(kickoff.getTime() + delayMinutes * MINUTE),
+            attempt: 1
+        };
+    }
+
+    armRunTimer() {
+        clearTimeout(this.runTimer);
+        // The end of the running scrape starts the queued runs, see onJobEnd
+        if (!this.started || this.pending.length === 0 || this.waitingForJob) return;
+
+        const wait = Math.max(0, this.pending[0].runAt.getTime() - Date.now());
+        this.runTimer = this.setTimer(() => this.runDue(), Math.min(wait, MAX_TIMER_DELAY));
+    }
+
+    /**
+     * Scrape each match with a run that has come due, one single-match job at a time, so a recheck
+     * fetches the match again even when its ratings are already stored. While another scrape is
+     * running the due runs stay queued and start once it ends. A failed scrape is retried later.
+     */
+    async runDue() {
+        if (this.runningDue) return;
+        this.runningDue = true;
+
+        try {
+            let due = this.dueRuns();
+            while (this.started && due.length > 0) {
+                const { eventId, url } = due[0];
+                // A scrape and a recheck of the same match that are both due need one job
+                const runs = due.filter(run => run.eventId === eventId);
+                const reason = runs.map(run => `${run.kind} ${run.teams}`).join(', ');
+
+                if (this.jobs.active) {
+                    log.info(`⏳ Scrape already running, queueing scheduled run (${reason})`, { runId: this.jobs.active.id });
+                    this.waitForActiveJob();
+                    return;
+                }
+
+                log.info(`⏰ Starting scheduled scrape: ${reason}`);
+                // The URL lets the scraper find a match that is not stored yet without the API
+                const job = this.jobs.start(reason, { match: url || String(eventId) });
+                this.pending = this.pending.filter(run => !runs.includes(run));
+                await job.done;
+
+                if (job.status === 'completed') {
+                    runs.forEach(run => this.completed.add(run.key));
+                } else if (job.status === 'failed') {
+                    this.retry(runs, job);
+                }
+
+                due = this.dueRuns();
+            }
+        } finally {
+            this.runningDue = false;
+            this.armRunTimer();
+        }
+    }
+
+    retry(runs, job) {
+        const retries = runs
+            .filter(run => run.attempt < MAX_ATTEMPTS)
+            .map(run => ({ ...run, attempt: run.attempt + 1, runAt: new Date(Date.now() + RETRY_MINUTES * MINUTE) }));
+
+        if (retries.length === 0) {
+            log.error(`❌ Scheduled scrape failed ${MAX_ATTEMPTS} times (${job.error}), giving up`, { runId: job.id });
+            return;
+        }
+        log.warn(`⚠️  Scheduled scrape failed (${job.error}), retrying in ${RETRY_MINUTES} minutes`, { runId: job.id });
+        this.pending = [...this.pending, ...retries].sort((a, b) => a.runAt - b.runAt);
+    }
+
+    dueRuns() {
+        const now = Date.now();
+        return this.pending.filter(run => run.runAt.getTime() <= now);
+    }
+
+    waitForActiveJob() {
+        if (this.waitingForJob) return;
+        this.waitingForJob = true;
+        this.jobs.once('end', this.onJobEnd);
+    }
+
+    /**
+     * Schedule, last run and next run for the API and UI header
+     * @returns {Object}
+     */
+    getStatus() {
+        const latestJob = this.jobs.latest();
+        const describe = run => ({
+            eventId: run.eventId,
+            teams: run.teams,
+            kind: run.kind,
+            kickoff: run.kickoff.toISOString(),
+            runAt: run.runAt.toISOString()
+        });
+
+        return {
+            enabled: this.settings.enabled,
+            delayMinutes: this.settings.delayMinutes,
+            recheckMinutes: this.settings.recheckMinutes,
+            fixturesUpdatedAt: this.fixturesUpdatedAt ? this.fixturesUpdatedAt.toISOString() : null,
+            activeJob: this.jobs.active ? this.jobs.describe(this.jobs.active, { events: false }) : null,
+            lastRun: latestJob ? this.jobs.describe(latestJob, { events: false }) : null,
+            nextRun: this.pending.length > 0 ? describe(this.pending[0]) : null,
+            schedule: this.pending.map(describe)
+        };
+    }
+
+    setTimer(callback, ms) {
+        const timer = setTimeout(callback, ms);
+        // Pending timers must not keep a CLI process alive
+        if (timer.unref) timer.unref();
+        return timer;
+    }
+}
+
+module.exports = ScrapeScheduler;
@@ -0,0 +1,151 @@
+// src/scrapeJobs.js - Scrape runs as background jobs with progress events and cancellation
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Finished jobs kept for GET /api/scrape/:id
+const MAX_FINISHED_JOBS = 20;
+
+class ScrapeJobManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.runScrape - async ({ runId, reason, full, match, onProgress, signal }) => games
+     */
+    constructor(options) {
+        super();
+        // Each open progress stream (SSE client) adds a progress and an end listener and removes both when
+        // it closes, so the count follows the connected clients and the default cap of 10 would only warn
+        this.setMaxListeners(0);
+        this.runScrape = options.runScrape;
+        this.jobs = new Map();
+        this.active = null;
+    }
+
+    /**
+     * Start a scrape in the background. Only one runs at a time, since each may launch a browser.
+     * @param {string} reason - Why the run was started, e.g. 'manual' or the scheduled match
+     * @param {Object} [options] - { full, match } where match is a match URL or event id to scrape alone
+     * @returns {Object} The new job
+     * @throws {Error} with code 'SCRAPE_RUNNING' and the running job when another scrape is active
+     */
+    start(reason, options = {}) {
+        if (this.active) {
+            const error = new Error('A scrape is already running');
+            error.code = 'SCRAPE_RUNNING';
+            error.job = this.active;
+            throw error;
+        }
+
+        const controller = new AbortController();
+        const job = {
+            id: crypto.randomUUID(),
+            reason: reason,
+            full: Boolean(options.full),
+            match: options.match || null,
+            status: 'running',
+            startedAt: new Date(),
+            finishedAt: null,
+            progress: { index: 0, total: null, teams: null },
+            events: [],
+            gamesCount: null,
+            error: null,
+            controller: controller
+        };
+
+        this.jobs.set(job.id, job);
+        this.active = job;
+        this.pruneFinished();
+
+        job.done = this.run(job).finally(() => {
+            job.finishedAt = new Date();
+            this.active = null;
+            this.emit('end', job);
+        });
+
+        return job;
+    }
+
+    async run(job) {
+        const onProgress = (event) => {
+            if (event.total !== undefined) job.progress.total = event.total;
+            if (event.type === 'match') {
+                job.progress.index = event.index;
+                job.progress.teams = event.teams;
+            }
+            job.events.push(event);
+            this.emit('progress', job, event);
+        };
+
+        try {
+            const games = await this.runScrape({
+                runId: job.id,
+                reason: job.reason,
+                full: job.full,
+                match: job.match,
+                onProgress,
+                signal: job.controller.signal
+            });
+            job.status = 'completed';
+            job.gamesCount = games.length;
+        } catch (error) {
+            job.status = job.controller.signal.aborted ? 'cancelled' : 'failed';
+            job.error = error.message;
+        }
+    }
+
+    /**
+     * Ask a running job to stop; matches already scraped are still saved
+     * @param {string} id
+     * @returns {boolean} false when the job is unknown or already finished
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.status !== 'running') return false;
+
+        job.controller.abort();
+        return true;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Most recently started job
+     * @returns {Object|null}
+     */
+    latest() {
+        return Array.from(this.jobs.values()).pop() || null;
+    }
+
+    pruneFinished() {
+        const finished = Array.from(this.jobs.values()).filter(job => job !== this.active);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+            .forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * JSON-safe view of a job for the API
+     * @param {Object} job
+     * @param {Object} [options]
+     * @param {boolean} [options.events=true] - Include the progress event log
+     * @returns {Object}
+     */
+    describe(job, options = {}) {
+        const description = {
+            id: job.id,
+            reason: job.reason,
+            full: job.full,
+            match: job.match,
+            status: job.status,
+            startedAt: job.startedAt.toISOString(),
+            finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+            progress: { ...job.progress },
+            gamesCount: job.gamesCount,
+            error: job.error
+        };
+        if (options.events !== false) description.events = job.events;
+        return description;
+    }
+}
+
+module.exports = ScrapeJobManager;
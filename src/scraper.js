@@ -1,100 +1,632 @@
 // src/scraper.js - Fixed NK Maribor player scraper with position extraction
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { loadConfig } = require('./config');
+const SofascoreApiSource = require('./sources/sofascoreApi');
+const PlayerRegistry = require('./playerRegistry');
+const Helpers = require('./utils/helpers');
+const { openDatabase } = require('./storage/gamesDatabase');
+const { normalizeTableStats } = require('./utils/stats');
+const { parseLineup, applyLineupToPlayers } = require('./utils/lineup');
+const { parseMatchEvents } = require('./utils/matchEvents');
+const { RunReport, classifyError } = require('./runReport');
+const BrowserPool = require('./browserPool');
+const { STEP_TIMEOUTS, STABLE_MS, POLL_INTERVAL_MS, waitForCondition, waitForStableCount, waitUntil } = require('./pageWaits');
+const { logger } = require('./logger');
+const { TARGETS, strategiesFor, applyStrategy } = require('./selectorStrategies');
+const { localeOrder, scraperText, scraperWords, scraperMap } = require('./locales');
+
+/**
+ * Runs inside the page: read every labelled column of the visible player statistics
+ * table for rows of the given team.
+ * @param {Object} team - { id, slug, keywords }
+ * @returns {Object} player name -> { column label: cell text }
+ */
+function readStatsGroupTable(team) {
+    const teamIdPattern = new RegExp(`/team/${team.id}(/|$)`);
+    const isTeamRow = (row) => {
+        const images = Array.from(row.querySelectorAll('img'));
+        const rowText = (row.textContent || '').toLowerCase();
+        return images.some(img => {
+            const src = img.src?.toLowerCase() || '';
+            const alt = img.alt?.toLowerCase() || '';
+            return teamIdPattern.test(src) || src.includes(team.slug) || alt.includes(team.slug) ||
+                team.keywords.some(keyword => src.includes(keyword) || alt.includes(keyword));
+        }) || team.keywords.some(keyword => rowText.includes(keyword));
+    };
+
+    // The stats table is the one holding the most rows of our team
+    let bestTable = null;
+    let bestCount = 0;
+    document.querySelectorAll('table, [role="table"]').forEach(table => {
+        const count = Array.from(table.querySelectorAll('tr')).filter(isTeamRow).length;
+        if (count > bestCount) {
+            bestTable = table;
+            bestCount = count;
+        }
+    });
+    if (!bestTable) return {};
+
+    const headerRow = bestTable.querySelector('thead tr') ||
+        Array.from(bestTable.querySelectorAll('tr')).find(tr => tr.querySelector('th'));
+    const columnLabels = headerRow
+        ? Array.from(headerRow.querySelectorAll('th, td')).map(cell => cell.textContent?.trim() || '')
+        : [];
+
+    const result = {};
+    bestTable.querySelectorAll('tr').forEach(row => {
+        if (!isTeamRow(row)) return;
+        const cells = Array.from(row.querySelectorAll('td, th'));
+
+        const nameCell = cells.slice(0, 4).find(cell => {
+            const text = cell.textContent?.trim() || '';
+            return text.length > 2 && text.length < 40 && /^[A-Za-zÀ-žčšđćž\s\-\.\']+$/.test(text);
+        });
+        if (!nameCell) return;
+
+        const rawStats = {};
+        cells.forEach((cell, index) => {
+            if (columnLabels[index]) rawStats[columnLabels[index]] = cell.textContent?.trim() || '';
+        });
+        result[nameCell.textContent.trim()] = rawStats;
+    });
+
+    return result;
+}
+
+/**
+ * Runs inside the page: rows carrying a player rating in the fullest table, which grows
+ * as the statistics table renders
+ * @returns {number}
+ */
+function countRatedRows() {
+    let most = 0;
+    document.querySelectorAll('table, [role="table"]').forEach(table => {
+        const rated = Array.from(table.querySelectorAll('tr')).filter(row =>
+            Array.from(row.querySelectorAll('td, th, [role="cell"]'))
+                .some(cell => /^\d\.\d$/.test(cell.textContent?.trim() || ''))
+        ).length;
+        most = Math.max(most, rated);
+    });
+    return most;
+}
+
+/**
+ * Runs inside the page: whether the tab with this text is marked active or selected, or
+ * (when a pattern is given) a leaf element of its content has already rendered
+ * @param {string} tabText - Tab text, lower case
+ * @param {string|null} contentPattern - RegExp source matched against leaf element text
+ * @returns {boolean}
+ */
+function isTabShown(tabText, contentPattern) {
+    if (contentPattern) {
+        const pattern = new RegExp(contentPattern);
+        const rendered = Array.from(document.querySelectorAll('div, span'))
+            .some(el => el.children.length === 0 && pattern.test(el.textContent?.trim() || ''));
+        if (rendered) return true;
+    }
+    return Array.from(document.querySelectorAll('a, button, [role="tab"]')).some(el => {
+        if ((el.textContent?.trim().toLowerCase() || '') !== tabText) return false;
+        const className = typeof el.className === 'string' ? el.className : '';
+        return el.getAttribute('aria-selected') === 'true' ||
+            el.getAttribute('aria-current') === 'page' ||
+            el.getAttribute('data-state') === 'active' ||
+            /\b(active|selected)\b/i.test(className);
+    });
+}
 
 class MariborScraper {
-    constructor() {
-        this.baseUrl = 'https://www.sofascore.com';
-        this.mariborTeamUrl = 'https://www.sofascore.com/team/football/nk-maribor/2420';
-        this.targetDate = new Date('2025-07-15');
-        this.dataPath = path.join(__dirname, '../data/games.json');
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Ignore the stored games and rebuild them from scratch
+     * @param {Object} [options.config] - Configuration from loadConfig(); loaded from file/env/CLI if omitted
+     * @param {GamesDatabase} [options.database] - Open database to store games in; opened from config if omitted
+     * @param {Function} [options.onProgress] - Called with { type, message, ... } as the run advances
+     * @param {AbortSignal} [options.signal] - Aborting stops the run after the current match
+     * @param {string} [options.runId] - Id for the run report; a new one is generated if omitted
+     * @param {string} [options.reason='manual'] - Why the run was started, recorded in the run report
+     */
+    constructor(options = {}) {
+        this.full = Boolean(options.full);
+        this.config = options.config || loadConfig();
+        this.team = this.config.team;
+        this.baseUrl = this.config.baseUrl;
+        this.mariborTeamUrl = this.config.teamUrl;
+        this.targetDate = new Date(this.config.dateFrom);
+        this.endDate = this.config.dateTo ? new Date(this.config.dateTo) : null;
+        this.dataPath = this.config.dataPath;
+        this.database = options.database || null;
+        this.onProgress = options.onProgress || null;
+        this.signal = options.signal || null;
+        this.runId = options.runId || null;
+        this.reason = options.reason || 'manual';
+        // Report of the current (or last) run, see runReport.js
+        this.runReport = null;
+        // Carries the run id during a run, and the match while one is scraped
+        this.log = logger.child({ component: 'scraper' });
+        // Matches of the last run that produced no data: { eventId, teams, url }
+        this.failedMatches = [];
+        this.api = new SofascoreApiSource(this.config);
+        // Pages of the run's browser, see browserPool.js; each match gets a page via scopeFor()
+        this.pool = null;
+        this.page = null;
+        // Event/lineups/incidents/average-positions JSON the match page loads itself, keyed by "<eventId>/<endpoint>"
+        // ("<eventId>/event" for the event itself)
+        this.capturedResponses = new Map();
+        this.currentLineup = null;
+        // Why the last navigateToStats() call failed: { outcome, screenshot }
+        this.navigationFailure = null;
         this.screenshotsPath = path.join(__dirname, '../screenshots');
         this.maxRetries = 3;
+        // Languages whose words the text heuristics look for, the language of the current page first (see src/locales)
+        this.locales = localeOrder();
+        // Readiness waits of the browser flow, see pageWaits.js
+        this.waitOptions = { timeouts: { ...STEP_TIMEOUTS }, stableMs: STABLE_MS, interval: POLL_INTERVAL_MS };
+        // How long each wait took: { step, durationMs, ok }, per match in a scope
+        this.stepTimings = [];
+        // Which selector strategy found each target: { target, strategy }, per match in a scope
+        this.strategyHits = [];
     }
 
-    async initBrowser() {
-        this.browser = await puppeteer.launch({
-            headless: false,
-            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    /**
+     * Browser pool for a run. Nothing is launched until a page is first needed, so runs served
+     * entirely by the JSON API never start a browser.
+     * @returns {BrowserPool}
+     */
+    createPool() {
+        const { headless, concurrency, minDelaySeconds } = this.config.browser;
+        return new BrowserPool({
+            size: concurrency,
+            headless: headless,
+            minDelayMs: minDelaySeconds * 1000,
+            preparePage: page => this.preparePage(page),
+            warmUp: page => this.scopeFor({ page }).openTeamPage(),
+            log: this.log
         });
-        
-        this.page = await this.browser.newPage();
-        await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-        await this.page.setViewport({ width: 1366, height: 768 });
-        this.page.setDefaultTimeout(45000);
+    }
+
+    async preparePage(page) {
+        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+        await page.setViewport({ width: 1366, height: 768 });
+        page.setDefaultTimeout(45000);
+        this.captureApiResponses(page);
 
         // Create screenshots directory
         await fs.mkdir(this.screenshotsPath, { recursive: true });
     }
 
-    async scrapeGames() {
-        try {
-            await this.initBrowser();
-            console.log('🔗 Connecting to NK Maribor SofaScore page...');
+    /**
+     * View of this scraper for one match or page, so several can run side by side: page, log,
+     * lineup and navigation failure are its own, everything else (config, run report, captured
+     * responses, pool) is shared. Assignments to shared state must go through the scraper itself.
+     * @param {Object} state - { page, log, signal }; an aborted signal makes isCancelled() true
+     * @returns {MariborScraper}
+     */
+    scopeFor(state) {
+        const scope = Object.create(this);
+        Object.assign(scope, { currentLineup: null, navigationFailure: null, stepTimings: [], strategyHits: [] }, state);
+        if (state.signal) {
+            scope.isCancelled = () => state.signal.aborted || this.isCancelled();
+        }
+        return scope;
+    }
 
-            await this.page.goto(this.mariborTeamUrl, { waitUntil: 'networkidle0' });
+    /**
+     * Keep the event, lineups, incidents and average-positions JSON the match page fetches, so the
+     * lineup step can read the real starting XI instead of guessing it from the rendered pitch, and
+     * the score and match events need not be read from the rendered page
+     * @param {Page} page
+     */
+    captureApiResponses(page) {
+        page.on('response', async (response) => {
+            const match = response.url().match(/\/api\/v1\/event\/(\d+)(?:\/(lineups|incidents|average-positions))?(?:\?|$)/);
+            if (!match || !response.ok()) return;
 
-            // Handle cookie popup once at the beginning
-            const popupHandled = await this.handleCookiePopup();
-            if (popupHandled) {
-                console.log('🍪 Cookie popup resolved');
-                await this.delay(2000); // Wait for popup to close
+            try {
+                this.capturedResponses.set(`${match[1]}/${match[2] || 'event'}`, await response.json());
+            } catch (e) {
+                // Body unavailable (e.g. redirect or navigation); the DOM fallback covers it
             }
+        });
+    }
+
+    async scrapeGames() {
+        return this.withRunResources(async () => {
+            try {
+                // Load what we already have unless a full rebuild was requested
+                const existingGames = this.full ? [] : await this.loadExistingData();
+                if (this.full) {
+                    this.log.info('♻️  Full rebuild requested, ignoring existing data');
+                } else {
+                    this.log.info(`💾 Loaded ${existingGames.length} existing games`);
+                }
 
-            // Get qualified games
-            const gameLinks = await this.getQualifiedGames();
-            console.log(`📅 Found ${gameLinks.length} finished matches after ${this.targetDate.toDateString()}`);
+                // Get qualified games
+                const gameLinks = await this.getGameList();
+                this.report('list', `📅 Found ${gameLinks.length} finished matches after ${this.targetDate.toDateString()}`);
 
-            if (gameLinks.length === 0) {
-                await this.saveData([]);
-                return [];
-            }
+                const completeIds = new Set(existingGames
+                    .filter(game => game.hasRatings)
+                    .map(game => game.id));
+                const pendingLinks = gameLinks.filter(link => !completeIds.has(this.generateGameId(link.url)));
+                this.runReport.found = gameLinks.length;
+                this.runReport.skipped = gameLinks.length - pendingLinks.length;
+                this.report('pending', `⏭️  Skipping ${gameLinks.length - pendingLinks.length} matches that already have ratings`, {
+                    total: pendingLinks.length
+                });
 
-            const gamesData = [];
-            for (let i = 0; i < gameLinks.length; i++) {
-                console.log(`\n🎯 Match ${i + 1}/${gameLinks.length}: ${gameLinks[i].teams}`);
-                
-                const gameData = await this.scrapeGameWithRetries(gameLinks[i]);
-                if (gameData) {
-                    gamesData.push(gameData);
+                // Scraped side by side; results keep match list order, undefined for matches never started
+                const results = new Array(pendingLinks.length);
+                await this.forEachConcurrently(pendingLinks, async (link, i) => {
+                    const progress = { index: i + 1, total: pendingLinks.length, teams: link.teams };
+                    this.report('match', `\n🎯 Match ${i + 1}/${pendingLinks.length}: ${link.teams}`, progress);
+
+                    const gameData = await this.scrapeMatch(link);
+                    results[i] = gameData || null;
+                    this.report('match-done', gameData
+                        ? `✅ ${link.teams}: ${gameData.players.length} players`
+                        : `❌ ${link.teams}: no data`, {
+                        ...progress,
+                        success: Boolean(gameData),
+                        players: gameData ? gameData.players.length : 0
+                    });
+                });
+
+                const scrapedGames = results.filter(Boolean);
+                pendingLinks.forEach((link, i) => {
+                    if (results[i] !== null) return;
+                    this.failedMatches.push({ eventId: this.parseEventId(link.url), teams: link.teams, url: link.url });
+                });
+
+                const gamesData = this.mergeGames(existingGames, scrapedGames, gameLinks);
+                const registry = await PlayerRegistry.load(this.config.playersDataPath);
+                registry.applyToGames(gamesData);
+                await this.saveData(gamesData);
+                await registry.save();
+            
+                // Summary
+                this.log.info('\n📊 EXTRACTION SUMMARY:');
+                scrapedGames.forEach((game, index) => {
+                    this.log.info(`  ${index + 1}. ${game.homeTeam} vs ${game.awayTeam}: ${game.players.length} players`);
+                });
+                this.report('saved', `  Stored games: ${gamesData.length} (${scrapedGames.length} scraped this run)`, {
+                    gamesCount: gamesData.length,
+                    scrapedCount: scrapedGames.length
+                });
+
+                // Matches finished before the cancellation are kept; the caller still learns the run was cut short
+                if (this.isCancelled()) {
+                    const error = new Error('Scrape cancelled');
+                    error.cancelled = true;
+                    throw error;
                 }
+
+                return gamesData;
+            } catch (error) {
+                this.log.error(`❌ Scraping failed: ${error.message}`, { error });
+                throw error;
             }
+        }, {});
+    }
+
+    /**
+     * Scrape one match, given by SofaScore URL or event id, and upsert it into the store.
+     * A match not stored yet goes first, as the newest; the next full run puts it in match list order.
+     * @param {string|number} target - Match URL (with its "#id:" part) or event id
+     * @returns {Promise<Object>} The stored game record
+     * @throws {Error} When the match cannot be resolved or yields no data
+     */
+    async scrapeSingleMatch(target) {
+        return this.withRunResources(async () => {
+            const existingGames = await this.loadExistingData();
+            const gameInfo = await this.resolveMatch(target, existingGames);
+
+            const progress = { index: 1, total: 1, teams: gameInfo.teams };
+            this.report('pending', `🎯 Scraping single match: ${gameInfo.teams}`, { total: 1 });
+            this.report('match', `\n🎯 Match 1/1: ${gameInfo.teams}`, progress);
 
+            const gameData = await this.scrapeMatch(gameInfo);
+            this.report('match-done', gameData
+                ? `✅ ${gameInfo.teams}: ${gameData.players.length} players`
+                : `❌ ${gameInfo.teams}: no data`, {
+                ...progress,
+                success: Boolean(gameData),
+                players: gameData ? gameData.players.length : 0
+            });
+            if (!gameData) {
+                this.failedMatches.push({ eventId: this.parseEventId(gameInfo.url), teams: gameInfo.teams, url: gameInfo.url });
+                throw new Error(`No data for ${gameInfo.teams}`);
+            }
+
+            const gamesData = this.upsertGame(existingGames, gameData);
+            const registry = await PlayerRegistry.load(this.config.playersDataPath);
+            registry.applyToGames(gamesData);
             await this.saveData(gamesData);
-            
-            // Summary
-            console.log('\n📊 EXTRACTION SUMMARY:');
-            gamesData.forEach((game, index) => {
-                console.log(`  ${index + 1}. ${game.homeTeam} vs ${game.awayTeam}: ${game.players.length} players`);
+            await registry.save();
+
+            this.report('saved', `  Stored games: ${gamesData.length} (1 scraped this run)`, {
+                gamesCount: gamesData.length,
+                scrapedCount: 1
             });
+            return gamesData.find(game => game.id === gameData.id);
+        }, { match: String(target) });
+    }
 
-            return gamesData;
+    /**
+     * Run a worker over the items with up to config.browser.concurrency of them in flight.
+     * No new item is started once the run is cancelled or a worker has thrown; the first
+     * error is rethrown after the items in flight have finished.
+     * @param {Array} items
+     * @param {Function} worker - async (item, index) => void
+     */
+    async forEachConcurrently(items, worker) {
+        let next = 0;
+        let failure = null;
+        const runWorker = async () => {
+            while (next < items.length && !failure && !this.isCancelled()) {
+                const index = next++;
+                try {
+                    await worker(items[index], index);
+                } catch (error) {
+                    failure = failure || error;
+                }
+            }
+        };
+        const workers = Math.min(this.config.browser.concurrency, items.length);
+        await Promise.all(Array.from({ length: workers }, runWorker));
+        if (failure) throw failure;
+    }
 
+    /**
+     * Open the database (unless one was passed in) and the browser pool for a run, and close them
+     * afterwards; cancelling closes the browser right away so the Puppeteer calls in flight fail fast.
+     * The run report is saved to the database however the run ends.
+     * @param {Function} task - async () => result
+     * @param {Object} details - { match } for a single-match run
+     * @returns {Promise<*>} The task's result
+     */
+    async withRunResources(task, details) {
+        const ownsDatabase = !this.database;
+        if (ownsDatabase) this.database = openDatabase(this.config);
+        // One scraper may run several times (cli --watch); nothing of an earlier run carries over
+        this.failedMatches = [];
+        this.capturedResponses.clear();
+        this.runReport = new RunReport({
+            id: this.runId,
+            reason: this.reason,
+            full: this.full,
+            match: details.match,
+            source: this.config.source
+        });
+        const log = this.log;
+        this.log = log.child({ runId: this.runReport.id });
+        this.pool = this.createPool();
+
+        const closeBrowserOnAbort = () => {
+            this.pool.close();
+        };
+        if (this.signal) this.signal.addEventListener('abort', closeBrowserOnAbort);
+
+        let failure = null;
+        try {
+            return await task();
         } catch (error) {
-            console.error('❌ Scraping failed:', error.message);
+            // Cancelling closes the browser pool, so work still in flight fails with an error of its own
+            if (this.isCancelled()) error.cancelled = true;
+            failure = error;
             throw error;
         } finally {
-            if (this.browser) await this.browser.close();
+            if (this.signal) this.signal.removeEventListener('abort', closeBrowserOnAbort);
+            await this.pool.close();
+            this.pool = null;
+            this.saveRunReport(failure);
+            this.log = log;
+            if (ownsDatabase) {
+                this.database.close();
+                this.database = null;
+            }
         }
     }
 
-    async handleCookiePopup() {
+    /**
+     * Close the run report and store it; a storage error is logged rather than hiding how the run ended
+     * @param {Error|null} error - What ended the run, if it did not finish
+     */
+    saveRunReport(error) {
+        this.runReport.finish(error);
         try {
-            return await this.page.evaluate(() => {
+            this.database.saveRun(this.runReport.toJSON());
+            const counts = Object.entries(this.runReport.summary()).map(([outcome, count]) => `${count} ${outcome}`);
+            this.log.info(`🩺 Run report ${this.runReport.id}: ${this.runReport.status}${counts.length ? ` (${counts.join(', ')})` : ''}`, {
+                status: this.runReport.status,
+                summary: this.runReport.summary()
+            });
+        } catch (saveError) {
+            this.log.warn(`⚠️  Could not save the run report: ${saveError.message}`, { error: saveError });
+        }
+    }
+
+    /**
+     * Match list entry for a match given by URL or event id. The JSON API supplies the teams and
+     * date; without it the browser needs the match URL, from the argument or the stored game.
+     * @param {string|number} target
+     * @param {Array} existingGames
+     * @returns {Promise<Object>} { url, teams, dateString, eventId }, plus date when the API supplied it
+     */
+    async resolveMatch(target, existingGames) {
+        const { eventId, url: targetUrl } = Helpers.parseMatchTarget(target);
+
+        if (this.config.source !== 'browser') {
+            try {
+                return await this.api.getGameInfo(eventId);
+            } catch (error) {
+                if (this.config.source === 'api' || error.code === 'INVALID_MATCH') throw error;
+                this.log.warn(`⚠️  JSON API unavailable (${error.message}), falling back to browser`, { error });
+            }
+        }
+
+        const stored = existingGames.find(game => this.parseEventId(game.url) === eventId);
+        const url = targetUrl || stored?.url;
+        if (!url) {
+            throw new Error(`Match ${eventId} is not stored yet; pass its SofaScore URL to scrape it with the browser`);
+        }
+        if (!stored) {
+            this.log.warn('⚠️  Match date unknown without the JSON API, using today\'s date');
+        }
+        return {
+            url: url,
+            teams: stored ? `${stored.homeTeam} vs ${stored.awayTeam}` : `match ${eventId}`,
+            dateString: stored ? stored.date : new Date().toLocaleDateString(),
+            eventId: Number(eventId)
+        };
+    }
+
+    /**
+     * Match list from the JSON API, or from the rendered team page when the API is
+     * disabled or unavailable
+     * @returns {Promise<Array>}
+     */
+    async getGameList() {
+        if (this.config.source !== 'browser') {
+            try {
+                const gameLinks = await this.api.getQualifiedGames();
+                this.log.info('📡 Match list loaded from JSON API', { matches: gameLinks.length });
+                return gameLinks;
+            } catch (error) {
+                if (this.config.source === 'api') throw error;
+                this.log.warn(`⚠️  JSON API unavailable (${error.message}), falling back to browser`, { error });
+            }
+        }
+
+        return await this.pool.withPage(async (page) => {
+            const scope = this.scopeFor({ page });
+            // The first page was left on the team page by the pool's warm-up
+            if (page.url() !== this.mariborTeamUrl) await scope.openTeamPage();
+            return await scope.getQualifiedGames();
+        });
+    }
+
+    /**
+     * Scrape one match through the JSON API, falling back to the browser when that fails
+     * @param {Object} gameInfo
+     * @returns {Promise<Object|null>}
+     */
+    async scrapeMatch(gameInfo) {
+        const entry = this.runReport ? this.runReport.startMatch(gameInfo) : null;
+        const result = { outcome: null, source: null, attempts: 0, error: null, screenshot: null };
+
+        const match = this.scopeFor({ log: this.log.child({ eventId: this.parseEventId(gameInfo.url), match: gameInfo.teams }) });
+        let gameData = null;
+        try {
+            gameData = await match.scrapeMatchFromSources(gameInfo, result);
+            return gameData;
+        } finally {
+            if (gameData) {
+                // Earlier failed attempts (or the API before a browser fallback) no longer matter
+                Object.assign(result, { outcome: gameData.hasRatings ? 'ok' : 'no-ratings', error: null, screenshot: null });
+            }
+            if (entry) {
+                this.runReport.finishMatch(entry, {
+                    ...result,
+                    outcome: result.outcome || 'error',
+                    players: gameData ? gameData.players.length : 0
+                });
+            }
+        }
+    }
+
+    /**
+     * The JSON API first (unless disabled), then the browser on a pool page. A match running past
+     * config.browser.matchTimeoutSeconds is given up and its page closed, and one whose browser
+     * scrape fails (e.g. Chrome does not launch) is recorded as failed; either way the run goes on.
+     * @param {Object} gameInfo
+     * @param {Object} result - Filled in with { source, attempts, outcome, error, screenshot, steps, strategies } for the run report
+     * @returns {Promise<Object|null>}
+     */
+    async scrapeMatchFromSources(gameInfo, result) {
+        if (this.config.source !== 'browser' && gameInfo.eventId) {
+            result.source = 'api';
+            result.attempts = 1;
+            try {
+                const gameData = await this.api.scrapeGame(gameInfo);
+                this.log.info(`📡 Loaded from JSON API: ${gameData.players.length} players`, { source: 'api', players: gameData.players.length });
+                return gameData;
+            } catch (error) {
+                result.outcome = classifyError(error);
+                result.error = error.message;
+                if (this.config.source === 'api') {
+                    this.log.warn(`❌ JSON API failed: ${error.message}`, { error });
+                    return null;
+                }
+                this.log.warn(`⚠️  JSON API failed (${error.message}), falling back to browser`, { error });
+            }
+        }
+
+        result.source = 'browser';
+        try {
+            return await this.pool.withPage(
+                (page, signal) => {
+                    const scope = this.scopeFor({ page, signal });
+                    result.steps = scope.stepTimings;
+                    result.strategies = scope.strategyHits;
+                    return scope.scrapeGameWithRetries(gameInfo, result);
+                },
+                { timeoutMs: this.config.browser.matchTimeoutSeconds * 1000 }
+            );
+        } catch (error) {
+            result.outcome = classifyError(error);
+            result.error = error.message;
+            if (error.name === 'TimeoutError') {
+                this.log.warn(`⏱️  Match abandoned: ${error.message}`, { outcome: result.outcome });
+            } else {
+                this.log.error(`❌ Browser scrape failed: ${error.message}`, { error, outcome: result.outcome });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Open the team page and accept the cookie banner, which then holds for every page of the browser
+     */
+    async openTeamPage() {
+        this.log.info(`🔗 Connecting to ${this.team.name} SofaScore page...`);
+
+        await this.navigate(this.mariborTeamUrl);
+        await this.detectPageLocale();
+
+        // Handle cookie popup once at the beginning
+        const consentWords = scraperWords(this.locales, 'cookieButtons');
+        const popupHandled = await this.handleCookiePopup(consentWords);
+        if (popupHandled) {
+            this.log.debug('🍪 Cookie popup resolved');
+            await this.waitStep('cookie', options => waitForCondition(this.page, (words) => {
+                return !Array.from(document.querySelectorAll('button')).some(btn => {
+                    const text = btn.textContent?.toLowerCase() || '';
+                    return btn.offsetParent !== null && words.some(word => text.includes(word));
+                });
+            }, options, consentWords));
+        }
+    }
+
+    /**
+     * @param {Array<string>} consentWords - Lower-case words of a consent button, in every page language
+     * @returns {Promise<boolean>} Whether a consent button was clicked
+     */
+    async handleCookiePopup(consentWords) {
+        try {
+            return await this.page.evaluate((words) => {
                 // Look for common cookie consent buttons
                 const buttons = Array.from(document.querySelectorAll('button'));
-                const consentButton = buttons.find(btn => 
-                    btn.textContent?.toLowerCase().includes('consent') ||
-                    btn.textContent?.toLowerCase().includes('accept') ||
-                    btn.textContent?.toLowerCase().includes('agree')
-                );
+                const consentButton = buttons.find(btn => {
+                    const text = btn.textContent?.toLowerCase() || '';
+                    return words.some(word => text.includes(word));
+                });
                 if (consentButton) {
                     consentButton.click();
                     return true;
                 }
                 return false;
-            });
+            }, consentWords);
         } catch (e) {
             return false;
         }
@@ -103,25 +635,26 @@ class MariborScraper {
     async getQualifiedGames() {
         // Click results tab if available
         try {
-            await this.page.evaluate(() => {
+            await this.page.evaluate((words) => {
                 const elements = Array.from(document.querySelectorAll('*'));
                 const resultsTab = elements.find(el => 
-                    el.textContent && (el.textContent.toLowerCase().includes('all') || 
-                                     el.textContent.toLowerCase().includes('results'))
+                    el.textContent && words.some(word => el.textContent.toLowerCase().includes(word))
                 );
                 if (resultsTab) resultsTab.click();
-            });
-            await this.delay(2000);
+            }, scraperWords(this.locales, 'resultsTab'));
         } catch (e) {}
 
-        // Scroll to load matches
+        // Scroll to load matches, each time until the list stops growing
+        const countMatchLinks = () => document.querySelectorAll('a[href*="/match/"]').length;
+        await this.waitStep('matchList', options => waitForStableCount(this.page, countMatchLinks, options));
         for (let i = 0; i < 3; i++) {
             await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-            await this.delay(1000);
+            await this.waitStep('matchList', options => waitForStableCount(this.page, countMatchLinks, options));
         }
 
-        return await this.page.evaluate((targetDateStr) => {
+        return await this.page.evaluate((targetDateStr, endDateStr, finishedMarkers) => {
             const targetDate = new Date(targetDateStr);
+            const endDate = endDateStr ? new Date(endDateStr) : new Date();
             const links = [];
             const matchLinks = document.querySelectorAll('a[href*="/match/"]');
             
@@ -139,7 +672,8 @@ class MariborScraper {
                         const [, day, month, year] = dateMatch;
                         const gameDate = new Date(2000 + parseInt(year), parseInt(month) - 1, parseInt(day));
                         
-                        if (fullText.includes('FT') && gameDate >= targetDate && gameDate <= new Date()) {
+                        const finished = finishedMarkers.some(marker => fullText.includes(marker));
+                        if (finished && gameDate >= targetDate && gameDate <= endDate) {
                             links.push({
                                 url: href,
                                 teams: teams,
@@ -152,50 +686,79 @@ class MariborScraper {
             });
             
             return links.sort((a, b) => b.date - a.date);
-        }, this.targetDate.toISOString());
+        }, this.targetDate.toISOString(), this.endDate ? this.endDate.toISOString() : null, scraperWords(this.locales, 'finishedMarkers'));
     }
 
-    async scrapeGameWithRetries(gameInfo) {
+    /**
+     * @param {Object} gameInfo
+     * @param {Object} [result] - Counts attempts and records why the last one failed, for the run report
+     * @returns {Promise<Object|null>}
+     */
+    async scrapeGameWithRetries(gameInfo, result = {}) {
+        const apiAttempts = result.attempts || 0;
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            if (this.isCancelled()) {
+                if (attempt === 1) result.outcome = 'cancelled';
+                return null;
+            }
+            result.attempts = apiAttempts + attempt;
+
             try {
-                console.log(`🔄 Retry ${attempt}/${this.maxRetries}`);
+                this.log.debug(`🔄 Retry ${attempt}/${this.maxRetries}`, { attempt });
                 
-                const result = await this.scrapeGame(gameInfo);
-                if (result) return result;
+                const gameData = await this.scrapeGame(gameInfo);
+                if (gameData) return gameData;
                 
                 // If we reach here, result was null/undefined
-                console.log(`⚠️  Attempt ${attempt} returned no result`);
+                this.log.warn(`⚠️  Attempt ${attempt} returned no result`, { attempt });
                 
             } catch (error) {
-                console.log(`❌ Attempt ${attempt} error: ${error.message}`);
+                this.log.warn(`❌ Attempt ${attempt} error: ${error.message}`, { attempt, outcome: result.outcome, error });
+                result.outcome = classifyError(error);
+                result.error = error.message;
+                result.screenshot = error.screenshot || null;
                 
                 if (attempt === this.maxRetries) {
-                    console.log('❌ All retries failed, going to next match');
+                    this.log.warn('❌ All retries failed, going to next match');
                     return null;
                 }
             }
         }
         
-        console.log('❌ All retries failed, going to next match');
+        this.log.warn('❌ All retries failed, going to next match');
         return null;
     }
 
+    /**
+     * Load a URL in this page, waiting for the pool's politeness slot first
+     * @param {string} url
+     */
+    async navigate(url) {
+        if (this.pool) await this.pool.throttle();
+        await this.page.goto(url, { waitUntil: 'networkidle0' });
+    }
+
     async scrapeGame(gameInfo) {
-        await this.page.goto(gameInfo.url, { waitUntil: 'networkidle0' });
-        await this.delay(2000);
+        await this.navigate(gameInfo.url);
+        // The header (teams in the title) renders after the network settles
+        await this.waitStep('page', options => waitForCondition(this.page, () => document.title.includes(' vs '), options));
+        await this.detectPageLocale();
 
         // Extract basic game info
-        const gameBasicInfo = await this.page.evaluate(() => {
+        const roundPatterns = this.locales.map(code => scraperText(code, 'round')).filter(Boolean);
+        const titleSuffixes = scraperWords(this.locales, 'titleSuffixes');
+        const gameBasicInfo = await this.page.evaluate((roundPatterns, titleSuffixes) => {
             const title = document.title || '';
             let homeTeam = 'Unknown', awayTeam = 'Unknown', score = '0-0';
             
+            // "Home vs Away live score, H2H and lineups | Sofascore", with the suffix in the page language
             if (title.includes(' vs ')) {
                 const [home, away] = title.split(' vs ');
                 homeTeam = home.trim();
-                awayTeam = away.split(' live score')[0].split(' |')[0].trim();
+                awayTeam = titleSuffixes.reduce((name, suffix) => name.split(suffix)[0], away).split(' |')[0].trim();
             }
             
-            // Find score
+            // Score shown on the page, for when the event JSON was not captured
             const scoreElements = document.querySelectorAll('*');
             for (const el of scoreElements) {
                 const text = el.textContent?.trim();
@@ -205,11 +768,37 @@ class MariborScraper {
                 }
             }
             
-            return { homeTeam, awayTeam, score };
-        });
+
+            // Competition from the breadcrumb's tournament link (".../tournament/football/slovenia/prva-liga/212")
+            let competition = null;
+            const tournamentLink = document.querySelector('a[href*="/tournament/"]');
+            if (tournamentLink) {
+                const href = tournamentLink.getAttribute('href') || '';
+                const linkMatch = href.match(/\/([^/#?]+)\/(\d+)(?:[#?].*)?$/);
+                competition = {
+                    id: linkMatch ? parseInt(linkMatch[2], 10) : null,
+                    name: tournamentLink.textContent.trim(),
+                    slug: linkMatch ? linkMatch[1] : null
+                };
+            }
+
+            // Round from the header ("Prva Liga, Round 3" or "3. krog"), normalised to "Round 3"
+            let round = null;
+            for (const pattern of roundPatterns) {
+                const roundMatch = document.body.textContent.match(new RegExp(pattern, 'i'));
+                if (roundMatch) {
+                    round = `Round ${roundMatch[1]}`;
+                    break;
+                }
+            }
+
+            return { homeTeam, awayTeam, score, competition, round };
+        }, roundPatterns, titleSuffixes);
+        const venue = this.isOurTeam(gameBasicInfo.homeTeam) ? 'home' : 'away';
+        const eventId = this.parseEventId(gameInfo.url);
 
         // Check for Player of the Match with stricter validation
-        const ratingDetection = await this.page.evaluate(() => {
+        const ratingDetection = await this.page.evaluate((ratingWords, playerOfMatchWords) => {
             // Strategy 1: Look for actual player ratings (X.X format)
             const allElements = document.querySelectorAll('*');
             let validRatings = [];
@@ -225,8 +814,7 @@ class MariborScraper {
                         const contextText = (parent?.textContent + ' ' + grandParent?.textContent).toLowerCase();
                         
                         // Must have player context indicators
-                        if (contextText.includes('rating') || 
-                            contextText.includes('ocena') ||
+                        if (ratingWords.some(word => contextText.includes(word)) ||
                             parent?.querySelector('img') ||
                             grandParent?.querySelector('img') ||
                             contextText.length > 50) {
@@ -238,9 +826,7 @@ class MariborScraper {
             
             // Strategy 2: Look for Player of the Match text near actual ratings
             const pageText = document.body.textContent.toLowerCase();
-            const hasPlayerOfMatchText = pageText.includes('player of the match') || 
-                                       pageText.includes('igralec tekme') ||
-                                       pageText.includes('najbolji igralec');
+            const hasPlayerOfMatchText = playerOfMatchWords.some(words => pageText.includes(words));
             
             // Strategy 3: Check for statistics table with multiple ratings
             const hasStatsTable = validRatings.length >= 8; // Need at least 8 player ratings
@@ -257,173 +843,113 @@ class MariborScraper {
                 ratingsCount: validRatings.length,
                 hasStatsTable: hasStatsTable
             };
-        });
+        }, scraperWords(this.locales, 'ratingContext'), scraperWords(this.locales, 'playerOfTheMatch'));
 
         if (!ratingDetection.hasRatings) {
-            console.log('⚠️  No reliable player ratings found, going to next match');
+            this.log.info('⚠️  No reliable player ratings found, going to next match', { ratingsCount: ratingDetection.ratingsCount });
+            const details = this.capturedMatchEvents(eventId);
             return {
                 id: this.generateGameId(gameInfo.url),
                 url: gameInfo.url,
                 date: gameInfo.dateString,
                 homeTeam: gameBasicInfo.homeTeam,
                 awayTeam: gameBasicInfo.awayTeam,
-                score: gameBasicInfo.score,
+                score: details.score || gameBasicInfo.score,
+                halftimeScore: details.halftimeScore,
+                events: details.events,
+                competition: gameBasicInfo.competition,
+                round: gameBasicInfo.round,
+                venue: venue,
                 players: [],
                 hasRatings: false,
                 scrapedAt: new Date().toISOString()
             };
         }
 
-        console.log('✅ Reliable player ratings detected');
+        this.log.debug('✅ Reliable player ratings detected', { ratingsCount: ratingDetection.ratingsCount });
 
-        // Navigate to statistics
-        if (!await this.navigateToStats()) {
-            throw new Error('Navigation failed');
+        // Navigate to statistics, recording the lineup on the way
+        const lineupContext = {
+            eventId: eventId,
+            isHome: venue === 'home'
+        };
+        if (!await this.navigateToStats(lineupContext)) {
+            const { outcome, screenshot } = this.navigationFailure;
+            throw Object.assign(new Error(`Navigation failed: ${outcome}`), { outcome, screenshot });
         }
 
-        console.log('📊 Found table');
+        this.log.debug('📊 Found table');
 
-        // Wait for table to fully load, then take screenshot
-        await this.delay(2000);
+        // navigateToStats() waited for the table to settle
         await this.takeScreenshot(gameInfo, gameBasicInfo);
-        console.log('📸 Screenshot taken');
+        this.log.debug('📸 Screenshot taken');
 
         // Extract players
-        const players = await this.extractMariborPlayers();
-        console.log(`👥 Extracted ${players.length} players`);
-        console.log('➡️  Going to next match');
+        const players = applyLineupToPlayers(await this.extractMariborPlayers(), this.currentLineup);
+        this.log.info(`👥 Extracted ${players.length} players`, { source: 'browser', players: players.length });
+        this.log.debug('➡️  Going to next match');
 
+        const details = this.capturedMatchEvents(eventId);
         return {
             id: this.generateGameId(gameInfo.url),
             url: gameInfo.url,
             date: gameInfo.dateString,
             homeTeam: gameBasicInfo.homeTeam,
             awayTeam: gameBasicInfo.awayTeam,
-            score: gameBasicInfo.score,
+            score: details.score || gameBasicInfo.score,
+            halftimeScore: details.halftimeScore,
+            events: details.events,
+            competition: gameBasicInfo.competition,
+            round: gameBasicInfo.round,
+            venue: venue,
             players: players,
+            lineup: this.currentLineup,
+            opponent: this.api.extractOpponent(
+                this.capturedResponses.get(`${eventId}/lineups`) || null,
+                this.capturedResponses.get(`${eventId}/incidents`) || null,
+                this.capturedResponses.get(`${eventId}/average-positions`) || null,
+                venue !== 'home'
+            ),
             hasRatings: players.length > 0,
             scrapedAt: new Date().toISOString()
         };
     }
 
-    async navigateToStats() {
-        console.log('🔄 Starting navigation to player statistics...');
+    /**
+     * @param {Object} [lineupContext] - { eventId, isHome }; when given, the lineup step
+     *   also records the starting XI, bench, substitutions and formation in this.currentLineup
+     * @returns {Promise<boolean>}
+     */
+    async navigateToStats(lineupContext = null) {
+        this.log.debug('🔄 Starting navigation to player statistics...');
+        this.currentLineup = null;
+        this.navigationFailure = null;
         
-        // Step 1: Navigate to Lineups/Postava - be very specific about what we click
-        console.log('🎯 Step 1: Looking for Lineup tab...');
-        const lineupClicked = await this.page.evaluate(() => {
-            // Strategy 1: Look for actual navigation buttons/links with specific characteristics
-            const lineupCandidates = document.querySelectorAll('a, button, [role="tab"], [role="button"]');
-            
-            for (const element of lineupCandidates) {
-                const text = element.textContent?.trim().toLowerCase() || '';
-                const parentText = element.parentElement?.textContent?.trim().toLowerCase() || '';
-                
-                // Must be a short text element (navigation tabs are usually short)
-                if (text.length > 20 || parentText.length > 100) continue;
-                
-                // Must contain lineup/postava
-                if ((text === 'postava' || text === 'lineup' || text === 'lineups') && 
-                    typeof element.click === 'function') {
-                    element.click();
-                    return { method: 'exact-match', text: element.textContent?.trim() };
-                }
-            }
-            
-            // Strategy 2: Look for elements in navigation-like containers
-            const navContainers = document.querySelectorAll('[class*="nav"], [class*="tab"], [class*="menu"]');
-            for (const container of navContainers) {
-                const buttons = container.querySelectorAll('a, button, span, div');
-                for (const btn of buttons) {
-                    const text = btn.textContent?.trim().toLowerCase() || '';
-                    if ((text === 'postava' || text === 'lineup' || text === 'lineups') && 
-                        text.length <= 20 && typeof btn.click === 'function') {
-                        btn.click();
-                        return { method: 'nav-container', text: btn.textContent?.trim() };
-                    }
-                }
-            }
-            
-            return null;
-        });
+        // Step 1: Navigate to Lineups/Postava; the ways of finding each tab are in selectorStrategies.js
+        this.log.debug('🎯 Step 1: Looking for Lineup tab...');
+        const lineupClicked = await this.applySelectors('lineupTab');
 
         if (!lineupClicked) {
-            console.log('❌ Could not find Lineup tab');
+            this.log.warn('❌ Could not find Lineup tab');
+            await this.recordNavigationFailure('lineup-tab-missing');
             return false;
         }
         
-        console.log(`✅ Clicked lineup tab: "${lineupClicked.text}" (method: ${lineupClicked.method})`);
-        await this.delay(4000);
+        this.log.debug(`✅ Clicked lineup tab: "${lineupClicked.text}" (strategy: ${lineupClicked.strategy})`);
+        await this.waitForLineupTab(lineupClicked.text);
 
-        // Step 2: Navigate to Player Statistics - be very specific
-        console.log('🎯 Step 2: Looking for Player Statistics tab...');
-        
-        // Wait for content to load
-        await this.page.waitForFunction(() => {
-            return document.querySelectorAll('button, a, [role="tab"]').length > 10;
-        }, { timeout: 10000 }).catch(() => {
-            console.log('⚠️  Timeout waiting for navigation elements');
-        });
+        if (lineupContext) {
+            this.currentLineup = await this.captureLineup(lineupContext);
+        }
 
-        const statsClicked = await this.page.evaluate(() => {
-            // Strategy 1: Look for buttons/links with exact statistics text
-            const statsCandidates = document.querySelectorAll('a, button, [role="tab"], [role="button"]');
-            
-            for (const element of statsCandidates) {
-                const text = element.textContent?.trim().toLowerCase() || '';
-                
-                // Must be short and specific
-                if (text.length > 30) continue;
-                
-                // Look for player statistics variations
-                if ((text.includes('player stat') || 
-                     text.includes('statistika igralca') || 
-                     text === 'player stats' ||
-                     text === 'statistika' && text.length <= 15) &&
-                    typeof element.click === 'function') {
-                    element.click();
-                    return { method: 'exact-stats', text: element.textContent?.trim() };
-                }
-            }
-            
-            // Strategy 2: Look in tab-like containers
-            const tabContainers = document.querySelectorAll('[class*="tab"], [role="tablist"], [class*="nav"]');
-            for (const container of tabContainers) {
-                const tabs = container.querySelectorAll('button, a, span, div');
-                for (const tab of tabs) {
-                    const text = tab.textContent?.trim().toLowerCase() || '';
-                    if (text.length <= 25 && 
-                        (text.includes('stat') || text.includes('player')) &&
-                        typeof tab.click === 'function') {
-                        tab.click();
-                        return { method: 'tab-container', text: tab.textContent?.trim() };
-                    }
-                }
-            }
-            
-            // Strategy 3: Look for elements with "Player stats" in nearby headings
-            const headings = document.querySelectorAll('h1, h2, h3, h4');
-            for (const heading of headings) {
-                if (heading.textContent?.toLowerCase().includes('player')) {
-                    const container = heading.closest('div, section');
-                    if (container) {
-                        const buttons = container.querySelectorAll('button, a');
-                        for (const btn of buttons) {
-                            const text = btn.textContent?.trim().toLowerCase() || '';
-                            if (text.includes('stat') && text.length <= 20 && typeof btn.click === 'function') {
-                                btn.click();
-                                return { method: 'heading-context', text: btn.textContent?.trim() };
-                            }
-                        }
-                    }
-                }
-            }
-            
-            return null;
-        });
+        // Step 2: Navigate to Player Statistics
+        this.log.debug('🎯 Step 2: Looking for Player Statistics tab...');
+        await this.waitForTabBar();
+
+        const statsClicked = await this.applySelectors('statsTab');
 
         if (!statsClicked) {
-            console.log('❌ Could not find Player Statistics tab');
+            this.log.warn('❌ Could not find Player Statistics tab');
             
             // Debug: Show what short navigation-like elements are available
             const debugInfo = await this.page.evaluate(() => {
@@ -442,16 +968,17 @@ class MariborScraper {
                 return shortElements;
             });
             
-            console.log('🔍 Available short clickable elements (first 15):');
-            debugInfo.forEach(text => console.log(`   - "${text}"`));
+            this.log.debug('🔍 Available short clickable elements (first 15):', { elements: debugInfo });
+            debugInfo.forEach(text => this.log.debug(`   - "${text}"`));
+            await this.recordNavigationFailure('stats-tab-missing');
             return false;
         }
 
-        console.log(`✅ Clicked statistics: "${statsClicked.text}" (method: ${statsClicked.method})`);
-        await this.delay(4000);
+        this.log.debug(`✅ Clicked statistics: "${statsClicked.text}" (strategy: ${statsClicked.strategy})`);
+        await this.waitForStatsTable();
 
         // Step 3: Verify we're on a page with player statistics table
-        console.log('🎯 Step 3: Verifying we reached player statistics...');
+        this.log.debug('🎯 Step 3: Verifying we reached player statistics...');
         
         const verification = await this.page.evaluate(() => {
             // Look for actual table structures with player data
@@ -503,51 +1030,134 @@ class MariborScraper {
         });
 
         if (verification.hasPlayerTable) {
-            console.log(`✅ Navigation successful! Found player statistics table with ${verification.ratingCount} ratings and ${verification.playerNameCount} player names`);
+            this.log.debug(`✅ Navigation successful! Found player statistics table with ${verification.ratingCount} ratings and ${verification.playerNameCount} player names`);
             return true;
         } else {
-            console.log(`❌ Navigation failed. Found ${verification.tableCount} tables, ${verification.ratingCount} ratings, ${verification.playerNameCount} names`);
-            
-            // Take debug screenshot
-            try {
-                await this.page.screenshot({ 
-                    path: path.join(this.screenshotsPath, `debug-failed-navigation-${Date.now()}.png`)
-                });
-                console.log('📸 Debug screenshot taken');
-            } catch (e) {
-                console.log('⚠️  Could not take debug screenshot');
-            }
-            
+            this.log.warn(`❌ Navigation failed. Found ${verification.tableCount} tables, ${verification.ratingCount} ratings, ${verification.playerNameCount} names`, verification);
+            await this.recordNavigationFailure('table-verification-failed', 'failed-navigation');
             return false;
         }
     }
 
+    /**
+     * Take a debug screenshot and remember why navigation failed, for scrapeGame() to report
+     * @param {string} outcome - Run report outcome
+     * @param {string} [label=outcome] - Screenshot file name part
+     */
+    async recordNavigationFailure(outcome, label = outcome) {
+        let screenshot = path.join(this.screenshotsPath, `debug-${label}-${Date.now()}.png`);
+        try {
+            await this.page.screenshot({ path: screenshot });
+            this.log.info('📸 Debug screenshot taken', { screenshot });
+        } catch (e) {
+            this.log.warn('⚠️  Could not take debug screenshot', { error: e });
+            screenshot = null;
+        }
+        this.navigationFailure = { outcome, screenshot };
+    }
+
+    /**
+     * Put the language SofaScore served the current page in first for the text heuristics
+     */
+    async detectPageLocale() {
+        const language = await this.page.evaluate(() => document.documentElement.lang || '');
+        this.locales = localeOrder(language);
+    }
+
+    /**
+     * Find a target with the strategies of selectorStrategies.js, in order, and act on the first hit
+     * (click a tab, mark a table). Which strategy worked, or that none did, goes to this.strategyHits.
+     * @param {string} target - One of TARGETS
+     * @returns {Promise<Object|null>} { text, strategy } or null when no strategy found the target
+     */
+    async applySelectors(target) {
+        for (const { key, strategy } of strategiesFor(target, this.locales)) {
+            const found = await this.page.evaluate(applyStrategy, strategy, true, target);
+            if (found) {
+                this.strategyHits.push({ target, strategy: key });
+                this.log.debug(`🧭 ${target} found by ${key}`, { target, strategy: key });
+                return { ...found, strategy: key };
+            }
+        }
+        this.strategyHits.push({ target, strategy: null });
+        this.log.warn(`🧭 No strategy found ${target}`, { target });
+        return null;
+    }
+
+    /**
+     * Ready once the clicked tab is active or the pitch view shows a formation
+     * @param {string} tabText
+     */
+    async waitForLineupTab(tabText) {
+        await this.waitStep('lineupTab', options => waitForCondition(
+            this.page, isTabShown, options, tabText.toLowerCase(), '^\\d(-\\d){2,4}$'
+        ));
+    }
+
+    async waitForTabBar() {
+        await this.waitStep('navigation', options => waitForCondition(this.page, () => {
+            return document.querySelectorAll('button, a, [role="tab"]').length > 10;
+        }, options));
+    }
+
+    /**
+     * Rows render in batches; wait until a full table has stopped growing
+     */
+    async waitForStatsTable() {
+        await this.waitStep('statsTable', options => waitForStableCount(this.page, countRatedRows, { ...options, min: 8 }));
+    }
+
+    /**
+     * Walk a match page the way a scrape does and try every strategy of every target on the way,
+     * without acting on it; the first working strategy then opens the way to the next target.
+     * Used by `maribor doctor` to spot strategies a layout change broke before a matchday.
+     * @param {string} url - Match page with player ratings
+     * @returns {Promise<Object>} target -> [{ strategy, ok }] in the order they are tried
+     */
+    async probeSelectors(url) {
+        await this.navigate(url);
+        await this.waitStep('page', options => waitForCondition(this.page, () => document.title.includes(' vs '), options));
+        await this.detectPageLocale();
+
+        const results = {};
+        for (const target of TARGETS) {
+            results[target] = [];
+            for (const { key, strategy } of strategiesFor(target, this.locales)) {
+                const found = await this.page.evaluate(applyStrategy, strategy, false, target);
+                results[target].push({ strategy: key, ok: Boolean(found) });
+            }
+
+            const found = await this.applySelectors(target);
+            if (found && target === 'lineupTab') {
+                await this.waitForLineupTab(found.text);
+                await this.waitForTabBar();
+            } else if (found && target === 'statsTab') {
+                await this.waitForStatsTable();
+            }
+        }
+        return results;
+    }
+
     async extractMariborPlayers() {
-        return await this.page.evaluate(() => {
+        const team = {
+            id: String(this.team.id),
+            slug: this.team.slug.toLowerCase(),
+            keywords: this.team.keywords
+        };
+
+        // Marks the table for the page function below
+        await this.applySelectors('statsTable');
+
+        // Position names per language, as [position, words] pairs in locale order
+        const positionTerms = {
+            codes: scraperMap(this.locales, 'positionCodes'),
+            words: this.locales.flatMap(code => Object.entries(scraperText(code, 'positionWords') || {})),
+            abbreviations: scraperMap(this.locales, 'positionAbbreviations')
+        };
+
+        const players = await this.page.evaluate((team, positionTerms) => {
             const mariborPlayers = [];
-            
-            // First, find actual player statistics tables (not just any table)
-            const tables = document.querySelectorAll('table, [role="table"]');
-            let playerTable = null;
-            
-            for (const table of tables) {
-                const rows = table.querySelectorAll('tr');
-                let ratingCount = 0;
-                let nameCount = 0;
-                
-                // Count potential player data in this table
-                for (const row of rows) {
-                    const text = row.textContent || '';
-                    if (text.match(/\d\.\d/)) ratingCount++;
-                    if (text.match(/[A-Za-zÀ-žčšđćž]{3,}/)) nameCount++;
-                }
-                
-                // This looks like a player statistics table
-                if (ratingCount >= 5 && nameCount >= 5) {
-                    playerTable = table;
-                    break;
-                }
-            }
+            const playerTable = document.querySelector('[data-scraper-target="statsTable"]');
             
             if (!playerTable) {
                 console.log('No player statistics table found');
@@ -556,6 +1166,13 @@ class MariborScraper {
             
             console.log('Found player statistics table, extracting data...');
             const rows = playerTable.querySelectorAll('tr');
+
+            // Column labels, used to capture every statistic in a row
+            const headerRow = playerTable.querySelector('thead tr') ||
+                Array.from(rows).find(tr => tr.querySelector('th'));
+            const columnLabels = headerRow
+                ? Array.from(headerRow.querySelectorAll('th, td')).map(cell => cell.textContent?.trim() || '')
+                : [];
             
             for (const row of rows) {
                 const rowText = row.textContent || '';
@@ -575,24 +1192,26 @@ class MariborScraper {
                 let position = 'Unknown';
                 let isMariborPlayer = false;
                 
-                // Step 1: Check if this is a Maribor player row
+                // Step 1: Check if this is a row of the configured team (logo URL carries the team id)
+                const teamIdPattern = new RegExp(`/team/${team.id}(/|$)`);
                 const images = row.querySelectorAll('img');
                 for (const img of images) {
                     const src = img.src?.toLowerCase() || '';
                     const alt = img.alt?.toLowerCase() || '';
                     
-                    if (src.includes('maribor') || alt.includes('maribor') || src.includes('2420')) {
+                    if (teamIdPattern.test(src) || src.includes(team.slug) || alt.includes(team.slug) ||
+                        team.keywords.some(keyword => src.includes(keyword) || alt.includes(keyword))) {
                         isMariborPlayer = true;
                         break;
                     }
                 }
                 
-                // Also check for text indicators of Maribor
-                if (!isMariborPlayer && rowText.toLowerCase().includes('maribor')) {
+                // Also check for text indicators of the team
+                if (!isMariborPlayer && team.keywords.some(keyword => rowText.toLowerCase().includes(keyword))) {
                     isMariborPlayer = true;
                 }
                 
-                // Skip if not Maribor player
+                // Skip if not a player of our team
                 if (!isMariborPlayer) continue;
                 
                 // Step 2: Extract player name (look in first few cells)
@@ -610,6 +1229,10 @@ class MariborScraper {
                 
                 if (!playerName) continue;
                 
+                // Player link (/player/<slug>/<id>) carries SofaScore's stable player id
+                const playerLink = row.querySelector('a[href*="/player/"]');
+                const playerIdMatch = playerLink?.getAttribute('href').match(/\/player\/[^/]+\/(\d+)/);
+                
                 // Step 3: Extract rating (look for X.X pattern)
                 for (const cell of cells) {
                     const text = cell.textContent?.trim();
@@ -624,63 +1247,27 @@ class MariborScraper {
                 
                 if (!rating) continue; // Must have a rating to be valid
                 
-                // Step 4: Enhanced position extraction
+                // Step 4: Position from the first cell that names one, in any of the page languages
                 for (const cell of cells) {
                     const text = cell.textContent?.trim() || '';
+                    const lowerText = text.toLowerCase();
                     
                     // Strategy 1: Single letter position codes (common in SofaScore)
-                    if (text.match(/^[NFSMOVDGKAC]$/)) {
-                        const posMap = {
-                            'N': 'Forward', 'F': 'Forward', 'A': 'Forward',
-                            'S': 'Midfielder', 'M': 'Midfielder', 'C': 'Midfielder',
-                            'O': 'Defender', 'D': 'Defender',
-                            'V': 'Goalkeeper', 'G': 'Goalkeeper', 'K': 'Goalkeeper'
-                        };
-                        position = posMap[text] || text;
-                        break;
-                    }
-                    
-                    // Strategy 2: Full position names (English)
-                    const lowerText = text.toLowerCase();
-                    if (lowerText.includes('goalkeeper') || lowerText.includes('keeper')) {
-                        position = 'Goalkeeper';
-                        break;
-                    } else if (lowerText.includes('defender') || lowerText.includes('defence') || lowerText.includes('back')) {
-                        position = 'Defender';
-                        break;
-                    } else if (lowerText.includes('midfielder') || lowerText.includes('midfield') || lowerText.includes('centre')) {
-                        position = 'Midfielder';
-                        break;
-                    } else if (lowerText.includes('forward') || lowerText.includes('striker') || lowerText.includes('winger') || lowerText.includes('attack')) {
-                        position = 'Forward';
+                    if (Object.hasOwn(positionTerms.codes, text)) {
+                        position = positionTerms.codes[text];
                         break;
                     }
                     
-                    // Strategy 3: Slovenian position names
-                    if (lowerText.includes('vratar')) {
-                        position = 'Goalkeeper';
-                        break;
-                    } else if (lowerText.includes('branilec') || lowerText.includes('obramba')) {
-                        position = 'Defender';
-                        break;
-                    } else if (lowerText.includes('vezist') || lowerText.includes('sredina')) {
-                        position = 'Midfielder';
-                        break;
-                    } else if (lowerText.includes('napadalec') || lowerText.includes('napad')) {
-                        position = 'Forward';
+                    // Strategy 2: Full position names, language by language
+                    const named = positionTerms.words.find(([, words]) => words.some(word => lowerText.includes(word)));
+                    if (named) {
+                        position = named[0];
                         break;
                     }
                     
-                    // Strategy 4: Position abbreviations
-                    if (text.match(/^(GK|DEF|MID|FWD|ATT)$/i)) {
-                        const abbrevMap = {
-                            'GK': 'Goalkeeper',
-                            'DEF': 'Defender',
-                            'MID': 'Midfielder',
-                            'FWD': 'Forward',
-                            'ATT': 'Forward'
-                        };
-                        position = abbrevMap[text.toUpperCase()] || position;
+                    // Strategy 3: Position abbreviations
+                    if (Object.hasOwn(positionTerms.abbreviations, text.toUpperCase())) {
+                        position = positionTerms.abbreviations[text.toUpperCase()];
                         break;
                     }
                 }
@@ -700,21 +1287,148 @@ class MariborScraper {
                     }
                 }
                 
+                // Step 6: Keep every labelled column as a raw statistic
+                const rawStats = {};
+                cells.forEach((cell, index) => {
+                    if (columnLabels[index]) rawStats[columnLabels[index]] = cell.textContent?.trim() || '';
+                });
+                
                 // Add player to results
                 mariborPlayers.push({
                     name: playerName,
+                    playerId: playerIdMatch ? parseInt(playerIdMatch[1], 10) : null,
                     rating: rating,
                     position: position,
                     minutesPlayed: minutes,
-                    isStartingXI: minutes >= 45
+                    isStartingXI: minutes >= 45,
+                    rawStats: rawStats
                 });
                 
                 console.log(`Extracted player: ${playerName} - Position: ${position} - Rating: ${rating}`);
             }
             
-            console.log(`Total Maribor players extracted: ${mariborPlayers.length}`);
+            console.log(`Total team players extracted: ${mariborPlayers.length}`);
             return mariborPlayers.sort((a, b) => b.rating - a.rating);
+        }, team, positionTerms);
+
+        await this.collectStatsGroups(players, team);
+
+        return players.map(({ rawStats, ...player }) => ({
+            ...player,
+            stats: normalizeTableStats(rawStats)
+        }));
+    }
+
+    /**
+     * Click through the statistics group tabs (Attack, Defence, Passing...) and merge
+     * each group's columns into the players' raw stats
+     * @param {Array} players - Players from extractMariborPlayers, mutated in place
+     * @param {Object} team
+     */
+    async collectStatsGroups(players, team) {
+        if (players.length === 0) return;
+
+        const groupTabs = await this.page.evaluate((groupNames) => {
+            const tabs = document.querySelectorAll('button, a, [role="tab"]');
+            return Array.from(tabs)
+                .map(tab => tab.textContent?.trim() || '')
+                .filter(text => groupNames.includes(text.toLowerCase()));
+        }, scraperWords(this.locales, 'statsGroupTabs'));
+
+        const readHeaders = () => Array.from(document.querySelectorAll('th')).map(th => th.textContent?.trim()).join('|');
+        for (const tabText of groupTabs) {
+            try {
+                const headersBefore = await this.page.evaluate(readHeaders);
+                const clicked = await this.page.evaluate((text) => {
+                    const tab = Array.from(document.querySelectorAll('button, a, [role="tab"]'))
+                        .find(el => el.textContent?.trim() === text);
+                    if (!tab || typeof tab.click !== 'function') return false;
+                    tab.click();
+                    return true;
+                }, tabText);
+                if (!clicked) continue;
+
+                // Every group has its own columns; the table is redrawn once the headers change
+                await this.waitStep('statsGroup', options => waitForCondition(this.page, (previous) => {
+                    return Array.from(document.querySelectorAll('th')).map(th => th.textContent?.trim()).join('|') !== previous;
+                }, options, headersBefore));
+                const groupStats = await this.page.evaluate(readStatsGroupTable, team);
+
+                players.forEach(player => {
+                    if (groupStats[player.name]) {
+                        Object.assign(player.rawStats, groupStats[player.name]);
+                    }
+                });
+            } catch (error) {
+                this.log.warn(`⚠️  Could not read "${tabText}" statistics: ${error.message}`, { error });
+            }
+        }
+
+        this.log.debug(`📈 Collected statistics from ${groupTabs.length} column groups`);
+    }
+
+    /**
+     * Lineup of our team from the JSON the lineup tab loaded, or just the formation
+     * read off the pitch view when that response was not captured
+     * @param {Object} lineupContext - { eventId, isHome }
+     * @returns {Promise<Object|null>}
+     */
+    async captureLineup({ eventId, isHome }) {
+        if (eventId) {
+            // The lineups request usually completes while the tab renders
+            await this.waitStep('lineupData', options => waitUntil(() => this.capturedResponses.has(`${eventId}/lineups`), options));
+
+            const lineups = this.capturedResponses.get(`${eventId}/lineups`);
+            if (lineups) {
+                const lineup = parseLineup(
+                    lineups,
+                    this.capturedResponses.get(`${eventId}/incidents`) || null,
+                    isHome,
+                    this.capturedResponses.get(`${eventId}/average-positions`) || null
+                );
+                if (lineup) {
+                    this.log.info(`📋 Lineup recorded: ${lineup.formation || 'unknown formation'}, ${lineup.startingXI.length} starters, ${lineup.substitutions.length} substitutions`);
+                    return lineup;
+                }
+            }
+        }
+
+        const formations = await this.page.evaluate(() => {
+            return Array.from(document.querySelectorAll('div, span'))
+                .filter(el => el.children.length === 0)
+                .map(el => el.textContent?.trim() || '')
+                .filter(text => /^\d(-\d){2,4}$/.test(text));
         });
+
+        const formation = formations.length > 1 ? formations[isHome ? 0 : 1] : formations[0];
+        if (!formation) {
+            this.log.warn('⚠️  No lineup data found');
+            return null;
+        }
+
+        this.log.info(`📋 Formation read from pitch view: ${formation} (no lineup data captured)`);
+        return { formation, startingXI: [], bench: [], substitutions: [] };
+    }
+
+    /**
+     * Score, halftime score and event timeline from the JSON the match page loaded, see
+     * utils/matchEvents.js; empty when the page never fetched its incidents
+     * @param {string|null} eventId
+     * @returns {{score: (string|null), halftimeScore: (string|null), events: Array}}
+     */
+    capturedMatchEvents(eventId) {
+        const event = this.capturedResponses.get(`${eventId}/event`);
+        return parseMatchEvents(this.capturedResponses.get(`${eventId}/incidents`) || null, event ? event.event : null);
+    }
+
+    isOurTeam(teamName) {
+        const name = (teamName || '').toLowerCase();
+        return name === this.team.name.toLowerCase() || this.team.keywords.some(keyword => name.includes(keyword));
+    }
+
+    parseEventId(url) {
+        const match = (url || '').match(/#id:(\d+)/);
+        return match ? match[1] : null;
     }
 
     async takeScreenshot(gameInfo, gameBasicInfo) {
@@ -732,11 +1446,10 @@ class MariborScraper {
                 path: screenshotPath
             });
             
-            console.log(`✅ Screenshot saved: ${filename}`);
+            this.log.debug(`✅ Screenshot saved: ${filename}`, { screenshot: screenshotPath });
             
         } catch (error) {
-            console.log(`⚠️  Screenshot failed: ${error.message}`);
-            console.log(`   Expected path: ${this.screenshotsPath}`);
+            this.log.warn(`⚠️  Screenshot failed: ${error.message} (expected path: ${this.screenshotsPath})`, { error });
         }
     }
 
@@ -745,27 +1458,118 @@ class MariborScraper {
         return parts[parts.length - 1] || Date.now().toString();
     }
 
+    async loadExistingData() {
+        return this.database.getGames();
+    }
+
+    /**
+     * Merge freshly scraped games into the existing store, keyed by game id.
+     * A re-scraped game replaces its old record unless the old one had ratings
+     * and the new one does not, so a bad run never loses good data.
+     * @param {Array} existingGames
+     * @param {Array} scrapedGames
+     * @param {Array} gameLinks - Current match list, used for ordering (newest first)
+     * @returns {Array}
+     */
+    mergeGames(existingGames, scrapedGames, gameLinks = []) {
+        const byId = new Map(existingGames.map(game => [game.id, game]));
+
+        scrapedGames.forEach(game => {
+            const previous = byId.get(game.id);
+            if (previous && previous.hasRatings && !game.hasRatings) return;
+            byId.set(game.id, game);
+        });
+
+        // Games on the current match list come first in its order, then anything older we still hold
+        const ordered = [];
+        gameLinks.forEach(link => {
+            const id = this.generateGameId(link.url);
+            if (byId.has(id)) {
+                ordered.push(byId.get(id));
+                byId.delete(id);
+            }
+        });
+
+        return ordered.concat(Array.from(byId.values()));
+    }
+
+    /**
+     * Put one scraped game into the stored list: in its place when it is already stored
+     * (following mergeGames' rule about ratings), otherwise first
+     * @param {Array} existingGames
+     * @param {Object} game
+     * @returns {Array}
+     */
+    upsertGame(existingGames, game) {
+        if (!existingGames.some(existing => existing.id === game.id)) {
+            return [game, ...existingGames];
+        }
+        return this.mergeGames(existingGames, [game]);
+    }
+
+    /**
+     * Store the merged games in the database, then refresh the games.json export
+     * @param {Array} data - Every game we hold, newest first
+     */
     async saveData(data) {
-        const dataDir = path.dirname(this.dataPath);
-        await fs.mkdir(dataDir, { recursive: true });
-        await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+        this.database.replaceGames(data);
+        this.database.exportJson(this.dataPath);
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * Log a progress message and pass it to the onProgress listener
+     * @param {string} type - 'list', 'pending', 'match', 'match-done' or 'saved'
+     * @param {string} message
+     * @param {Object} [data]
+     */
+    report(type, message, data = {}) {
+        this.log.info(message, { event: type, ...data });
+        if (this.onProgress) {
+            this.onProgress({ type, message: message.trim(), ...data, at: new Date().toISOString() });
+        }
+    }
+
+    isCancelled() {
+        return Boolean(this.signal && this.signal.aborted);
+    }
+
+    /**
+     * Run one readiness wait and record how long it took; a step that timed out is logged, not thrown,
+     * and the check after it decides whether the match can go on
+     * @param {string} step - Key of STEP_TIMEOUTS
+     * @param {Function} wait - async ({ timeout, stableMs, interval }) => result, falsy (false or null) on timeout
+     * @returns {Promise<*>} The wait's result
+     */
+    async waitStep(step, wait) {
+        const { timeouts, ...options } = this.waitOptions;
+        const startedAt = Date.now();
+        const result = await wait({ ...options, timeout: timeouts[step] });
+        const durationMs = Date.now() - startedAt;
+        const ok = result !== false && result !== null;
+
+        this.stepTimings.push({ step, durationMs, ok });
+        if (ok) {
+            this.log.debug(`⏱️  ${step} ready after ${durationMs}ms`, { step, durationMs });
+        } else {
+            this.log.warn(`⏱️  ${step} not ready after ${durationMs}ms, going on`, { step, durationMs });
+        }
+        return result;
     }
 }
 
 // Run scraper if called directly
 if (require.main === module) {
-    const scraper = new MariborScraper();
+    const config = loadConfig();
+    logger.configure({ ...config.logging, dir: config.logsDir });
+
+    const scraper = new MariborScraper({ full: process.argv.includes('--full'), config, reason: 'script' });
     scraper.scrapeGames()
         .then(data => {
-            console.log(`\n🎉 Scraping completed! Processed ${data.length} games.`);
+            logger.info(`\n🎉 Scraping completed! Processed ${data.length} games.`);
             process.exit(0);
         })
         .catch(error => {
-            console.error('\n❌ Scraping failed:', error.message);
+            logger.error(`\n❌ Scraping failed: ${error.message}`, { error });
             process.exit(1);
         });
 }
@@ -0,0 +1,145 @@
+// src/selectorStrategies.js - Versioned, declarative ways of finding the match page tabs and the stats table
+//
+// SofaScore changes its markup and wording from time to time. Every way the scraper knows of finding
+// something on a match page is a strategy here, grouped by layout version (newest first) and tried
+// with the words of each page locale, so a new layout is a new entry instead of another branch in the
+// scraper. The scraper tries the strategies in order and records which one worked; `maribor doctor`
+// reports which still work.
+const { localeOrder, scraperText } = require('./locales');
+
+// What the scraper looks for, in the order it meets them on a match page
+const TARGETS = ['lineupTab', 'statsTab', 'statsTable'];
+
+// Elements a tab can be
+const CLICKABLE = 'a, button, [role="tab"], [role="button"]';
+const NAV_CONTAINERS = '[class*="nav"], [class*="tab"], [class*="menu"]';
+const TAB_CONTAINERS = '[class*="tab"], [role="tablist"], [class*="nav"]';
+
+/*
+ * Strategy fields:
+ *   id               - Unique within its layout; the recorded key is "<version>/<locale>/<id>"
+ *   find             - 'text': the first element whose text matches; 'table': the first table that looks
+ *                      like player statistics
+ *   selector         - Elements (or tables) to consider
+ *   container        - Only consider elements inside these containers
+ *   heading, headingTexts - Only consider elements in the block (closest div or section) of a heading
+ *                      containing one of headingTexts
+ *   texts, match     - Lower-case texts the element text must equal ('exact') or contain ('includes')
+ *   maxLength        - Longer element texts are content, not tab labels
+ *   maxParentLength  - Same for the text of the element's parent
+ *   minRatedRows, minNamedRows - Rows a table needs with a rating (X.X) and with a name
+ *
+ * texts and headingTexts name word lists of the locale bundles (src/locales); a strategy with texts is
+ * tried once per locale that has them, one without texts once for any language.
+ */
+const LAYOUTS = [
+    {
+        version: '2025.1',
+        description: 'Match page with a Lineups tab holding the Player statistics sub-tab',
+        strategies: {
+            lineupTab: [
+                { id: 'tab-text', find: 'text', selector: CLICKABLE, texts: 'lineupTab', match: 'exact', maxLength: 20, maxParentLength: 100 },
+                { id: 'nav-container', find: 'text', container: NAV_CONTAINERS, selector: 'a, button, span, div', texts: 'lineupTab', match: 'exact', maxLength: 20 }
+            ],
+            statsTab: [
+                { id: 'tab-text', find: 'text', selector: CLICKABLE, texts: 'statsTab', match: 'includes', maxLength: 30 },
+                { id: 'tab-text-exact', find: 'text', selector: CLICKABLE, texts: 'statsTabExact', match: 'exact', maxLength: 15 },
+                { id: 'tab-container', find: 'text', container: TAB_CONTAINERS, selector: 'button, a, span, div', texts: 'statsTabWords', match: 'includes', maxLength: 25 },
+                { id: 'heading-context', find: 'text', heading: 'h1, h2, h3, h4', headingTexts: 'statsHeading', selector: 'button, a', texts: 'statsHeadingTab', match: 'includes', maxLength: 20 }
+            ],
+            statsTable: [
+                { id: 'rated-rows', find: 'table', selector: 'table, [role="table"]', minRatedRows: 5, minNamedRows: 5 }
+            ]
+        }
+    }
+];
+
+/**
+ * Strategies for a target in the order to try them: newest layout first, within a layout the
+ * given locales in order and then the language-independent ones
+ * @param {string} target - One of TARGETS
+ * @param {Array<string>} [locales] - Locale codes, see localeOrder(); every locale by default
+ * @returns {Array<{key: string, strategy: Object}>} Strategies with their word lists filled in
+ */
+function strategiesFor(target, locales = localeOrder()) {
+    if (!TARGETS.includes(target)) {
+        throw new Error(`Unknown selector target: ${target}`);
+    }
+    return LAYOUTS.flatMap(layout => {
+        const templates = layout.strategies[target] || [];
+        const localized = locales.flatMap(locale => templates
+            .filter(template => template.texts && scraperText(locale, template.texts) &&
+                (!template.headingTexts || scraperText(locale, template.headingTexts)))
+            .map(template => ({
+                key: `${layout.version}/${locale}/${template.id}`,
+                strategy: {
+                    ...template,
+                    texts: scraperText(locale, template.texts),
+                    headingTexts: template.headingTexts ? scraperText(locale, template.headingTexts) : undefined
+                }
+            })));
+        const common = templates
+            .filter(template => !template.texts)
+            .map(template => ({ key: `${layout.version}/any/${template.id}`, strategy: template }));
+        return [...localized, ...common];
+    });
+}
+
+/**
+ * Runs inside the page: look for a target with one strategy. With `act` set, a tab found is
+ * clicked and a table found is marked with data-scraper-target="<target>" for the code reading it.
+ * @param {Object} strategy - From strategiesFor()
+ * @param {boolean} act - false only reports whether the strategy finds anything
+ * @param {string} target
+ * @returns {Object|null} { text } of what was found, null when the strategy found nothing
+ */
+function applyStrategy(strategy, act, target) {
+    const textOf = el => el?.textContent?.trim().toLowerCase() || '';
+
+    if (strategy.find === 'table') {
+        const table = Array.from(document.querySelectorAll(strategy.selector)).find(candidate => {
+            const rows = Array.from(candidate.querySelectorAll('tr'));
+            const rated = rows.filter(row => /\d\.\d/.test(row.textContent || '')).length;
+            const named = rows.filter(row => /[A-Za-zÀ-žčšđćž]{3,}/.test(row.textContent || '')).length;
+            return rated >= strategy.minRatedRows && named >= strategy.minNamedRows;
+        });
+        if (!table) return null;
+        if (act) {
+            document.querySelectorAll(`[data-scraper-target="${target}"]`).forEach(el => el.removeAttribute('data-scraper-target'));
+            table.setAttribute('data-scraper-target', target);
+        }
+        return { text: null };
+    }
+
+    let scopes = [document];
+    if (strategy.container) {
+        scopes = Array.from(document.querySelectorAll(strategy.container));
+    } else if (strategy.heading) {
+        scopes = Array.from(document.querySelectorAll(strategy.heading))
+            .filter(heading => strategy.headingTexts.some(text => textOf(heading).includes(text)))
+            .map(heading => heading.closest('div, section'))
+            .filter(Boolean);
+    }
+
+    for (const scope of scopes) {
+        for (const element of scope.querySelectorAll(strategy.selector)) {
+            const text = textOf(element);
+            if (text.length > strategy.maxLength || typeof element.click !== 'function') continue;
+            if (strategy.maxParentLength && textOf(element.parentElement).length > strategy.maxParentLength) continue;
+
+            const matches = strategy.texts.some(expected => strategy.match === 'exact' ? text === expected : text.includes(expected));
+            if (!matches) continue;
+
+            if (act) element.click();
+            return { text: element.textContent.trim() };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    TARGETS,
+    LAYOUTS,
+    strategiesFor,
+    applyStrategy
+};
@@ -1,13 +1,51 @@
 // src/server.js - Express server
 const express = require('express');
 const path = require('path');
-const fs = require('fs').promises;
 const MariborScraper = require('./scraper');
+const { loadConfig, publicConfig } = require('./config');
+const { logger } = require('./logger');
+const { openDatabase } = require('./storage/gamesDatabase');
+const ScrapeScheduler = require('./scheduler');
+const ScrapeJobManager = require('./scrapeJobs');
+const { buildPlayerProfile } = require('./utils/playerProfile');
+const { buildAggregates, METRICS } = require('./utils/aggregates');
+const { filterGames, parseFilters } = require('./utils/gameFilters');
+const { LOCALES, LOCALE_CODES, DEFAULT_LOCALE, uiBundle } = require('./locales');
+const Helpers = require('./utils/helpers');
+const { buildExportTables, mergeTables, toCsv, toXlsx, toJson, TABLES, FORMATS } = require('./utils/exportTables');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const config = loadConfig();
+logger.configure({ ...config.logging, dir: config.logsDir });
+const log = logger.child({ component: 'server' });
+const database = openDatabase(config);
+const jobs = new ScrapeJobManager({
+    runScrape: async ({ runId, reason, full, match, onProgress, signal }) => {
+        const scraper = new MariborScraper({ full, config, database, onProgress, signal, runId, reason });
+        if (!match) return scraper.scrapeGames();
+
+        await scraper.scrapeSingleMatch(match);
+        return database.getGames();
+    }
+});
+const scheduler = new ScrapeScheduler({ config, jobs });
 
 // Middleware
+app.use((req, res, next) => {
+    if (!log.isLevelEnabled('debug')) return next();
+
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        log.debug(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt
+        });
+    });
+    next();
+});
 app.use(express.static('public'));
 app.use(express.json());
 
@@ -16,31 +54,292 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// API endpoint to get scraped games data
-app.get('/api/games', async (req, res) => {
+// API endpoint exposing the tracked team and season window to the frontend
+app.get('/api/config', (req, res) => {
+    res.json(publicConfig(config));
+});
+
+// API endpoint listing the languages the UI can be shown in
+app.get('/api/locales', (req, res) => {
+    res.json(Object.values(LOCALES).map(locale => ({ code: locale.code, name: locale.name })));
+});
+
+// API endpoint for the UI strings of one language
+app.get('/api/locales/:code', (req, res) => {
+    const bundle = uiBundle(req.params.code);
+    if (!bundle) {
+        return res.status(404).json({ error: 'Locale not found' });
+    }
+    res.json(bundle);
+});
+
+// Competition and home/away filters from the query; answers 400 and returns null when they are invalid
+function requestFilters(req, res) {
+    try {
+        return parseFilters(req.query, config.team.name);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+}
+
+// API endpoint to get scraped games data. Query: competition (id), venue (home/away)
+app.get('/api/games', (req, res) => {
+    const filters = requestFilters(req, res);
+    if (!filters) return;
+
     try {
-        const dataPath = path.join(__dirname, '../data/games.json');
-        const data = await fs.readFile(dataPath, 'utf8');
-        res.json(JSON.parse(data));
+        res.json(database.findGames(filters));
     } catch (error) {
-        console.error('Error reading games data:', error);
+        log.error(`Error reading games data: ${error.message}`, { error });
         res.status(500).json({ error: 'Failed to load games data' });
     }
 });
 
-// API endpoint to trigger scraping
-app.post('/api/scrape', async (req, res) => {
+// API endpoint to get a single game by id (URL-encode the "#id:" part)
+app.get('/api/games/:id', (req, res) => {
+    try {
+        const game = database.getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        res.json(game);
+    } catch (error) {
+        log.error(`Error reading game: ${error.message}`, { error });
+        res.status(500).json({ error: 'Failed to load game' });
+    }
+});
+
+// API endpoint for one player's season profile; id is the SofaScore player id (or the name for older records).
+// Query: competition, venue
+app.get('/api/players/:id', (req, res) => {
+    const filters = requestFilters(req, res);
+    if (!filters) return;
+
+    try {
+        const data = database.getPlayerAppearances(req.params.id);
+        if (!data) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        const appearances = filterGames(data.appearances, filters);
+        res.json(buildPlayerProfile(data.player, appearances, { teamName: config.team.name }));
+    } catch (error) {
+        log.error(`Error reading player: ${error.message}`, { error });
+        res.status(500).json({ error: 'Failed to load player' });
+    }
+});
+
+// API endpoint for ranking players: rating aggregates per player and position (or detailed role).
+// Query: metric (sort order), groupBy=role, window (last N games), position, role, competition, venue
+app.get('/api/aggregates', (req, res) => {
+    const metric = req.query.metric || 'shrunk';
+    if (!METRICS.includes(metric)) {
+        return res.status(400).json({ error: `Unknown metric "${metric}", expected one of ${METRICS.join(', ')}` });
+    }
+    const filters = requestFilters(req, res);
+    if (!filters) return;
+
+    try {
+        res.json({
+            metric: metric,
+            rows: buildAggregates(database.findGames(filters), {
+                metric: metric,
+                groupBy: req.query.groupBy,
+                formWindow: parseInt(req.query.window, 10) || 0,
+                position: req.query.position,
+                role: req.query.role
+            })
+        });
+    } catch (error) {
+        log.error(`Error building aggregates: ${error.message}`, { error });
+        res.status(500).json({ error: 'Failed to build aggregates' });
+    }
+});
+
+// API endpoint exporting the tables behind the views: /api/export/:table (appearances, players or
+// positions) for one, /api/export for all of them as workbook sheets. Query: format (csv, json, xlsx),
+// game (one game's appearances), lang (language of the headers) plus the /api/aggregates and filter parameters
+app.get(['/api/export', '/api/export/:table'], async (req, res) => {
+    const table = req.params.table || null;
+    const format = req.query.format || (table ? 'csv' : 'xlsx');
+    const metric = req.query.metric || 'shrunk';
+    const lang = req.query.lang || DEFAULT_LOCALE;
+
+    if (table && !TABLES.includes(table)) {
+        return res.status(404).json({ error: `Unknown table "${table}", expected one of ${TABLES.join(', ')}` });
+    }
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unknown format "${format}", expected one of ${FORMATS.join(', ')}` });
+    }
+    if (format === 'csv' && !table) {
+        return res.status(400).json({ error: 'A CSV export holds one table, use /api/export/:table' });
+    }
+    if (!METRICS.includes(metric)) {
+        return res.status(400).json({ error: `Unknown metric "${metric}", expected one of ${METRICS.join(', ')}` });
+    }
+    if (!LOCALE_CODES.includes(lang)) {
+        return res.status(400).json({ error: `Unknown lang "${lang}", expected one of ${LOCALE_CODES.join(', ')}` });
+    }
+    const filters = requestFilters(req, res);
+    if (!filters) return;
+
+    try {
+        const games = database.findGames({ ...filters, gameId: req.query.game || null });
+
+        const tables = buildExportTables(table, games, {
+            teamName: config.team.name,
+            lang: lang,
+            metric: metric,
+            groupBy: req.query.groupBy,
+            formWindow: parseInt(req.query.window, 10) || 0,
+            position: req.query.position,
+            role: req.query.role
+        });
+        const fileName = `${config.team.slug}-${table || 'ratings'}.${format}`;
+
+        if (format === 'json') {
+            return res.json(toJson(tables));
+        }
+        res.attachment(fileName);
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8').send(toCsv(mergeTables(table, tables)));
+        } else {
+            res.send(await toXlsx(tables));
+        }
+    } catch (error) {
+        log.error(`Error building export: ${error.message}`, { error });
+        res.status(500).json({ error: 'Failed to build export' });
+    }
+});
+
+// API endpoint exposing the automatic scrape schedule and last/next run
+app.get('/api/schedule', (req, res) => {
+    res.json(scheduler.getStatus());
+});
+
+// API endpoint to start a background scrape; progress via /api/scrape/:id and /api/scrape/:id/events
+app.post('/api/scrape', (req, res) => {
     try {
-        console.log('Starting manual scrape...');
-        const scraper = new MariborScraper();
-        const data = await scraper.scrapeGames();
-        res.json({ success: true, gamesCount: data.length });
+        const full = Boolean(req.body && req.body.full);
+        const job = jobs.start(full ? 'manual (full rebuild)' : 'manual', { full });
+        log.info(`Starting manual scrape${full ? ' (full rebuild)' : ''}...`, { runId: job.id });
+        res.status(202).json({ success: true, job: jobs.describe(job, { events: false }) });
     } catch (error) {
-        console.error('Scraping error:', error);
+        if (error.code === 'SCRAPE_RUNNING') {
+            return res.status(409).json({ error: error.message, job: jobs.describe(error.job, { events: false }) });
+        }
+        log.error(`Scraping error: ${error.message}`, { error });
         res.status(500).json({ error: 'Scraping failed', details: error.message });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// API endpoint to (re-)scrape one match, given by SofaScore URL or event id, as a background job
+app.post('/api/scrape/match', (req, res) => {
+    const match = req.body && req.body.match ? String(req.body.match).trim() : '';
+    if (!match) {
+        return res.status(400).json({ error: 'Missing match URL or event id' });
+    }
+    try {
+        Helpers.parseMatchTarget(match);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const job = jobs.start(`manual (match ${match})`, { match });
+        log.info(`Starting single-match scrape of ${match}...`, { runId: job.id, match });
+        res.status(202).json({ success: true, job: jobs.describe(job, { events: false }) });
+    } catch (error) {
+        if (error.code === 'SCRAPE_RUNNING') {
+            return res.status(409).json({ error: error.message, job: jobs.describe(error.job, { events: false }) });
+        }
+        log.error(`Scraping error: ${error.message}`, { error });
+        res.status(500).json({ error: 'Scraping failed', details: error.message });
+    }
+});
+
+// API endpoint for the status of a scrape job
+app.get('/api/scrape/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Scrape job not found' });
+    }
+    res.json(jobs.describe(job));
+});
+
+// Server-Sent Events stream of a scrape job's progress; replays earlier events, ends with an "end" event
+app.get('/api/scrape/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Scrape job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onProgress = (progressJob, event) => {
+        if (progressJob === job) send('progress', event);
+    };
+    const onEnd = (endedJob) => {
+        if (endedJob !== job) return;
+        send('end', jobs.describe(job, { events: false }));
+        res.end();
+    };
+    const unsubscribe = () => {
+        jobs.off('progress', onProgress);
+        jobs.off('end', onEnd);
+    };
+
+    job.events.forEach(event => send('progress', event));
+    if (job.status !== 'running') {
+        send('end', jobs.describe(job, { events: false }));
+        return res.end();
+    }
+
+    jobs.on('progress', onProgress);
+    jobs.on('end', onEnd);
+    res.on('close', unsubscribe);
+});
+
+// API endpoint to cancel a running scrape job
+app.post('/api/scrape/:id/cancel', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Scrape job not found' });
+    }
+    if (!jobs.cancel(job.id)) {
+        return res.status(409).json({ error: `Scrape job is already ${job.status}` });
+    }
+    res.json({ success: true, job: jobs.describe(job, { events: false }) });
+});
+
+// API endpoint listing recent scrape run reports, newest first, without their per-match entries
+app.get('/api/runs', (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 20;
+    if (!(limit > 0)) {
+        return res.status(400).json({ error: `Invalid limit: ${req.query.limit}` });
+    }
+    res.json(database.getRuns(limit).map(({ matches, ...run }) => run));
+});
+
+// API endpoint for one run report with the outcome of every candidate match
+app.get('/api/runs/:id', (req, res) => {
+    const run = database.getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        log.info(`Server running on http://localhost:${PORT}`, { port: Number(PORT) });
+        scheduler.start();
+    });
+}
+
+module.exports = { app, jobs, database };
\ No newline at end of file
@@ -0,0 +1,277 @@
+// src/sources/sofascoreApi.js - Structured data source using SofaScore's JSON API
+const axios = require('axios');
+const Helpers = require('../utils/helpers');
+const { normalizeApiStats } = require('../utils/stats');
+const { parseLineup, applyLineupToPlayers } = require('../utils/lineup');
+const { parseMatchEvents } = require('../utils/matchEvents');
+const { logger } = require('../logger');
+
+const POSITION_MAP = {
+    'G': 'Goalkeeper',
+    'D': 'Defender',
+    'M': 'Midfielder',
+    'F': 'Forward'
+};
+
+// Stop paging back through the event history after this many pages
+const MAX_EVENT_PAGES = 10;
+
+class SofascoreApiSource {
+    /**
+     * @param {Object} config - Configuration from loadConfig()
+     * @param {Object} [options]
+     * @param {Object} [options.http] - Pre-configured axios instance (tests)
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.team = config.team;
+        this.http = options.http || axios.create({
+            baseURL: config.apiBaseUrl,
+            timeout: 15000,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Accept': 'application/json',
+                'Referer': `${config.baseUrl}/`
+            }
+        });
+        // Standings per "<tournament>/<season>", fetched once per run
+        this.standings = new Map();
+    }
+
+    async get(endpoint) {
+        const response = await this.http.get(endpoint);
+        return response.data;
+    }
+
+    /**
+     * Finished matches of the configured team inside the season window, newest first.
+     * Same shape as MariborScraper.getQualifiedGames() plus the SofaScore event id.
+     * @returns {Promise<Array>}
+     */
+    async getQualifiedGames() {
+        const from = new Date(this.config.dateFrom);
+        const to = this.config.dateTo ? new Date(this.config.dateTo) : new Date();
+        const events = [];
+
+        for (let page = 0; page < MAX_EVENT_PAGES; page++) {
+            const data = await this.get(`/team/${this.team.id}/events/last/${page}`);
+            const pageEvents = data.events || [];
+            events.push(...pageEvents);
+
+            const reachedStart = pageEvents.some(event => this.eventDate(event) < from);
+            if (!data.hasNextPage || reachedStart || pageEvents.length === 0) break;
+        }
+
+        return events
+            .filter(event => {
+                const date = this.eventDate(event);
+                return event.status?.type === 'finished' && date >= from && date <= to;
+            })
+            .sort((a, b) => b.startTimestamp - a.startTimestamp)
+            .map(event => this.toGameInfo(event));
+    }
+
+    /**
+     * Upcoming matches plus those that kicked off since `since`, oldest first, for the scheduler
+     * @param {Date} since
+     * @returns {Promise<Array<{eventId: number, url: string, teams: string, kickoff: Date}>>}
+     */
+    async getFixtures(since) {
+        const upcoming = await this.getOptional(`/team/${this.team.id}/events/next/0`);
+        const recent = await this.getOptional(`/team/${this.team.id}/events/last/0`);
+
+        const events = [
+            ...(upcoming?.events || []),
+            ...(recent?.events || []).filter(event => this.eventDate(event) >= since)
+        ];
+
+        return events
+            .filter(event => !['canceled', 'postponed'].includes(event.status?.type))
+            .sort((a, b) => a.startTimestamp - b.startTimestamp)
+            .map(event => {
+                // The match URL lets a single-match scrape find a match that is not stored yet, even without the API
+                const { eventId, url, teams, date } = this.toGameInfo(event);
+                return { eventId, url, teams, kickoff: date };
+            });
+    }
+
+    /**
+     * Match list entry for one event, as getQualifiedGames() would list it
+     * @param {number|string} eventId
+     * @returns {Promise<Object>}
+     * @throws {Error} with code 'INVALID_MATCH' when the match is not ours or has not finished
+     */
+    async getGameInfo(eventId) {
+        const { event } = await this.get(`/event/${eventId}`);
+
+        const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_MATCH' });
+        if (event.homeTeam?.id !== this.team.id && event.awayTeam?.id !== this.team.id) {
+            throw invalid(`Match ${eventId} (${event.homeTeam?.name} vs ${event.awayTeam?.name}) is not a ${this.team.name} match`);
+        }
+        if (event.status?.type !== 'finished') {
+            throw invalid(`Match ${eventId} has not finished (${event.status?.description || event.status?.type})`);
+        }
+        return this.toGameInfo(event);
+    }
+
+    /**
+     * Build a game record from the event details and lineups endpoints
+     * @param {Object} gameInfo - Entry from getQualifiedGames()
+     * @returns {Promise<Object>}
+     */
+    async scrapeGame(gameInfo) {
+        const { event } = await this.get(`/event/${gameInfo.eventId}`);
+        const lineups = await this.getOptional(`/event/${gameInfo.eventId}/lineups`);
+        const incidents = await this.getOptional(`/event/${gameInfo.eventId}/incidents`);
+        // Average positions give substitutes, who have no formation slot, a detailed role
+        const averagePositions = lineups ? await this.getOptional(`/event/${gameInfo.eventId}/average-positions`) : null;
+
+        const isHome = event.homeTeam.id === this.team.id;
+        const lineup = lineups ? parseLineup(lineups, incidents, isHome, averagePositions) : null;
+        const players = lineups ? applyLineupToPlayers(this.extractTeamPlayers(lineups, isHome), lineup) : [];
+        const opponentStanding = await this.getTeamStanding(event, isHome ? event.awayTeam.id : event.homeTeam.id);
+        const details = parseMatchEvents(incidents, event);
+
+        return {
+            id: Helpers.generateGameId(gameInfo.url),
+            url: gameInfo.url,
+            date: gameInfo.dateString,
+            homeTeam: event.homeTeam.name,
+            awayTeam: event.awayTeam.name,
+            score: details.score || '0 - 0',
+            halftimeScore: details.halftimeScore,
+            events: details.events,
+            players: players,
+            lineup: lineup,
+            opponent: this.extractOpponent(lineups, incidents, averagePositions, !isHome),
+            opponentPosition: opponentStanding ? opponentStanding.position : null,
+            leagueSize: opponentStanding ? opponentStanding.size : null,
+            competition: this.toCompetition(event),
+            round: this.toRound(event),
+            venue: isHome ? 'home' : 'away',
+            hasRatings: players.length > 0,
+            scrapedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * @param {Object} event - /event/{id} response event
+     * @returns {{id: number, name: string, slug: string}|null}
+     */
+    toCompetition(event) {
+        const tournament = event.tournament?.uniqueTournament;
+        if (!tournament) return null;
+        return { id: tournament.id, name: tournament.name, slug: tournament.slug || null };
+    }
+
+    /**
+     * Round label as SofaScore shows it: the name for cup rounds ("Quarterfinals"), else "Round N"
+     * @param {Object} event - /event/{id} response event
+     * @returns {string|null}
+     */
+    toRound(event) {
+        const roundInfo = event.roundInfo;
+        if (!roundInfo) return null;
+        if (roundInfo.name) return roundInfo.name;
+        return roundInfo.round ? `Round ${roundInfo.round}` : null;
+    }
+
+    /**
+     * A team's current place in the event's competition table, used to weigh ratings by
+     * opponent strength. Null for competitions without a table (friendlies, knockout rounds)
+     * and whenever the standings cannot be loaded; they are never worth failing a match over.
+     * @param {Object} event - /event/{id} response event
+     * @param {number} teamId
+     * @returns {Promise<{position: number, size: number}|null>}
+     */
+    async getTeamStanding(event, teamId) {
+        const tournamentId = event.tournament?.uniqueTournament?.id;
+        const seasonId = event.season?.id;
+        if (!tournamentId || !seasonId) return null;
+
+        const key = `${tournamentId}/${seasonId}`;
+        if (!this.standings.has(key)) {
+            const endpoint = `/unique-tournament/${tournamentId}/season/${seasonId}/standings/total`;
+            this.standings.set(key, this.getOptional(endpoint).catch(error => {
+                logger.warn(`⚠️  Standings unavailable: ${error.message}`, { endpoint, error });
+                return null;
+            }));
+        }
+
+        const data = await this.standings.get(key);
+        for (const table of data?.standings || []) {
+            const row = (table.rows || []).find(entry => entry.team?.id === teamId);
+            if (row) return { position: row.position, size: table.rows.length };
+        }
+        return null;
+    }
+
+    /**
+     * Like get(), but a 404 (SofaScore has no such data for this match) resolves to null
+     * @param {string} endpoint
+     * @returns {Promise<Object|null>}
+     */
+    async getOptional(endpoint) {
+        try {
+            return await this.get(endpoint);
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * The other team's lineup and rated players, without their detailed statistics
+     * @param {Object|null} lineups - /event/{id}/lineups response
+     * @param {Object|null} incidents - /event/{id}/incidents response
+     * @param {Object|null} averagePositions - /event/{id}/average-positions response
+     * @param {boolean} isHome - Whether the opponent is the home side
+     * @returns {{lineup: Object, players: Array}|null} null without lineups
+     */
+    extractOpponent(lineups, incidents, averagePositions, isHome) {
+        const lineup = lineups ? parseLineup(lineups, incidents, isHome, averagePositions) : null;
+        if (!lineup) return null;
+
+        const players = applyLineupToPlayers(this.extractTeamPlayers(lineups, isHome), lineup)
+            .map(({ stats, ...player }) => player);
+        return { lineup, players };
+    }
+
+    extractTeamPlayers(lineups, isHome) {
+        const side = isHome ? lineups.home : lineups.away;
+        if (!side || !side.players) return [];
+
+        return side.players
+            .map(entry => {
+                const statistics = entry.statistics || {};
+                return {
+                    name: Helpers.cleanPlayerName(entry.player.name),
+                    playerId: entry.player.id || null,
+                    rating: Helpers.validateRating(statistics.rating),
+                    position: POSITION_MAP[entry.position || entry.player.position] || 'Unknown',
+                    minutesPlayed: statistics.minutesPlayed || 0,
+                    isStartingXI: !entry.substitute,
+                    stats: normalizeApiStats(statistics)
+                };
+            })
+            .filter(player => player.rating)
+            .sort((a, b) => b.rating - a.rating);
+    }
+
+    toGameInfo(event) {
+        const date = this.eventDate(event);
+        return {
+            url: `${this.config.baseUrl}/football/match/${event.slug}/${event.customId}#id:${event.id}`,
+            teams: `${event.homeTeam.name} vs ${event.awayTeam.name}`,
+            date: date,
+            dateString: date.toLocaleDateString(),
+            eventId: event.id
+        };
+    }
+
+    eventDate(event) {
+        return new Date(event.startTimestamp * 1000);
+    }
+}
+
+module.exports = SofascoreApiSource;
@@ -0,0 +1,559 @@
+// src/storage/gamesDatabase.js - SQLite storage for games, players, appearances and their stats
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { logger } = require('../logger');
+
+// Schema migrations, applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+    `
+    CREATE TABLE games (
+        id TEXT PRIMARY KEY,
+        event_id INTEGER,
+        url TEXT NOT NULL,
+        date TEXT,
+        home_team TEXT,
+        away_team TEXT,
+        score TEXT,
+        has_ratings INTEGER NOT NULL DEFAULT 0,
+        formation TEXT,
+        lineup_json TEXT,
+        scraped_at TEXT,
+        sort_order INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX idx_games_sort_order ON games (sort_order);
+    CREATE INDEX idx_games_event_id ON games (event_id);
+
+    CREATE TABLE players (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sofascore_id INTEGER UNIQUE,
+        name TEXT NOT NULL
+    );
+    CREATE INDEX idx_players_name ON players (name);
+
+    CREATE TABLE appearances (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT NOT NULL REFERENCES games (id) ON DELETE CASCADE,
+        player_id INTEGER NOT NULL REFERENCES players (id),
+        name TEXT NOT NULL,
+        position TEXT,
+        rating REAL,
+        minutes_played INTEGER,
+        is_starting_xi INTEGER NOT NULL DEFAULT 0,
+        shirt_number INTEGER,
+        formation_slot TEXT,
+        UNIQUE (game_id, player_id)
+    );
+    CREATE INDEX idx_appearances_player ON appearances (player_id);
+    CREATE INDEX idx_appearances_position ON appearances (position);
+
+    CREATE TABLE appearance_stats (
+        appearance_id INTEGER NOT NULL REFERENCES appearances (id) ON DELETE CASCADE,
+        stat_key TEXT NOT NULL,
+        value REAL,
+        PRIMARY KEY (appearance_id, stat_key)
+    );
+    CREATE INDEX idx_appearance_stats_key ON appearance_stats (stat_key);
+    `,
+    // Detailed role (see DETAILED_POSITIONS in utils/lineup), backfilled from the formation slot
+    `
+    ALTER TABLE appearances ADD COLUMN detailed_position TEXT;
+    CREATE INDEX idx_appearances_detailed_position ON appearances (detailed_position);
+
+    UPDATE appearances SET detailed_position = CASE
+        WHEN formation_slot = 'GK' THEN 'GK'
+        WHEN formation_slot IN ('CB', 'RCB', 'LCB') THEN 'CB'
+        WHEN formation_slot IN ('RB', 'LB', 'RWB', 'LWB') THEN 'FB'
+        WHEN formation_slot IN ('CDM', 'RDM', 'LDM') THEN 'DM'
+        WHEN formation_slot IN ('CM', 'RCM', 'LCM') THEN 'CM'
+        WHEN formation_slot = 'CAM' THEN 'AM'
+        WHEN formation_slot IN ('RAM', 'LAM', 'RM', 'LM', 'RW', 'LW') THEN 'W'
+        WHEN formation_slot IN ('ST', 'RS', 'LS') THEN 'ST'
+    END
+    WHERE formation_slot IS NOT NULL;
+    `,
+    // Opponent's league position when the game was scraped, for opponent-adjusted ratings
+    `
+    ALTER TABLE games ADD COLUMN opponent_position INTEGER;
+    ALTER TABLE games ADD COLUMN league_size INTEGER;
+    `,
+    // Competition, round and our venue, for filtering by competition and home/away
+    `
+    ALTER TABLE games ADD COLUMN competition_id INTEGER;
+    ALTER TABLE games ADD COLUMN competition_name TEXT;
+    ALTER TABLE games ADD COLUMN competition_slug TEXT;
+    ALTER TABLE games ADD COLUMN round TEXT;
+    ALTER TABLE games ADD COLUMN venue TEXT;
+    CREATE INDEX idx_games_competition ON games (competition_id);
+    `,
+    // Run reports (see runReport.js), stored whole as JSON
+    `
+    CREATE TABLE scrape_runs (
+        id TEXT PRIMARY KEY,
+        started_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        report_json TEXT NOT NULL
+    );
+    CREATE INDEX idx_scrape_runs_started_at ON scrape_runs (started_at);
+    `,
+    // Match details: halftime score, the event timeline and the opponent's lineup and ratings, stored as JSON
+    `
+    ALTER TABLE games ADD COLUMN halftime_score TEXT;
+    ALTER TABLE games ADD COLUMN events_json TEXT;
+    ALTER TABLE games ADD COLUMN opponent_json TEXT;
+    `
+];
+
+// Run reports kept; older ones are dropped as new runs are saved
+const MAX_RUNS = 100;
+
+class GamesDatabase {
+    /**
+     * @param {string} filePath - Database file, or ':memory:'
+     */
+    constructor(filePath) {
+        if (filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        MIGRATIONS.slice(version).forEach((sql, index) => {
+            this.db.transaction(() => {
+                this.db.exec(sql);
+                this.db.pragma(`user_version = ${version + index + 1}`);
+            })();
+        });
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    isEmpty() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM games').get().count === 0;
+    }
+
+    /**
+     * Import a games.json array (the storage format before SQLite)
+     * @param {string} jsonPath
+     * @returns {number} Games imported, 0 when the file does not exist
+     */
+    importJson(jsonPath) {
+        if (!fs.existsSync(jsonPath)) return 0;
+
+        const games = readGamesJson(jsonPath);
+        this.saveGames(games);
+        return games.length;
+    }
+
+    /**
+     * Write the full ordered list of games, replacing any stored record with the same id
+     * @param {Array} games - Game records, newest first
+     */
+    saveGames(games) {
+        this.db.transaction(() => {
+            games.forEach((game, index) => this.upsertGame(game, index));
+        })();
+    }
+
+    /**
+     * Replace everything stored with the given games (a scrape run's merged result)
+     * @param {Array} games - Game records, newest first
+     */
+    replaceGames(games) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM games').run();
+            this.saveGames(games);
+        })();
+    }
+
+    upsertGame(game, sortOrder) {
+        const eventIdMatch = String(game.id).match(/#id:(\d+)/);
+
+        // Replacing the row cascades to the old appearances and their stats
+        this.db.prepare('DELETE FROM games WHERE id = ?').run(game.id);
+        this.db.prepare(`
+            INSERT INTO games (id, event_id, url, date, home_team, away_team, score, has_ratings,
+                formation, lineup_json, opponent_position, league_size, competition_id, competition_name,
+                competition_slug, round, venue, halftime_score, events_json, opponent_json, scraped_at, sort_order)
+            VALUES (@id, @eventId, @url, @date, @homeTeam, @awayTeam, @score, @hasRatings,
+                @formation, @lineupJson, @opponentPosition, @leagueSize, @competitionId, @competitionName,
+                @competitionSlug, @round, @venue, @halftimeScore, @eventsJson, @opponentJson, @scrapedAt, @sortOrder)
+        `).run({
+            id: game.id,
+            eventId: eventIdMatch ? parseInt(eventIdMatch[1], 10) : null,
+            url: game.url,
+            date: game.date || null,
+            homeTeam: game.homeTeam || null,
+            awayTeam: game.awayTeam || null,
+            score: game.score || null,
+            hasRatings: game.hasRatings ? 1 : 0,
+            formation: game.lineup?.formation || null,
+            lineupJson: game.lineup ? JSON.stringify(game.lineup) : null,
+            opponentPosition: game.opponentPosition ?? null,
+            leagueSize: game.leagueSize ?? null,
+            competitionId: game.competition?.id ?? null,
+            competitionName: game.competition?.name ?? null,
+            competitionSlug: game.competition?.slug ?? null,
+            round: game.round ?? null,
+            venue: game.venue ?? null,
+            halftimeScore: game.halftimeScore ?? null,
+            eventsJson: game.events ? JSON.stringify(game.events) : null,
+            opponentJson: game.opponent ? JSON.stringify(game.opponent) : null,
+            scrapedAt: game.scrapedAt || null,
+            sortOrder: sortOrder
+        });
+
+        const insertAppearance = this.db.prepare(`
+            INSERT INTO appearances (game_id, player_id, name, position, rating, minutes_played,
+                is_starting_xi, shirt_number, formation_slot, detailed_position)
+            VALUES (@gameId, @playerId, @name, @position, @rating, @minutesPlayed,
+                @isStartingXI, @shirtNumber, @formationSlot, @detailedPosition)
+            ON CONFLICT (game_id, player_id) DO NOTHING
+        `);
+        const insertStat = this.db.prepare(
+            'INSERT INTO appearance_stats (appearance_id, stat_key, value) VALUES (?, ?, ?)'
+        );
+
+        (game.players || []).forEach(player => {
+            const { changes, lastInsertRowid } = insertAppearance.run({
+                gameId: game.id,
+                playerId: this.ensurePlayer(player),
+                name: player.name,
+                position: player.position || null,
+                rating: player.rating ?? null,
+                minutesPlayed: player.minutesPlayed ?? null,
+                isStartingXI: player.isStartingXI ? 1 : 0,
+                shirtNumber: player.shirtNumber ?? null,
+                formationSlot: player.formationSlot ?? null,
+                detailedPosition: player.detailedPosition ?? null
+            });
+            // The same player listed twice in one game keeps the first entry
+            if (changes === 0) return;
+
+            Object.entries(player.stats || {}).forEach(([key, value]) => {
+                insertStat.run(lastInsertRowid, key, value);
+            });
+        });
+    }
+
+    /**
+     * Row id of the player, creating it on first sight. Players with a SofaScore id are
+     * keyed by it; older records without one are keyed by name.
+     * @param {Object} player
+     * @returns {number}
+     */
+    ensurePlayer(player) {
+        const existing = player.playerId
+            ? this.db.prepare('SELECT id FROM players WHERE sofascore_id = ?').get(player.playerId)
+            : this.db.prepare('SELECT id FROM players WHERE sofascore_id IS NULL AND name = ?').get(player.name);
+
+        if (existing) return existing.id;
+
+        return this.db.prepare('INSERT INTO players (sofascore_id, name) VALUES (?, ?)')
+            .run(player.playerId || null, player.name).lastInsertRowid;
+    }
+
+    /**
+     * All games in stored order (newest first), in the same shape the scraper produces
+     * @returns {Array}
+     */
+    getGames() {
+        const rows = this.db.prepare('SELECT * FROM games ORDER BY sort_order').all();
+        return this.buildGames(rows);
+    }
+
+    /**
+     * Games matching the competition, venue and game filters, in stored order; see utils/gameFilters.js
+     * @param {Object} filters
+     * @param {string} [filters.competition] - Competition id; games without a competition never match
+     * @param {string} [filters.venue] - 'home' or 'away'
+     * @param {string} [filters.teamName] - Our team, for records stored without a venue
+     * @param {string} [filters.gameId] - One game
+     * @returns {Array}
+     */
+    findGames(filters = {}) {
+        const conditions = [];
+        const params = {};
+        if (filters.competition) {
+            conditions.push('competition_id = @competition');
+            params.competition = /^\d+$/.test(String(filters.competition)) ? Number(filters.competition) : filters.competition;
+        }
+        if (filters.venue) {
+            // Records scraped before venues were stored compare the home team with ours
+            conditions.push(`COALESCE(venue, CASE WHEN home_team = @teamName THEN 'home' ELSE 'away' END) = @venue`);
+            params.venue = filters.venue;
+            params.teamName = filters.teamName || null;
+        }
+        if (filters.gameId) {
+            conditions.push('id = @gameId');
+            params.gameId = filters.gameId;
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = this.db.prepare(`SELECT * FROM games ${where} ORDER BY sort_order`).all(params);
+        return this.buildGames(rows);
+    }
+
+    /**
+     * @param {string} id - Game id
+     * @returns {Object|null}
+     */
+    getGame(id) {
+        const row = this.db.prepare('SELECT * FROM games WHERE id = ?').get(id);
+        return row ? this.buildGames([row])[0] : null;
+    }
+
+    /**
+     * Every appearance of one player, oldest first
+     * @param {number|string} key - SofaScore player id, or the name of a player stored without one
+     * @returns {{player: {playerId: (number|null), name: string}, appearances: Array}|null}
+     */
+    getPlayerAppearances(key) {
+        const player = /^\d+$/.test(String(key))
+            ? this.db.prepare('SELECT * FROM players WHERE sofascore_id = ?').get(Number(key))
+            : this.db.prepare('SELECT * FROM players WHERE sofascore_id IS NULL AND name = ?').get(key);
+        if (!player) return null;
+
+        const rows = this.db.prepare(`
+            SELECT a.*, p.sofascore_id, g.date, g.home_team, g.away_team, g.score,
+                g.competition_id, g.competition_name, g.competition_slug, g.round, g.venue
+            FROM appearances a
+            JOIN games g ON g.id = a.game_id
+            JOIN players p ON p.id = a.player_id
+            WHERE a.player_id = ?
+            ORDER BY g.sort_order DESC
+        `).all(player.id);
+
+        const statsByAppearance = this.getAppearanceStats(rows.map(row => row.id));
+
+        return {
+            player: { playerId: player.sofascore_id, name: player.name },
+            appearances: rows.map(row => ({
+                gameId: row.game_id,
+                date: row.date,
+                homeTeam: row.home_team,
+                awayTeam: row.away_team,
+                score: row.score,
+                ...this.toMatchTags(row),
+                ...this.toPlayer(row, statsByAppearance.get(row.id) || {})
+            }))
+        };
+    }
+
+    /**
+     * Players whose name contains the query, ignoring case and diacritics ("zan" finds "Žan Kos")
+     * @param {string} query
+     * @returns {Array<{playerId: (number|null), name: string, appearances: number}>} Most appearances first
+     */
+    findPlayers(query) {
+        const fold = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const needle = fold(query.trim());
+
+        return this.db.prepare(`
+            SELECT p.sofascore_id, p.name, COUNT(a.id) AS appearances
+            FROM players p
+            LEFT JOIN appearances a ON a.player_id = p.id
+            GROUP BY p.id
+            ORDER BY appearances DESC, p.name
+        `).all()
+            .filter(row => fold(row.name).includes(needle))
+            .map(row => ({ playerId: row.sofascore_id, name: row.name, appearances: row.appearances }));
+    }
+
+    /**
+     * @param {number[]} appearanceIds
+     * @returns {Map<number, Object>} appearance id -> { stat key: value }
+     */
+    getAppearanceStats(appearanceIds) {
+        const statsByAppearance = new Map();
+        if (appearanceIds.length === 0) return statsByAppearance;
+
+        const placeholders = appearanceIds.map(() => '?').join(', ');
+        this.db.prepare(`
+            SELECT appearance_id, stat_key, value
+            FROM appearance_stats
+            WHERE appearance_id IN (${placeholders})
+        `).all(...appearanceIds).forEach(stat => {
+            if (!statsByAppearance.has(stat.appearance_id)) statsByAppearance.set(stat.appearance_id, {});
+            statsByAppearance.get(stat.appearance_id)[stat.stat_key] = stat.value;
+        });
+        return statsByAppearance;
+    }
+
+    buildGames(rows) {
+        if (rows.length === 0) return [];
+
+        const gameIds = rows.map(row => row.id);
+        const placeholders = gameIds.map(() => '?').join(', ');
+
+        const appearances = this.db.prepare(`
+            SELECT a.*, p.sofascore_id
+            FROM appearances a
+            JOIN players p ON p.id = a.player_id
+            WHERE a.game_id IN (${placeholders})
+            ORDER BY a.id
+        `).all(...gameIds);
+
+        const statsByAppearance = this.getAppearanceStats(appearances.map(row => row.id));
+
+        const playersByGame = new Map(gameIds.map(id => [id, []]));
+        appearances.forEach(row => {
+            playersByGame.get(row.game_id).push(this.toPlayer(row, statsByAppearance.get(row.id) || {}));
+        });
+
+        return rows.map(row => {
+            const game = {
+                id: row.id,
+                url: row.url,
+                date: row.date,
+                homeTeam: row.home_team,
+                awayTeam: row.away_team,
+                score: row.score,
+                players: playersByGame.get(row.id),
+                hasRatings: Boolean(row.has_ratings),
+                scrapedAt: row.scraped_at
+            };
+            if (row.lineup_json) game.lineup = JSON.parse(row.lineup_json);
+            if (row.opponent_position !== null) {
+                game.opponentPosition = row.opponent_position;
+                game.leagueSize = row.league_size;
+            }
+            if (row.halftime_score !== null) game.halftimeScore = row.halftime_score;
+            if (row.events_json) game.events = JSON.parse(row.events_json);
+            if (row.opponent_json) game.opponent = JSON.parse(row.opponent_json);
+            return Object.assign(game, this.toMatchTags(row));
+        });
+    }
+
+    // Competition, round and venue, only where the game has them (older records do not)
+    toMatchTags(row) {
+        const tags = {};
+        if (row.competition_name !== null) {
+            tags.competition = { id: row.competition_id, name: row.competition_name, slug: row.competition_slug };
+        }
+        if (row.round !== null) tags.round = row.round;
+        if (row.venue !== null) tags.venue = row.venue;
+        return tags;
+    }
+
+    toPlayer(row, stats) {
+        const player = {
+            name: row.name,
+            playerId: row.sofascore_id,
+            rating: row.rating,
+            position: row.position,
+            minutesPlayed: row.minutes_played,
+            isStartingXI: Boolean(row.is_starting_xi),
+            stats: stats
+        };
+        // Lineup fields exist only on players matched to the lineup, which always have a shirt number or slot
+        if (row.shirt_number !== null || row.formation_slot !== null) {
+            player.shirtNumber = row.shirt_number;
+            player.formationSlot = row.formation_slot;
+            player.detailedPosition = row.detailed_position;
+        }
+        return player;
+    }
+
+    /**
+     * Store a run report, replacing an earlier save of the same run, and drop the oldest beyond MAX_RUNS
+     * @param {Object} report - RunReport.toJSON()
+     */
+    saveRun(report) {
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO scrape_runs (id, started_at, status, report_json)
+                VALUES (?, ?, ?, ?)
+            `).run(report.id, report.startedAt, report.status, JSON.stringify(report));
+            this.db.prepare(`
+                DELETE FROM scrape_runs WHERE id NOT IN (
+                    SELECT id FROM scrape_runs ORDER BY started_at DESC LIMIT ?
+                )
+            `).run(MAX_RUNS);
+        })();
+    }
+
+    /**
+     * Run reports, newest first
+     * @param {number} [limit=20]
+     * @returns {Array<Object>}
+     */
+    getRuns(limit = 20) {
+        return this.db.prepare('SELECT report_json FROM scrape_runs ORDER BY started_at DESC LIMIT ?')
+            .all(limit)
+            .map(row => JSON.parse(row.report_json));
+    }
+
+    /**
+     * @param {string} id - Run id
+     * @returns {Object|null}
+     */
+    getRun(id) {
+        const row = this.db.prepare('SELECT report_json FROM scrape_runs WHERE id = ?').get(id);
+        return row ? JSON.parse(row.report_json) : null;
+    }
+
+    /**
+     * Write every stored game to a JSON file in the original games.json format
+     * @param {string} jsonPath
+     */
+    exportJson(jsonPath) {
+        fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+
+        // Write to a temp file first so an interrupted export never leaves a truncated file
+        const tempPath = `${jsonPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.getGames(), null, 2));
+        fs.renameSync(tempPath, jsonPath);
+    }
+}
+
+/**
+ * Read and check a games.json array
+ * @param {string} jsonPath
+ * @returns {Array} Game records, newest first
+ * @throws {Error} When the file is missing, is not JSON or does not hold an array
+ */
+function readGamesJson(jsonPath) {
+    let games;
+    try {
+        games = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`${jsonPath} does not exist`);
+        throw new Error(`Invalid JSON in ${jsonPath}: ${error.message}`);
+    }
+    if (!Array.isArray(games)) {
+        throw new Error(`${jsonPath} does not contain a games array`);
+    }
+    return games;
+}
+
+/**
+ * Open the configured database, importing data/games.json the first time
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {GamesDatabase}
+ */
+function openDatabase(config) {
+    const database = new GamesDatabase(config.databaseFile);
+
+    if (database.isEmpty()) {
+        const imported = database.importJson(config.dataPath);
+        if (imported > 0) {
+            logger.info(`📦 Imported ${imported} games from ${config.dataPath} into ${config.databaseFile}`);
+        }
+    }
+
+    return database;
+}
+
+module.exports = {
+    GamesDatabase,
+    openDatabase,
+    readGamesJson
+};
@@ -0,0 +1,37 @@
+// src/storage/migrate.js - Import games.json into the SQLite database, or export it back
+const { loadConfig } = require('../config');
+const { GamesDatabase, readGamesJson } = require('./gamesDatabase');
+
+const USAGE = 'Usage: node src/storage/migrate.js <import|export> [config flags]';
+
+function run(command, config) {
+    // Read the file before opening the database, so a missing or broken file leaves the stored games alone
+    const games = command === 'import' ? readGamesJson(config.dataPath) : null;
+    const database = new GamesDatabase(config.databaseFile);
+
+    try {
+        if (command === 'import') {
+            // Re-importing replaces the stored games with exactly what the file holds, in one transaction
+            database.replaceGames(games);
+            console.log(`📦 Imported ${games.length} games from ${config.dataPath} into ${config.databaseFile}`);
+        } else if (command === 'export') {
+            database.exportJson(config.dataPath);
+            console.log(`💾 Exported ${database.getGames().length} games to ${config.dataPath}`);
+        } else {
+            throw new Error(USAGE);
+        }
+    } finally {
+        database.close();
+    }
+}
+
+if (require.main === module) {
+    try {
+        run(process.argv[2], loadConfig({ argv: process.argv.slice(3) }));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { run };
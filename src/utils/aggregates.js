@@ -0,0 +1,184 @@
+// src/utils/aggregates.js - Rating aggregates per player and position, for ranking players
+
+// Ranking metrics every aggregate row carries
+const METRICS = ['average', 'minutesWeighted', 'shrunk', 'opponentAdjusted'];
+
+// Bayesian shrinkage: the position's average counts as this many full games of evidence,
+// so a single cameo barely moves a player away from it while a regular starter's own
+// ratings dominate
+const PRIOR_GAMES = 3;
+
+// Rating points between facing the league leader and facing the bottom side: a rating
+// against the leader gains half of this, one against the bottom side loses half
+const OPPONENT_WEIGHT = 1;
+
+// Stats that are not counts and make no sense per 90 minutes
+const NON_COUNT_STATS = new Set(['rating', 'minutesPlayed']);
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function sum(values) {
+    return values.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Minutes-weighted mean; appearances without minutes (older records) fall back to a plain mean
+ * @param {Array<{value: number, minutes: number}>} entries
+ * @returns {number}
+ */
+function weightedMean(entries) {
+    const minutes = sum(entries.map(entry => entry.minutes));
+    if (minutes === 0) return sum(entries.map(entry => entry.value)) / entries.length;
+    return sum(entries.map(entry => entry.value * entry.minutes)) / minutes;
+}
+
+/**
+ * Opponent strength from their league position: +0.5 for the leader down to -0.5 for
+ * the bottom side, 0 when the game has no table position
+ * @param {Object} game
+ * @returns {number}
+ */
+function opponentStrength(game) {
+    if (!game.opponentPosition || !game.leagueSize || game.leagueSize < 2) return 0;
+    return (game.leagueSize - game.opponentPosition) / (game.leagueSize - 1) - 0.5;
+}
+
+function playerKey(player) {
+    return player.playerId ? `id:${player.playerId}` : `name:${player.name}`;
+}
+
+/**
+ * Rated appearances per player, newest first like the stored games
+ * @param {Array} games
+ * @returns {Map<string, Object>}
+ */
+function collectAppearances(games) {
+    const players = new Map();
+
+    games.forEach(game => {
+        const strength = opponentStrength(game);
+
+        (game.players || []).forEach(player => {
+            if (typeof player.rating !== 'number') return;
+
+            const key = playerKey(player);
+            if (!players.has(key)) {
+                players.set(key, { playerKey: key, playerId: player.playerId || null, name: player.name, appearances: [] });
+            }
+            players.get(key).appearances.push({
+                position: player.position,
+                role: player.detailedPosition || null,
+                rating: player.rating,
+                minutes: player.minutesPlayed || 0,
+                stats: player.stats || {},
+                strength: strength
+            });
+        });
+    });
+
+    return players;
+}
+
+function summarize(appearances, prior) {
+    const ratings = appearances.map(entry => ({ value: entry.rating, minutes: entry.minutes }));
+    const minutes = sum(appearances.map(entry => entry.minutes));
+    const minutesWeighted = weightedMean(ratings);
+    // Evidence in full games, so ten minutes count as a ninth of a game
+    const sampleGames = minutes > 0 ? minutes / 90 : appearances.length;
+
+    const totals = {};
+    appearances.forEach(entry => {
+        Object.entries(entry.stats).forEach(([key, value]) => {
+            if (NON_COUNT_STATS.has(key) || typeof value !== 'number') return;
+            totals[key] = (totals[key] || 0) + value;
+        });
+    });
+    const per90 = {};
+    if (minutes > 0) {
+        Object.entries(totals).forEach(([key, value]) => {
+            per90[key] = round(value / minutes * 90);
+        });
+    }
+
+    return {
+        appearances: appearances.length,
+        minutes: minutes,
+        bestRating: Math.max(...appearances.map(entry => entry.rating)),
+        worstRating: Math.min(...appearances.map(entry => entry.rating)),
+        metrics: {
+            average: round(sum(appearances.map(entry => entry.rating)) / appearances.length),
+            minutesWeighted: round(minutesWeighted),
+            shrunk: round((sampleGames * minutesWeighted + PRIOR_GAMES * prior) / (sampleGames + PRIOR_GAMES)),
+            opponentAdjusted: round(weightedMean(appearances.map(entry => ({
+                value: entry.rating + OPPONENT_WEIGHT * entry.strength,
+                minutes: entry.minutes
+            }))))
+        },
+        per90: per90
+    };
+}
+
+/**
+ * @param {Array} games - Stored games, newest first
+ * @param {Object} [options]
+ * @param {string} [options.groupBy] - 'position' (default) or 'role' for one row per position and detailed role
+ * @param {number} [options.formWindow] - Only each player's last N rated appearances; 0 for all
+ * @param {string} [options.position] - Only appearances at this position
+ * @param {string} [options.role] - Only appearances in this detailed role
+ * @param {string} [options.metric] - Sort rows by this metric, best first
+ * @returns {Array<Object>} Rows of { playerKey, playerId, name, position, role, appearances,
+ *   minutes, bestRating, worstRating, metrics, per90 }
+ */
+function buildAggregates(games, options = {}) {
+    const players = collectAppearances(games);
+
+    // Shrinkage target: the minutes-weighted average of everyone at the position
+    const byPosition = {};
+    players.forEach(player => player.appearances.forEach(entry => {
+        (byPosition[entry.position] = byPosition[entry.position] || []).push({ value: entry.rating, minutes: entry.minutes });
+    }));
+    const priors = {};
+    Object.entries(byPosition).forEach(([position, entries]) => {
+        priors[position] = weightedMean(entries);
+    });
+
+    const rows = [];
+    players.forEach(player => {
+        const recent = options.formWindow > 0 ? player.appearances.slice(0, options.formWindow) : player.appearances;
+        const groups = new Map();
+
+        recent
+            .filter(entry => !options.position || entry.position === options.position)
+            .filter(entry => !options.role || entry.role === options.role)
+            .forEach(entry => {
+                const key = options.groupBy === 'role' ? `${entry.position}|${entry.role || ''}` : entry.position;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(entry);
+            });
+
+        groups.forEach(entries => {
+            rows.push({
+                playerKey: player.playerKey,
+                playerId: player.playerId,
+                name: player.name,
+                position: entries[0].position,
+                role: options.groupBy === 'role' ? entries[0].role : (options.role || null),
+                ...summarize(entries, priors[entries[0].position])
+            });
+        });
+    });
+
+    if (options.metric) {
+        rows.sort((a, b) => b.metrics[options.metric] - a.metrics[options.metric]);
+    }
+    return rows;
+}
+
+module.exports = {
+    buildAggregates,
+    opponentStrength,
+    METRICS,
+    PRIOR_GAMES
+};
@@ -0,0 +1,255 @@
+// src/utils/exportTables.js - Appearance, player and position tables as CSV, JSON or an XLSX workbook
+const ExcelJS = require('exceljs');
+const { buildAggregates, METRICS } = require('./aggregates');
+const { gameVenue } = require('./gameFilters');
+const { uiText, DEFAULT_LOCALE } = require('../locales');
+
+const TABLES = ['appearances', 'players', 'positions'];
+const FORMATS = ['csv', 'json', 'xlsx'];
+
+// Position tables in pitch order, attack first like the Position View
+const POSITIONS = ['Forward', 'Midfielder', 'Defender', 'Goalkeeper'];
+
+// Headers and sheet names come from the locale bundles' export.*, metrics.*, stats.* and positions.* strings
+function label(lang, key, params) {
+    return uiText(lang || DEFAULT_LOCALE, key, params) || key;
+}
+
+// Stats the locale bundles do not name: "accuratePasses" -> "Accurate Passes"
+function statLabel(lang, key) {
+    const known = uiText(lang || DEFAULT_LOCALE, `stats.${key}`);
+    if (known) return known;
+    const words = key.replace(/([A-Z])/g, ' $1');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Union of the keys of every object, in first-seen order
+function collectKeys(objects) {
+    const keys = new Set();
+    objects.forEach(object => Object.keys(object || {}).forEach(key => keys.add(key)));
+    return Array.from(keys);
+}
+
+/**
+ * One row per player per match
+ * @param {Array} games - Stored games, already filtered, newest first
+ * @param {Object} options
+ * @param {string} options.teamName - Our team, to tell the opponent and venue apart
+ * @param {string} [options.lang] - Locale of the headers and sheet name, English by default
+ * @returns {{name: string, label: string, columns: Array<{key: string, label: string}>, rows: Array<Object>}}
+ *   name is the same in every language, label is the sheet name
+ */
+function appearancesTable(games, options) {
+    const statKeys = collectKeys(games.flatMap(game => (game.players || []).map(player => player.stats)))
+        .filter(key => key !== 'rating' && key !== 'minutesPlayed');
+
+    const { lang } = options;
+    const rows = [];
+    games.forEach(game => {
+        const venue = gameVenue(game, options.teamName);
+        (game.players || []).forEach(player => {
+            const row = {
+                date: game.date,
+                competition: game.competition ? game.competition.name : null,
+                round: game.round || null,
+                venue: label(lang, `export.${venue}`),
+                opponent: venue === 'home' ? game.awayTeam : game.homeTeam,
+                score: game.score,
+                player: player.name,
+                playerId: player.playerId || null,
+                position: player.position,
+                role: player.detailedPosition || null,
+                starting: label(lang, player.isStartingXI ? 'export.yes' : 'export.no'),
+                minutes: player.minutesPlayed ?? null,
+                rating: player.rating ?? null
+            };
+            statKeys.forEach(key => {
+                row[`stat.${key}`] = player.stats?.[key] ?? null;
+            });
+            rows.push(row);
+        });
+    });
+
+    return {
+        name: 'Appearances',
+        label: label(lang, 'export.appearances'),
+        columns: [
+            { key: 'date', label: label(lang, 'export.date') },
+            { key: 'competition', label: label(lang, 'export.competition') },
+            { key: 'round', label: label(lang, 'export.round') },
+            { key: 'venue', label: label(lang, 'export.venue') },
+            { key: 'opponent', label: label(lang, 'export.opponent') },
+            { key: 'score', label: label(lang, 'export.score') },
+            { key: 'player', label: label(lang, 'export.player') },
+            { key: 'playerId', label: label(lang, 'export.playerId') },
+            { key: 'position', label: label(lang, 'export.position') },
+            { key: 'role', label: label(lang, 'export.role') },
+            { key: 'starting', label: label(lang, 'export.startingXI') },
+            { key: 'minutes', label: label(lang, 'export.minutes') },
+            { key: 'rating', label: label(lang, 'export.rating') },
+            ...statKeys.map(key => ({ key: `stat.${key}`, label: statLabel(lang, key) }))
+        ],
+        rows: rows
+    };
+}
+
+// Aggregate rows flattened into table rows, with every metric and per-90 stat as a column
+function aggregatesTable(name, sheetLabel, aggregates, lang) {
+    const per90Keys = collectKeys(aggregates.map(row => row.per90));
+
+    return {
+        name: name,
+        label: sheetLabel,
+        columns: [
+            { key: 'player', label: label(lang, 'export.player') },
+            { key: 'playerId', label: label(lang, 'export.playerId') },
+            { key: 'position', label: label(lang, 'export.position') },
+            { key: 'role', label: label(lang, 'export.role') },
+            { key: 'appearances', label: label(lang, 'export.games') },
+            { key: 'minutes', label: label(lang, 'export.minutes') },
+            ...METRICS.map(metric => ({ key: metric, label: label(lang, `metrics.${metric}`) })),
+            { key: 'bestRating', label: label(lang, 'export.bestRating') },
+            { key: 'worstRating', label: label(lang, 'export.worstRating') },
+            ...per90Keys.map(key => ({ key: `per90.${key}`, label: label(lang, 'export.per90', { stat: statLabel(lang, key) }) }))
+        ],
+        rows: aggregates.map(row => {
+            const tableRow = {
+                player: row.name,
+                playerId: row.playerId,
+                position: row.position,
+                role: row.role,
+                appearances: row.appearances,
+                minutes: row.minutes,
+                ...row.metrics,
+                bestRating: row.bestRating,
+                worstRating: row.worstRating
+            };
+            per90Keys.forEach(key => {
+                tableRow[`per90.${key}`] = row.per90[key] ?? null;
+            });
+            return tableRow;
+        })
+    };
+}
+
+/**
+ * Season aggregates per player and position (or detailed role), best first by the metric
+ * @param {Array} games - Stored games, already filtered
+ * @param {Object} options - buildAggregates() options: metric, groupBy, formWindow, position, role
+ * @returns {Object} Table
+ */
+function playersTable(games, options) {
+    return aggregatesTable('Players', label(options.lang, 'export.players'), buildAggregates(games, options), options.lang);
+}
+
+/**
+ * One table per position, as in the Position View; a position option limits it to that one
+ * @param {Array} games - Stored games, already filtered
+ * @param {Object} options - buildAggregates() options
+ * @returns {Array<Object>} Tables
+ */
+function positionTables(games, options) {
+    const positions = options.position ? [options.position] : POSITIONS;
+    return positions.map(position => aggregatesTable(
+        position,
+        label(options.lang, `positions.${position}`),
+        buildAggregates(games, { ...options, position }),
+        options.lang
+    ));
+}
+
+/**
+ * The tables of one export: a single table name, or every table when none is given
+ * @param {string|null} table - 'appearances', 'players', 'positions' or null for all
+ * @param {Array} games - Stored games, already filtered
+ * @param {Object} options - teamName and lang (see appearancesTable()) plus buildAggregates() options
+ * @returns {Array<Object>} Tables
+ */
+function buildExportTables(table, games, options) {
+    const tables = [];
+    if (!table || table === 'appearances') tables.push(appearancesTable(games, options));
+    if (!table || table === 'players') tables.push(playersTable(games, options));
+    if (!table || table === 'positions') tables.push(...positionTables(games, options));
+    return tables;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tables stacked into one, with the union of their columns (the per-90 stats differ by position)
+ * @param {string} name
+ * @param {Array<Object>} tables
+ * @returns {Object} Table
+ */
+function mergeTables(name, tables) {
+    const columns = new Map();
+    tables.forEach(table => table.columns.forEach(column => {
+        if (!columns.has(column.key)) columns.set(column.key, column);
+    }));
+    return { name: name, label: name, columns: Array.from(columns.values()), rows: tables.flatMap(table => table.rows) };
+}
+
+/**
+ * CSV with a header row. The byte order mark makes Excel read the UTF-8 names (ž, č, š) correctly.
+ * @param {Object} table
+ * @returns {string}
+ */
+function toCsv(table) {
+    const lines = [
+        table.columns.map(column => csvCell(column.label)).join(','),
+        ...table.rows.map(row => table.columns.map(column => csvCell(row[column.key])).join(','))
+    ];
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Workbook with one sheet per table
+ * @param {Array<Object>} tables
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(tables) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    tables.forEach(table => {
+        const sheet = workbook.addWorksheet(table.label || table.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = table.columns.map(column => ({
+            header: column.label,
+            key: column.key,
+            width: Math.max(10, column.label.length + 2)
+        }));
+        sheet.getRow(1).font = { bold: true };
+        table.rows.forEach(row => sheet.addRow(row));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * @param {Array<Object>} tables
+ * @returns {Object} { <table name>: { columns, rows } }
+ */
+function toJson(tables) {
+    const result = {};
+    tables.forEach(table => {
+        result[table.name] = { columns: table.columns, rows: table.rows };
+    });
+    return result;
+}
+
+module.exports = {
+    buildExportTables,
+    appearancesTable,
+    playersTable,
+    positionTables,
+    mergeTables,
+    toCsv,
+    toXlsx,
+    toJson,
+    TABLES,
+    FORMATS
+};
@@ -0,0 +1,64 @@
+// src/utils/gameFilters.js - Competition and home/away filters shared by the API endpoints
+
+const VENUES = ['home', 'away'];
+
+/**
+ * Our side of the game. Records scraped before venues were stored fall back to comparing
+ * the home team with ours.
+ * @param {Object} game - Game record or player appearance
+ * @param {string} teamName
+ * @returns {'home'|'away'}
+ */
+function gameVenue(game, teamName) {
+    if (game.venue) return game.venue;
+    return game.homeTeam === teamName ? 'home' : 'away';
+}
+
+/**
+ * @param {Object} game - Game record or player appearance
+ * @param {Object} filters
+ * @param {string} [filters.competition] - Competition id; games without a competition never match
+ * @param {string} [filters.venue] - 'home' or 'away'
+ * @param {string} filters.teamName - Our team, for records without a venue
+ * @returns {boolean}
+ */
+function matchesFilters(game, filters) {
+    if (filters.competition && String(game.competition?.id) !== String(filters.competition)) return false;
+    if (filters.venue && gameVenue(game, filters.teamName) !== filters.venue) return false;
+    return true;
+}
+
+/**
+ * @param {Array} games
+ * @param {Object} filters - See matchesFilters()
+ * @returns {Array}
+ */
+function filterGames(games, filters) {
+    return games.filter(game => matchesFilters(game, filters));
+}
+
+/**
+ * Read the filters from a request query, rejecting an unknown venue
+ * @param {Object} query - Express req.query
+ * @param {string} teamName
+ * @returns {Object} Filters for matchesFilters()
+ * @throws {Error} When venue is not 'home' or 'away'
+ */
+function parseFilters(query, teamName) {
+    if (query.venue && !VENUES.includes(query.venue)) {
+        throw new Error(`Unknown venue "${query.venue}", expected one of ${VENUES.join(', ')}`);
+    }
+    return {
+        competition: query.competition || null,
+        venue: query.venue || null,
+        teamName: teamName
+    };
+}
+
+module.exports = {
+    gameVenue,
+    matchesFilters,
+    filterGames,
+    parseFilters,
+    VENUES
+};
@@ -53,6 +53,21 @@ class Helpers {
         return parts[parts.length - 1] || parts[parts.length - 2];
     }
 
+    /**
+     * Parse a match given by SofaScore URL (with "#id:") or event id
+     * @param {string|number} target
+     * @returns {{eventId: string, url: (string|null)}} url is set when a full URL was given
+     * @throws {Error} When the target is neither
+     */
+    static parseMatchTarget(target) {
+        const text = String(target || '').trim();
+        const eventId = /^\d+$/.test(text) ? text : (text.match(/#id:(\d+)/) || [])[1];
+        if (!eventId) {
+            throw new Error(`Not a SofaScore match URL (with "#id:") or event id: ${text}`);
+        }
+        return { eventId: eventId, url: /^https?:\/\//.test(text) ? text : null };
+    }
+
     /**
      * Sleep for specified milliseconds
      * @param {number} ms 
@@ -81,16 +96,6 @@ class Helpers {
             return this.retry(fn, retries - 1, delay * 2);
         }
     }
-
-    /**
-     * Log with timestamp
-     * @param {string} message 
-     * @param {string} level 
-     */
-    static log(message, level = 'INFO') {
-        const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
-        console.log(`[${timestamp}] [${level}] ${message}`);
-    }
 }
 
 module.exports = Helpers;
\ No newline at end of file
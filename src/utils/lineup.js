@@ -0,0 +1,233 @@
+// src/utils/lineup.js - Starting XI, bench, substitutions and formation slots from SofaScore lineup data
+
+// Detailed roles: GK, centre-back, full-back (incl. wing-back), defensive, central and
+// attacking midfielder, winger (incl. wide midfielder) and striker
+const DETAILED_POSITIONS = ['GK', 'CB', 'FB', 'DM', 'CM', 'AM', 'W', 'ST'];
+
+// Formation slot label (see lineSlots) -> detailed role
+const SLOT_ROLES = {
+    GK: 'GK',
+    CB: 'CB', RCB: 'CB', LCB: 'CB',
+    RB: 'FB', LB: 'FB', RWB: 'FB', LWB: 'FB',
+    CDM: 'DM', RDM: 'DM', LDM: 'DM',
+    CM: 'CM', RCM: 'CM', LCM: 'CM',
+    CAM: 'AM',
+    // Wide attacking midfielders (the 3 of a 4-2-3-1) play as wingers
+    RAM: 'W', LAM: 'W', RM: 'W', LM: 'W', RW: 'W', LW: 'W',
+    ST: 'ST', RS: 'ST', LS: 'ST'
+};
+
+const SIDES = {
+    1: ['C'],
+    2: ['R', 'L'],
+    3: ['R', 'C', 'L'],
+    4: ['R', 'RC', 'LC', 'L'],
+    5: ['R', 'RC', 'C', 'LC', 'L']
+};
+
+/**
+ * Slot labels for one line of a formation. SofaScore lists each line from the
+ * team's right to its left, so labels follow the same order.
+ * @param {number} count - Players in the line
+ * @param {string} role - 'D', 'DM', 'M', 'AM' or 'F'
+ * @returns {string[]}
+ */
+function lineSlots(count, role) {
+    const sides = SIDES[count];
+    if (!sides) return Array.from({ length: count }, (_, i) => `${role}${i + 1}`);
+
+    if (role === 'F') {
+        if (count === 1) return ['ST'];
+        if (count === 2) return ['RS', 'LS'];
+        if (count === 3) return ['RW', 'ST', 'LW'];
+    }
+
+    if (role === 'D') {
+        if (count === 4) return ['RB', 'RCB', 'LCB', 'LB'];
+        if (count === 5) return ['RWB', 'RCB', 'CB', 'LCB', 'LWB'];
+        return sides.map(side => side === 'C' ? 'CB' : `${side}CB`);
+    }
+
+    // Wide midfield lines use the full-width labels whatever their depth
+    if (count === 4) return ['RM', 'RCM', 'LCM', 'LM'];
+    if (count === 5) return ['RWB', 'RCM', 'CM', 'LCM', 'LWB'];
+
+    const suffix = role === 'M' ? 'M' : role;
+    return sides.map(side => {
+        if (side === 'C') return `C${suffix}`;
+        return role === 'M' ? `${side}CM` : `${side}${suffix}`;
+    });
+}
+
+/**
+ * Slot labels for the whole starting XI in SofaScore's listing order, e.g.
+ * "4-2-3-1" -> GK, RB, RCB, LCB, LB, RDM, LDM, RAM, CAM, LAM, ST
+ * @param {string} formation
+ * @returns {string[]} empty when the formation string cannot be read
+ */
+function formationSlots(formation) {
+    const lines = String(formation || '').split('-').map(n => parseInt(n, 10));
+    if (lines.length < 2 || lines.some(n => !n) || lines.reduce((a, b) => a + b, 0) !== 10) {
+        return [];
+    }
+
+    const midfieldLines = lines.length - 2;
+    const slots = ['GK'];
+
+    lines.forEach((count, index) => {
+        let role = 'M';
+        if (index === 0) role = 'D';
+        else if (index === lines.length - 1) role = 'F';
+        else if (midfieldLines > 1 && index === 1) role = 'DM';
+        else if (midfieldLines > 1 && index === lines.length - 2) role = 'AM';
+
+        slots.push(...lineSlots(count, role));
+    });
+
+    return slots;
+}
+
+/**
+ * Detailed role from where a player stood on average. SofaScore's average positions
+ * run 0-100 from our goal to theirs (x) and across the pitch (y); the thresholds are
+ * rough, so this only backs up the formation slot for players who had none.
+ * @param {string} position - Coarse SofaScore position letter: G, D, M or F
+ * @param {number} x
+ * @param {number} y
+ * @returns {string|null}
+ */
+function roleFromAveragePosition(position, x, y) {
+    const wide = Math.abs(y - 50) > 25;
+
+    switch (position) {
+        case 'G': return 'GK';
+        case 'D': return wide ? 'FB' : 'CB';
+        case 'M':
+            if (wide) return 'W';
+            if (x < 45) return 'DM';
+            return x > 60 ? 'AM' : 'CM';
+        case 'F': return wide ? 'W' : 'ST';
+        default: return null;
+    }
+}
+
+/**
+ * Build the lineup record of one team from the lineups and incidents JSON
+ * @param {Object} lineups - /event/{id}/lineups response
+ * @param {Object|null} incidents - /event/{id}/incidents response
+ * @param {boolean} isHome - Whether our team is the home side
+ * @param {Object|null} [averagePositions] - /event/{id}/average-positions response
+ * @returns {Object|null}
+ */
+function parseLineup(lineups, incidents, isHome, averagePositions = null) {
+    const side = lineups && (isHome ? lineups.home : lineups.away);
+    if (!side || !Array.isArray(side.players)) return null;
+
+    const formation = side.formation || null;
+    const slots = formationSlots(formation);
+    const starters = side.players.filter(entry => !entry.substitute);
+    const bench = side.players.filter(entry => entry.substitute);
+
+    const averages = new Map();
+    const averageEntries = averagePositions && (isHome ? averagePositions.home : averagePositions.away);
+    (averageEntries || []).forEach(entry => {
+        if (entry.player?.id) averages.set(entry.player.id, entry);
+    });
+
+    const describe = (entry, slot = null) => {
+        const position = entry.position || entry.player.position || null;
+        const average = averages.get(entry.player.id);
+        const role = SLOT_ROLES[slot] ||
+            (average ? roleFromAveragePosition(position, average.averageX, average.averageY) : null);
+
+        return {
+            name: entry.player.name,
+            playerId: entry.player.id || null,
+            shirtNumber: parseShirtNumber(entry),
+            position: position,
+            detailedPosition: role
+        };
+    };
+
+    return {
+        formation: formation,
+        startingXI: starters.map((entry, index) => ({ ...describe(entry, slots[index]), slot: slots[index] || null })),
+        bench: bench.map(entry => describe(entry)),
+        substitutions: parseSubstitutions(incidents, isHome)
+    };
+}
+
+function parseShirtNumber(entry) {
+    const number = parseInt(entry.shirtNumber ?? entry.jerseyNumber ?? entry.player?.jerseyNumber, 10);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Substitutions of one team, in match order
+ * @param {Object|null} incidents
+ * @param {boolean} isHome
+ * @returns {Array<{minute: number, addedTime: (number|null), playerIn: string, playerOut: string, injury: boolean}>}
+ */
+function parseSubstitutions(incidents, isHome) {
+    if (!incidents || !Array.isArray(incidents.incidents)) return [];
+
+    return incidents.incidents
+        .filter(incident => incident.incidentType === 'substitution' && incident.isHome === isHome)
+        .map(incident => ({
+            minute: incident.time,
+            addedTime: incident.addedTime || null,
+            playerIn: incident.playerIn?.name || null,
+            playerOut: incident.playerOut?.name || null,
+            injury: Boolean(incident.injury)
+        }))
+        .sort((a, b) => a.minute - b.minute || (a.addedTime || 0) - (b.addedTime || 0));
+}
+
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Copy starting/bench status, shirt number, formation slot and detailed role from
+ * the lineup onto extracted player records, matched by player id or name
+ * @param {Array} players
+ * @param {Object|null} lineup
+ * @returns {Array}
+ */
+function applyLineupToPlayers(players, lineup) {
+    if (!lineup) return players;
+
+    const entries = [
+        ...lineup.startingXI.map(entry => ({ ...entry, starter: true })),
+        ...lineup.bench.map(entry => ({ ...entry, starter: false }))
+    ];
+
+    return players.map(player => {
+        const entry = entries.find(e => player.playerId && e.playerId === player.playerId) ||
+            entries.find(e => normalizeName(e.name) === normalizeName(player.name));
+        if (!entry) return player;
+
+        return {
+            ...player,
+            isStartingXI: entry.starter,
+            shirtNumber: entry.shirtNumber,
+            formationSlot: entry.slot || null,
+            detailedPosition: entry.detailedPosition || null
+        };
+    });
+}
+
+module.exports = {
+    DETAILED_POSITIONS,
+    formationSlots,
+    roleFromAveragePosition,
+    parseLineup,
+    parseSubstitutions,
+    applyLineupToPlayers,
+    normalizeName
+};
@@ -0,0 +1,98 @@
+// src/utils/matchEvents.js - Score, halftime score and the goal/card/substitution timeline of a match
+
+// Card incident classes; a second yellow is 'yellowRed'
+const CARD_TYPES = ['yellow', 'yellowRed', 'red'];
+
+function formatScore(home, away) {
+    return home === undefined || home === null || away === undefined || away === null ? null : `${home} - ${away}`;
+}
+
+function toPerson(entry) {
+    return entry?.name ? { name: entry.name, playerId: entry.id || null } : null;
+}
+
+/**
+ * One incident as a timeline event, null for incidents the timeline does not show
+ * (periods, injury time, VAR checks, missed penalties)
+ * @param {Object} incident - Entry of the /event/{id}/incidents response
+ * @returns {Object|null}
+ */
+function toEvent(incident) {
+    const base = {
+        minute: incident.time,
+        addedTime: incident.addedTime || null,
+        team: incident.isHome ? 'home' : 'away'
+    };
+
+    switch (incident.incidentType) {
+        case 'goal': {
+            const scorer = toPerson(incident.player);
+            const assist = toPerson(incident.assist1);
+            return {
+                type: 'goal',
+                ...base,
+                player: scorer ? scorer.name : incident.playerName || null,
+                playerId: scorer ? scorer.playerId : null,
+                assist: assist ? assist.name : null,
+                assistId: assist ? assist.playerId : null,
+                goalType: incident.incidentClass || 'regular',
+                score: formatScore(incident.homeScore, incident.awayScore)
+            };
+        }
+        case 'card': {
+            const player = toPerson(incident.player);
+            return {
+                type: 'card',
+                ...base,
+                player: player ? player.name : incident.playerName || null,
+                playerId: player ? player.playerId : null,
+                card: CARD_TYPES.includes(incident.incidentClass) ? incident.incidentClass : 'yellow'
+            };
+        }
+        case 'substitution':
+            return {
+                type: 'substitution',
+                ...base,
+                playerIn: incident.playerIn?.name || null,
+                playerOut: incident.playerOut?.name || null,
+                injury: Boolean(incident.injury)
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Score, halftime score and event timeline of a match from its event and incidents JSON
+ * @param {Object|null} incidents - /event/{id}/incidents response
+ * @param {Object|null} [event] - The event of the /event/{id} response, for the score
+ * @returns {{score: (string|null), halftimeScore: (string|null), events: Array}}
+ *   events in match order: goals { player, playerId, assist, assistId, goalType, score }, cards
+ *   { player, playerId, card } and substitutions { playerIn, playerOut, injury }, each with
+ *   minute, addedTime and team ('home' or 'away')
+ */
+function parseMatchEvents(incidents, event = null) {
+    // SofaScore lists incidents newest first
+    const entries = Array.isArray(incidents?.incidents) ? [...incidents.incidents].reverse() : [];
+    const halftime = entries.find(incident => incident.incidentType === 'period' && incident.text === 'HT');
+
+    const events = entries
+        .map(toEvent)
+        .filter(Boolean)
+        .map((entry, order) => ({ entry, order }))
+        .sort((a, b) => a.entry.minute - b.entry.minute ||
+            (a.entry.addedTime || 0) - (b.entry.addedTime || 0) || a.order - b.order)
+        .map(({ entry }) => entry);
+
+    return {
+        score: formatScore(event?.homeScore?.current, event?.awayScore?.current),
+        halftimeScore: formatScore(event?.homeScore?.period1, event?.awayScore?.period1) ||
+            (halftime ? formatScore(halftime.homeScore, halftime.awayScore) : null),
+        events: events
+    };
+}
+
+module.exports = {
+    formatScore,
+    parseMatchEvents
+};
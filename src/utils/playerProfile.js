@@ -0,0 +1,88 @@
+// src/utils/playerProfile.js - Season profile of one player built from their appearances
+const { gameVenue } = require('./gameFilters');
+
+// Rolling form averages the ratings of this many most recent rated matches
+const FORM_WINDOW = 5;
+// Matches listed under best and worst performances
+const HIGHLIGHT_COUNT = 3;
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100;
+}
+
+/**
+ * @param {Object} player - { playerId, name }
+ * @param {Array} appearances - From GamesDatabase.getPlayerAppearances(), oldest first
+ * @param {Object} options
+ * @param {string} options.teamName - Our team, to tell the opponent and venue apart
+ * @param {number} [options.formWindow]
+ * @returns {Object}
+ */
+function buildPlayerProfile(player, appearances, options) {
+    const formWindow = options.formWindow || FORM_WINDOW;
+    const recentRatings = [];
+
+    const matches = appearances.map(appearance => {
+        const isHome = gameVenue(appearance, options.teamName) === 'home';
+        if (typeof appearance.rating === 'number') {
+            recentRatings.push(appearance.rating);
+        }
+
+        return {
+            gameId: appearance.gameId,
+            date: appearance.date,
+            opponent: isHome ? appearance.awayTeam : appearance.homeTeam,
+            venue: isHome ? 'home' : 'away',
+            competition: appearance.competition ? appearance.competition.name : null,
+            round: appearance.round || null,
+            score: appearance.score,
+            position: appearance.position,
+            formationSlot: appearance.formationSlot || null,
+            detailedPosition: appearance.detailedPosition || null,
+            rating: appearance.rating,
+            minutesPlayed: appearance.minutesPlayed,
+            isStartingXI: appearance.isStartingXI,
+            stats: appearance.stats,
+            form: average(recentRatings.slice(-formWindow))
+        };
+    });
+
+    const rated = matches.filter(match => typeof match.rating === 'number');
+    const byRating = [...rated].sort((a, b) => b.rating - a.rating);
+
+    const positions = new Map();
+    matches.forEach(match => {
+        if (!positions.has(match.position)) {
+            positions.set(match.position, { position: match.position, appearances: 0, minutes: 0, ratings: [] });
+        }
+        const entry = positions.get(match.position);
+        entry.appearances++;
+        entry.minutes += match.minutesPlayed || 0;
+        if (typeof match.rating === 'number') entry.ratings.push(match.rating);
+    });
+
+    return {
+        playerId: player.playerId,
+        name: player.name,
+        summary: {
+            appearances: matches.length,
+            starts: matches.filter(match => match.isStartingXI).length,
+            minutes: matches.reduce((sum, match) => sum + (match.minutesPlayed || 0), 0),
+            averageRating: average(rated.map(match => match.rating)),
+            form: matches.length > 0 ? matches[matches.length - 1].form : null,
+            formWindow: formWindow
+        },
+        positions: Array.from(positions.values())
+            .map(({ ratings, ...entry }) => ({ ...entry, averageRating: average(ratings) }))
+            .sort((a, b) => b.appearances - a.appearances),
+        best: byRating.slice(0, HIGHLIGHT_COUNT),
+        worst: byRating.slice(-HIGHLIGHT_COUNT).reverse(),
+        matches: matches
+    };
+}
+
+module.exports = {
+    buildPlayerProfile,
+    FORM_WINDOW
+};
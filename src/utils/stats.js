@@ -0,0 +1,151 @@
+// src/utils/stats.js - Normalization of per-player match statistics from both data sources
+const { LOCALE_CODES, scraperMap } = require('../locales');
+
+// Player statistics table column label (lowercase) -> stats key, in every language the table comes in
+const COLUMN_ALIASES = scraperMap(LOCALE_CODES, 'statColumns');
+
+// For "made/attempted" cells the attempted count goes to its own key
+const FRACTION_TOTAL_KEYS = {
+    accuratePasses: 'passes',
+    accurateCrosses: 'crosses',
+    accurateLongBalls: 'longBalls',
+    successfulDribbles: 'dribbleAttempts',
+    duelsWon: 'duels',
+    groundDuelsWon: 'groundDuels',
+    aerialDuelsWon: 'aerialDuels',
+    successfulRunsOut: 'runsOut'
+};
+
+// SofaScore JSON API statistics key -> stats key
+const API_KEYS = {
+    rating: 'rating',
+    minutesPlayed: 'minutesPlayed',
+    goals: 'goals',
+    goalAssist: 'assists',
+    expectedGoals: 'expectedGoals',
+    expectedAssists: 'expectedAssists',
+    onTargetScoringAttempt: 'shotsOnTarget',
+    shotOffTarget: 'shotsOffTarget',
+    blockedScoringAttempt: 'shotsBlocked',
+    bigChanceMissed: 'bigChancesMissed',
+    bigChanceCreated: 'bigChancesCreated',
+    touches: 'touches',
+    totalPass: 'passes',
+    accuratePass: 'accuratePasses',
+    keyPass: 'keyPasses',
+    totalCross: 'crosses',
+    accurateCross: 'accurateCrosses',
+    totalLongBalls: 'longBalls',
+    accurateLongBalls: 'accurateLongBalls',
+    totalContest: 'dribbleAttempts',
+    wonContest: 'successfulDribbles',
+    totalTackle: 'tackles',
+    interceptionWon: 'interceptions',
+    totalClearance: 'clearances',
+    outfielderBlock: 'blockedShots',
+    duelWon: 'duelsWon',
+    duelLost: 'duelsLost',
+    aerialWon: 'aerialDuelsWon',
+    aerialLost: 'aerialDuelsLost',
+    possessionLostCtrl: 'possessionLost',
+    dispossessed: 'dispossessed',
+    fouls: 'fouls',
+    wasFouled: 'wasFouled',
+    totalOffside: 'offsides',
+    saves: 'saves',
+    goalsPrevented: 'goalsPrevented',
+    punches: 'punches',
+    goodHighClaim: 'highClaims'
+};
+
+/**
+ * Turn a column label into a stats key, e.g. "Minutes played" -> "minutesPlayed"
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeStatKey(label) {
+    const lower = label.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (COLUMN_ALIASES[lower]) return COLUMN_ALIASES[lower];
+
+    const words = lower
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(' ')
+        .filter(Boolean);
+
+    return words
+        .map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1))
+        .join('');
+}
+
+/**
+ * Parse a statistics cell. Handles "7", "90'", "87%", "0.45" and "45/52 (87%)".
+ * @param {string} text
+ * @returns {{value: number, total: (number|undefined)}|null} null for empty or non-numeric cells
+ */
+function parseStatValue(text) {
+    const value = (text || '').trim().replace(',', '.');
+
+    const fraction = value.match(/^(\d+)\s*\/\s*(\d+)/);
+    if (fraction) {
+        return { value: parseInt(fraction[1], 10), total: parseInt(fraction[2], 10) };
+    }
+
+    const number = value.match(/^-?\d+(\.\d+)?(?=['%]?$)/);
+    if (number) {
+        return { value: parseFloat(number[0]) };
+    }
+
+    return null;
+}
+
+/**
+ * Build a stats object from raw statistics table cells
+ * @param {Object} rawStats - Column label -> cell text
+ * @returns {Object} stats key -> number
+ */
+function normalizeTableStats(rawStats) {
+    const stats = {};
+
+    Object.entries(rawStats || {}).forEach(([label, text]) => {
+        const key = normalizeStatKey(label);
+        const parsed = parseStatValue(text);
+        if (!key || !parsed) return;
+
+        stats[key] = parsed.value;
+        if (parsed.total !== undefined) {
+            stats[FRACTION_TOTAL_KEYS[key] || `${key}Total`] = parsed.total;
+        }
+    });
+
+    return stats;
+}
+
+/**
+ * Build a stats object from a JSON API lineup entry's statistics
+ * @param {Object} statistics
+ * @returns {Object} stats key -> number
+ */
+function normalizeApiStats(statistics) {
+    const stats = {};
+
+    Object.entries(statistics || {}).forEach(([apiKey, value]) => {
+        if (typeof value !== 'number') return;
+        stats[API_KEYS[apiKey] || apiKey] = apiKey === 'rating' ? Math.round(value * 10) / 10 : value;
+    });
+
+    if (stats.shots === undefined &&
+        ['shotsOnTarget', 'shotsOffTarget', 'shotsBlocked'].some(key => stats[key] !== undefined)) {
+        stats.shots = (stats.shotsOnTarget || 0) + (stats.shotsOffTarget || 0) + (stats.shotsBlocked || 0);
+    }
+
+    return stats;
+}
+
+module.exports = {
+    normalizeStatKey,
+    parseStatValue,
+    normalizeTableStats,
+    normalizeApiStats
+};
@@ -0,0 +1,84 @@
+// test/aggregates.test.js - Minutes-weighted, shrunk and opponent-adjusted rating aggregates
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAggregates, opponentStrength } = require('../src/utils/aggregates');
+
+function player(name, rating, minutesPlayed, extra = {}) {
+    return {
+        name: name,
+        playerId: null,
+        rating: rating,
+        position: 'Midfielder',
+        minutesPlayed: minutesPlayed,
+        stats: {},
+        ...extra
+    };
+}
+
+function game(players, extra = {}) {
+    return { homeTeam: 'NK Maribor', awayTeam: 'Opponent', players: players, ...extra };
+}
+
+const byName = rows => Object.fromEntries(rows.map(row => [row.name, row]));
+
+describe('buildAggregates', () => {
+    it('weights ratings by minutes and shrinks small samples toward the position average', () => {
+        const rows = byName(buildAggregates([
+            game([player('Starter', 7.0, 90), player('Regular', 6.5, 90), player('Cameo', 8.5, 10)]),
+            game([player('Starter', 7.4, 90), player('Regular', 6.5, 90)]),
+            game([player('Starter', 6.6, 30), player('Regular', 6.5, 90)])
+        ]));
+
+        assert.equal(rows.Starter.metrics.average, 7);
+        assert.equal(rows.Starter.metrics.minutesWeighted, 7.11);
+        // The plain average puts the cameo first; the shrunk rating does not
+        assert.ok(rows.Cameo.metrics.average > rows.Starter.metrics.average);
+        assert.ok(rows.Cameo.metrics.shrunk < rows.Starter.metrics.shrunk);
+        assert.equal(rows.Cameo.minutes, 10);
+    });
+
+    it('adjusts ratings for the opponent\'s league position', () => {
+        assert.equal(opponentStrength({ opponentPosition: 1, leagueSize: 10 }), 0.5);
+        assert.equal(opponentStrength({ opponentPosition: 10, leagueSize: 10 }), -0.5);
+        assert.equal(opponentStrength({}), 0);
+
+        const [row] = buildAggregates([
+            game([player('Kos', 7.0, 90)], { opponentPosition: 1, leagueSize: 10 }),
+            game([player('Kos', 7.0, 90)], { opponentPosition: 10, leagueSize: 10 }),
+            game([player('Kos', 7.0, 90)], { opponentPosition: 1, leagueSize: 10 })
+        ]);
+
+        assert.equal(row.metrics.average, 7);
+        assert.equal(row.metrics.opponentAdjusted, 7.17);
+    });
+
+    it('reports counting stats per 90 minutes', () => {
+        const [row] = buildAggregates([
+            game([player('Kos', 7.0, 90, { stats: { goals: 1, shots: 3, rating: 7.0 } })]),
+            game([player('Kos', 7.0, 45, { stats: { goals: 0, shots: 3 } })])
+        ]);
+
+        assert.deepEqual(row.per90, { goals: 0.67, shots: 4 });
+    });
+
+    it('groups by detailed role, filters and limits each player to recent games', () => {
+        const games = [
+            game([player('Vidmar', 8.0, 90, { detailedPosition: 'AM' })]),
+            game([player('Vidmar', 6.0, 90, { detailedPosition: 'CM' })]),
+            game([player('Vidmar', 7.0, 90, { detailedPosition: 'AM', position: 'Forward' })])
+        ];
+
+        const byRole = buildAggregates(games, { groupBy: 'role', metric: 'average' });
+        assert.deepEqual(byRole.map(row => [row.position, row.role, row.metrics.average]), [
+            ['Midfielder', 'AM', 8],
+            ['Forward', 'AM', 7],
+            ['Midfielder', 'CM', 6]
+        ]);
+
+        const recent = buildAggregates(games, { formWindow: 2, position: 'Midfielder' });
+        assert.deepEqual(recent.map(row => row.appearances), [2]);
+
+        const attacking = buildAggregates(games, { role: 'AM', position: 'Midfielder' });
+        assert.deepEqual(attacking.map(row => [row.role, row.appearances]), [['AM', 1]]);
+    });
+});
@@ -0,0 +1,87 @@
+// test/browserPool.test.js - Page pool: launch options, page reuse and cleanup, timeouts and the politeness delay
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BrowserPool = require('../src/browserPool');
+const { fixtureLauncher } = require('./helpers/fixture-page');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('BrowserPool', () => {
+    it('launches headless on first use only, and reuses pages after successful tasks', async () => {
+        const launch = fixtureLauncher();
+        const launches = [];
+        const pool = new BrowserPool({ size: 2, launch: options => launches.push(options) && launch() });
+
+        assert.equal(launches.length, 0);
+        const first = await pool.withPage(async page => page);
+        const second = await pool.withPage(async page => page);
+
+        assert.equal(launches.length, 1);
+        assert.equal(launches[0].headless, 'new');
+        assert.equal(first, second);
+        assert.equal(launch.pages.length, 1);
+        await pool.close();
+    });
+
+    it('never has more than size pages busy, and replaces a page whose task failed', async () => {
+        const launch = fixtureLauncher();
+        const pool = new BrowserPool({ size: 2, launch });
+        let busy = 0;
+        let maxBusy = 0;
+        const task = async () => {
+            maxBusy = Math.max(maxBusy, ++busy);
+            await delay(20);
+            busy--;
+        };
+
+        await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(task)));
+        assert.equal(maxBusy, 2);
+        assert.equal(launch.pages.length, 2);
+
+        await assert.rejects(pool.withPage(async () => {
+            throw new Error('Target closed');
+        }), /Target closed/);
+        assert.equal(launch.pages.filter(page => page.isClosed()).length, 1);
+
+        // One page is left; a second busy page is a new one
+        await Promise.all([pool.withPage(task), pool.withPage(task)]);
+        assert.equal(launch.pages.length, 3);
+        await pool.close();
+    });
+
+    it('gives up on a task after its timeout and closes its page', async () => {
+        const launch = fixtureLauncher();
+        const pool = new BrowserPool({ launch });
+        let signal = null;
+
+        await assert.rejects(pool.withPage(async (page, taskSignal) => {
+            signal = taskSignal;
+            await delay(200);
+        }, { timeoutMs: 30 }), error => error.name === 'TimeoutError' && /Timed out/.test(error.message));
+
+        assert.equal(signal.aborted, true);
+        assert.equal(launch.pages[0].isClosed(), true);
+        await pool.close();
+    });
+
+    it('spaces page loads by the politeness delay', async () => {
+        const pool = new BrowserPool({ minDelayMs: 40, launch: fixtureLauncher() });
+        const started = Date.now();
+        await Promise.all([pool.throttle(), pool.throttle(), pool.throttle()]);
+        assert.ok(Date.now() - started >= 75);
+    });
+
+    it('warms up the first page once and refuses work once closed', async () => {
+        const warmedUp = [];
+        const pool = new BrowserPool({ size: 2, launch: fixtureLauncher(), warmUp: async page => warmedUp.push(page) });
+
+        const page = await pool.withPage(async taskPage => taskPage);
+        await pool.withPage(async () => {});
+        assert.deepEqual(warmedUp, [page]);
+
+        await pool.close();
+        await assert.rejects(pool.withPage(async () => {}), /Browser pool closed/);
+    });
+});
@@ -0,0 +1,170 @@
+// test/cli.test.js - Command-line interface against a temporary database and the stand-in API
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, EXIT_OK, EXIT_ERROR, EXIT_PARTIAL } = require('../src/cli');
+const { GamesDatabase } = require('../src/storage/gamesDatabase');
+const { FIXTURES_DIR } = require('./helpers/fixture-page');
+const { startStubApi } = require('./helpers/stub-api');
+
+const CONFIG_PATH = path.join(FIXTURES_DIR, 'scraper.config.json');
+
+function player(name, playerId, rating, position) {
+    return { name, playerId, rating, position, minutesPlayed: 90, isStartingXI: true, stats: { goals: 0 } };
+}
+
+const GAMES = [
+    {
+        id: 'dFsLgb#id:13981734',
+        url: 'https://www.sofascore.com/football/match/nk-maribor-nk-olimpija-ljubljana/dFsLgb#id:13981734',
+        date: '10/08/2025',
+        homeTeam: 'NK Maribor',
+        awayTeam: 'NK Olimpija Ljubljana',
+        score: '2 - 1',
+        competition: { id: 212, name: 'Prva Liga', slug: 'prva-liga' },
+        round: 'Round 4',
+        venue: 'home',
+        players: [player('Žan Kos', 900110, 8.4, 'Forward'), player('Jan Kos', 900111, 6.5, 'Defender')],
+        hasRatings: true,
+        scrapedAt: '2025-08-11T10:00:00.000Z'
+    },
+    {
+        id: 'pKsEbQ#id:13981720',
+        url: 'https://www.sofascore.com/football/match/nk-celje-nk-maribor/pKsEbQ#id:13981720',
+        date: '03/08/2025',
+        homeTeam: 'NK Celje',
+        awayTeam: 'NK Maribor',
+        score: '1 - 1',
+        venue: 'away',
+        players: [player('Žan Kos', 900110, 7.0, 'Forward')],
+        hasRatings: true,
+        scrapedAt: '2025-08-04T10:00:00.000Z'
+    }
+];
+
+function output() {
+    return { data: '', write(chunk) { this.data += chunk; } };
+}
+
+describe('maribor CLI', () => {
+    let dir;
+    let stdout;
+    let stderr;
+
+    // Run with the temporary storage and an empty environment
+    function cli(...argv) {
+        return run([
+            ...argv,
+            '--database', path.join(dir, 'maribor.db'),
+            '--output', path.join(dir, 'games.json'),
+            '--players', path.join(dir, 'players.json'),
+            '--log-path', path.join(dir, 'logs')
+        ], { stdout, stderr, env: {}, configPath: CONFIG_PATH });
+    }
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maribor-cli-'));
+        const database = new GamesDatabase(path.join(dir, 'maribor.db'));
+        database.saveGames(GAMES);
+        database.close();
+        stdout = output();
+        stderr = output();
+    });
+
+    it('lists stored games as JSON, filtered and limited', async () => {
+        assert.equal(await cli('list', '--json', '--venue', 'away'), EXIT_OK);
+        assert.deepEqual(JSON.parse(stdout.data).map(game => game.id), ['pKsEbQ#id:13981720']);
+
+        stdout = output();
+        assert.equal(await cli('list', '--limit', '1'), EXIT_OK);
+        assert.match(stdout.data, /NK Maribor 2 - 1 NK Olimpija Ljubljana {2}Prva Liga, Round 4 {2}2 players/);
+    });
+
+    it('finds a player by name regardless of accents, and refuses an ambiguous name', async () => {
+        assert.equal(await cli('player', 'zan', 'kos', '--json'), EXIT_OK);
+        const profile = JSON.parse(stdout.data);
+        assert.equal(profile.name, 'Žan Kos');
+        assert.equal(profile.summary.appearances, 2);
+
+        stdout = output();
+        assert.equal(await cli('player', 'Kos', '--json'), EXIT_ERROR);
+        assert.match(JSON.parse(stdout.data).error, /matches several players: Žan Kos \(900110\), Jan Kos \(900111\)/);
+    });
+
+    it('exports CSV to stdout and a workbook to a file', async () => {
+        assert.equal(await cli('export', '--format', 'csv', '--competition', '212'), EXIT_OK);
+        const lines = stdout.data.split('\r\n');
+        assert.match(lines[0], /^\uFEFFDate,Competition/);
+        assert.deepEqual(lines.slice(1, -1).map(line => line.split(',')[6]), ['Žan Kos', 'Jan Kos']);
+
+        stdout = output();
+        const file = path.join(dir, 'out', 'ratings.xlsx');
+        assert.equal(await cli('export', '--format', 'xlsx', '--file', file, '--json'), EXIT_OK);
+        assert.deepEqual(JSON.parse(stdout.data).tables, ['Appearances', 'Players', 'Forward', 'Midfielder', 'Defender', 'Goalkeeper']);
+        assert.ok(fs.statSync(file).size > 0);
+    });
+
+    it('rejects unknown commands and options', async () => {
+        assert.equal(await cli('frobnicate'), EXIT_ERROR);
+        assert.match(stderr.data, /Unknown command "frobnicate"/);
+        assert.equal(await cli('list', '--verbose'), EXIT_ERROR);
+        assert.match(stderr.data, /Unknown option --verbose/);
+    });
+
+    describe('against the SofaScore API', () => {
+        let stub;
+
+        before(async () => {
+            stub = await startStubApi({ failures: { '/event/13981701/lineups': 500 } });
+        });
+
+        after(() => stub.close());
+
+        it('exits with the partial-failure code when some matches fail', async () => {
+            const code = await cli('scrape', '--full', '--json', '--source', 'api', '--api-url', stub.url);
+            const result = JSON.parse(stdout.data);
+
+            assert.equal(code, EXIT_PARTIAL);
+            assert.equal(result.scraped, 3);
+            assert.deepEqual(result.failed.map(match => match.eventId), ['13981701']);
+            // Progress went to stderr, keeping stdout parseable
+            assert.match(stderr.data, /Match list loaded from JSON API/);
+
+            // Every entry of the run is in the log file, tagged with the run and the match it concerns
+            const entries = fs.readFileSync(path.join(dir, 'logs', 'maribor.log'), 'utf8').trim().split('\n').map(JSON.parse);
+            const failure = entries.find(entry => entry.level === 'warn' && entry.eventId === '13981701');
+            assert.ok(failure, 'expected a warning for the failed match');
+            assert.ok(failure.runId);
+            assert.ok(entries.filter(entry => entry.runId).every(entry => entry.runId === failure.runId));
+        });
+
+        it('scrapes only the requested match', async () => {
+            stub.requests.length = 0;
+            const code = await cli('scrape', '--match', GAMES[1].url, '--json', '--source', 'api', '--api-url', stub.url);
+            const result = JSON.parse(stdout.data);
+
+            assert.equal(code, EXIT_OK);
+            assert.deepEqual({ ...result, game: undefined }, { stored: 2, scraped: 1, failed: [], game: undefined });
+            assert.equal(result.game.id, 'pKsEbQ#id:13981720');
+            assert.ok(stub.requests.includes('/event/13981720'));
+            assert.ok(!stub.requests.includes('/event/13981734'));
+        });
+
+        it('passes the doctor checks for the API source', async () => {
+            const code = await cli('doctor', '--json', '--source', 'api', '--api-url', stub.url);
+            const result = JSON.parse(stdout.data);
+
+            assert.equal(code, EXIT_OK);
+            assert.deepEqual(result.checks.map(entry => [entry.name, entry.ok]), [
+                ['config', true],
+                ['database', true],
+                ['data directory', true],
+                ['SofaScore API', true]
+            ]);
+            assert.match(result.checks[1].detail, /2 games, 2 with ratings/);
+        });
+    });
+});
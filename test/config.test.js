@@ -0,0 +1,81 @@
+// test/config.test.js - Config precedence (CLI > environment > config file > defaults) and validation
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, DEFAULTS } = require('../src/config');
+
+const FILE_CONFIG = {
+    team: { id: 1000, slug: 'file-team', name: 'File Team' },
+    dateFrom: '2024-07-01',
+    source: 'api'
+};
+
+describe('config', () => {
+    let configPath;
+
+    before(() => {
+        configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-')), 'scraper.config.json');
+        fs.writeFileSync(configPath, JSON.stringify(FILE_CONFIG));
+    });
+
+    const load = (argv = [], env = {}) => loadConfig({ argv, env, configPath });
+
+    it('takes CLI flags over the environment, the environment over the file and the file over defaults', () => {
+        const config = load(['--team-id', '3000', '--from=2026-01-01'], { TEAM_ID: '2000', TEAM_NAME: 'Env Team', SCRAPE_SOURCE: 'browser' });
+
+        assert.equal(config.team.id, 3000);
+        assert.equal(config.dateFrom, '2026-01-01');
+        assert.equal(config.team.name, 'Env Team');
+        assert.equal(config.source, 'browser');
+        assert.equal(config.team.slug, 'file-team');
+        assert.equal(config.schedule.delayMinutes, DEFAULTS.schedule.delayMinutes);
+        assert.equal(config.teamUrl, 'https://www.sofascore.com/team/football/file-team/3000');
+    });
+
+    it('keeps the file values without overrides and fills the rest from defaults', () => {
+        const config = load();
+
+        assert.deepEqual([config.team.id, config.dateFrom, config.source], [1000, '2024-07-01', 'api']);
+        assert.deepEqual(config.team.keywords, DEFAULTS.team.keywords);
+        assert.equal(config.browser.concurrency, DEFAULTS.browser.concurrency);
+    });
+
+    it('rejects a team id that is not a positive integer', () => {
+        assert.throws(() => load(['--team-id', 'abc']), /Invalid team id: NaN/);
+        assert.throws(() => load([], { TEAM_ID: '-4' }), /Invalid team id: -4/);
+    });
+
+    it('rejects season dates that do not parse', () => {
+        assert.throws(() => load(['--from', 'someday']), /Invalid dateFrom: someday/);
+        assert.throws(() => load(['--to', '2025-13-45']), /Invalid dateTo: 2025-13-45/);
+    });
+
+    it('rejects an unknown source', () => {
+        assert.throws(() => load(['--source', 'rss']), /Invalid source: rss \(expected auto, api or browser\)/);
+    });
+
+    it('rejects log rotation sizes and file counts that are not positive', () => {
+        const withLogging = (logging) => {
+            fs.writeFileSync(configPath, JSON.stringify({ logging }));
+            return () => load();
+        };
+
+        try {
+            for (const maxFileMB of [0, -1, 'NaN', null]) {
+                assert.throws(withLogging({ maxFileMB }), /Invalid logging\.maxFileMB/);
+            }
+            for (const maxFiles of [0, -2, 2.5, '5']) {
+                assert.throws(withLogging({ maxFiles }), /Invalid logging\.maxFiles/);
+            }
+            assert.equal(withLogging({ maxFileMB: 0.5, maxFiles: 1 })().logging.maxFileMB, 0.5);
+        } finally {
+            fs.writeFileSync(configPath, JSON.stringify(FILE_CONFIG));
+        }
+    });
+
+    it('refuses a flag given without a value', () => {
+        assert.throws(() => load(['--team-id']), /Missing value for --team-id/);
+    });
+});
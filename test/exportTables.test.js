@@ -0,0 +1,115 @@
+// test/exportTables.test.js - Export tables and their CSV, JSON and XLSX encodings
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { buildExportTables, mergeTables, toCsv, toXlsx, toJson } = require('../src/utils/exportTables');
+
+function player(name, rating, position, stats = {}) {
+    return {
+        name: name,
+        playerId: null,
+        rating: rating,
+        position: position,
+        minutesPlayed: 90,
+        isStartingXI: true,
+        stats: stats
+    };
+}
+
+const GAMES = [
+    {
+        id: 'b',
+        date: '17/08/2025',
+        homeTeam: 'NK Celje',
+        awayTeam: 'NK Maribor',
+        score: '1 - 1',
+        competition: { id: 212, name: 'Prva Liga', slug: 'prva-liga' },
+        round: 'Round 5',
+        venue: 'away',
+        players: [player('Žan Kos', 7.2, 'Forward', { goals: 1 }), player('Ažbe Jug', 6.9, 'Goalkeeper', { saves: 4 })]
+    },
+    {
+        id: 'a',
+        date: '10/08/2025',
+        homeTeam: 'NK Maribor',
+        awayTeam: 'Bravo, Ljubljana',
+        score: '2 - 0',
+        players: [player('Žan Kos', 8.0, 'Forward', { goals: 2 })]
+    }
+];
+
+const OPTIONS = { teamName: 'NK Maribor', metric: 'average' };
+
+describe('export tables', () => {
+    it('lists every appearance with its match context and stats', () => {
+        const [appearances] = buildExportTables('appearances', GAMES, OPTIONS);
+
+        assert.deepEqual(appearances.columns.slice(-2).map(column => column.label), ['Goals', 'Saves']);
+        assert.deepEqual(appearances.rows.map(row => [row.player, row.opponent, row.venue, row.competition]), [
+            ['Žan Kos', 'NK Celje', 'away', 'Prva Liga'],
+            ['Ažbe Jug', 'NK Celje', 'away', 'Prva Liga'],
+            ['Žan Kos', 'Bravo, Ljubljana', 'home', null]
+        ]);
+        assert.equal(appearances.rows[1]['stat.saves'], 4);
+        assert.equal(appearances.rows[1]['stat.goals'], null);
+    });
+
+    it('builds one aggregate table per position and all tables when none is named', () => {
+        const positions = buildExportTables('positions', GAMES, OPTIONS);
+        assert.deepEqual(positions.map(table => [table.name, table.rows.length]), [
+            ['Forward', 1], ['Midfielder', 0], ['Defender', 0], ['Goalkeeper', 1]
+        ]);
+        assert.equal(positions[0].rows[0].average, 7.6);
+        assert.equal(positions[0].rows[0]['per90.goals'], 1.5);
+
+        assert.deepEqual(buildExportTables(null, GAMES, OPTIONS).map(table => table.name), [
+            'Appearances', 'Players', 'Forward', 'Midfielder', 'Defender', 'Goalkeeper'
+        ]);
+    });
+
+    it('writes Excel-friendly CSV with quoted cells and merged position columns', () => {
+        const [appearances] = buildExportTables('appearances', GAMES, OPTIONS);
+        const lines = toCsv(appearances).split('\r\n');
+
+        assert.ok(lines[0].startsWith('\uFEFFDate,Competition,Round,Venue,Opponent'));
+        assert.ok(lines[3].includes(',"Bravo, Ljubljana",'));
+        assert.equal(lines[4], '');
+
+        const merged = mergeTables('positions', buildExportTables('positions', GAMES, OPTIONS));
+        assert.deepEqual(merged.columns.slice(-2).map(column => column.label), ['Goals per 90', 'Saves per 90']);
+        assert.equal(merged.rows.length, 2);
+    });
+
+    it('heads the tables in the requested language and keeps their names for JSON', async () => {
+        const tables = buildExportTables(null, GAMES, { ...OPTIONS, lang: 'sl' });
+        const [appearances, players, forwards] = tables;
+
+        assert.deepEqual(appearances.columns.slice(0, 3).map(column => column.label), ['Datum', 'Tekmovanje', 'Krog']);
+        assert.deepEqual(appearances.rows.map(row => [row.venue, row.starting]), [['v gosteh', 'da'], ['v gosteh', 'da'], ['doma', 'da']]);
+        assert.equal(appearances.columns.at(-2).label, 'Goli');
+        assert.equal(players.columns.find(column => column.key === 'average').label, 'Povprečna ocena');
+        assert.equal(forwards.columns.find(column => column.key === 'per90.goals').label, 'Goli na 90 minut');
+        assert.deepEqual([forwards.name, forwards.label], ['Forward', 'Napadalec']);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXlsx(tables));
+        assert.deepEqual(workbook.worksheets.slice(0, 3).map(sheet => sheet.name), ['Nastopi', 'Igralci', 'Napadalec']);
+        assert.deepEqual(Object.keys(toJson(tables)).slice(0, 2), ['Appearances', 'Players']);
+    });
+
+    it('writes a workbook with a sheet per table and JSON keyed by table', async () => {
+        const tables = buildExportTables(null, GAMES, OPTIONS);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXlsx(tables));
+
+        assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), tables.map(table => table.name));
+        const sheet = workbook.getWorksheet('Appearances');
+        assert.equal(sheet.getCell('G1').value, 'Player');
+        assert.equal(sheet.getCell('G2').value, 'Žan Kos');
+        assert.equal(sheet.getCell('M2').value, 7.2);
+
+        const json = toJson(tables);
+        assert.equal(json.Players.rows.length, 2);
+        assert.equal(json.Appearances.columns[0].key, 'date');
+    });
+});
@@ -0,0 +1,36 @@
+// test/gameFilters.test.js - Competition and home/away filters
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { filterGames, gameVenue, parseFilters } = require('../src/utils/gameFilters');
+
+const LEAGUE = { id: 212, name: 'Prva Liga', slug: 'prva-liga' };
+const FRIENDLY = { id: 853, name: 'Club Friendly Games', slug: 'club-friendly-games' };
+
+const GAMES = [
+    { id: 'a', homeTeam: 'NK Maribor', awayTeam: 'NK Olimpija Ljubljana', competition: LEAGUE, venue: 'home' },
+    { id: 'b', homeTeam: 'NK Celje', awayTeam: 'NK Maribor', competition: LEAGUE, venue: 'away' },
+    { id: 'c', homeTeam: 'NK Maribor', awayTeam: 'SK Sturm Graz', competition: FRIENDLY, venue: 'home' },
+    // Scraped before games were tagged
+    { id: 'd', homeTeam: 'FC Koper', awayTeam: 'NK Maribor' }
+];
+
+const ids = games => games.map(game => game.id);
+
+describe('game filters', () => {
+    it('filters by competition id and venue together', () => {
+        const filters = parseFilters({ competition: '212', venue: 'home' }, 'NK Maribor');
+        assert.deepEqual(ids(filterGames(GAMES, filters)), ['a']);
+    });
+
+    it('derives the venue of untagged games from the home team', () => {
+        assert.equal(gameVenue(GAMES[3], 'NK Maribor'), 'away');
+        assert.deepEqual(ids(filterGames(GAMES, parseFilters({ venue: 'away' }, 'NK Maribor'))), ['b', 'd']);
+        // Untagged games have no competition to match
+        assert.deepEqual(ids(filterGames(GAMES, parseFilters({ competition: '212' }, 'NK Maribor'))), ['a', 'b']);
+    });
+
+    it('keeps everything without filters and rejects an unknown venue', () => {
+        assert.deepEqual(ids(filterGames(GAMES, parseFilters({}, 'NK Maribor'))), ['a', 'b', 'c', 'd']);
+        assert.throws(() => parseFilters({ venue: 'neutral' }, 'NK Maribor'), /Unknown venue "neutral"/);
+    });
+});
@@ -0,0 +1,207 @@
+// test/gamesDatabase.test.js - SQLite storage round trips, JSON import and export
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GamesDatabase } = require('../src/storage/gamesDatabase');
+const migrate = require('../src/storage/migrate');
+
+function makeGame(eventId, players, extra = {}) {
+    return {
+        id: `abc${eventId}#id:${eventId}`,
+        url: `https://www.sofascore.com/football/match/nk-maribor-opponent/abc${eventId}#id:${eventId}`,
+        date: '10/08/2025',
+        homeTeam: 'NK Maribor',
+        awayTeam: 'Opponent',
+        score: '2 - 1',
+        players: players,
+        hasRatings: players.length > 0,
+        scrapedAt: '2025-08-11T10:00:00.000Z',
+        ...extra
+    };
+}
+
+const KOS = {
+    name: 'Žan Kos',
+    playerId: 900110,
+    rating: 8.4,
+    position: 'Forward',
+    minutesPlayed: 90,
+    isStartingXI: true,
+    stats: { minutesPlayed: 90, goals: 1, accuratePasses: 15, passes: 20, rating: 8.4 },
+    shirtNumber: 9,
+    formationSlot: 'ST',
+    detailedPosition: 'ST'
+};
+
+const HRIBAR = {
+    name: 'Gal Hribar',
+    playerId: null,
+    rating: 6.8,
+    position: 'Defender',
+    minutesPlayed: 50,
+    isStartingXI: false,
+    stats: {}
+};
+
+const PRVA_LIGA = { id: 212, name: 'Prva Liga', slug: 'prva-liga' };
+
+describe('GamesDatabase', () => {
+    let database;
+
+    beforeEach(() => {
+        database = new GamesDatabase(':memory:');
+    });
+
+    afterEach(() => {
+        database.close();
+    });
+
+    it('returns games in the shape they were saved, in stored order', () => {
+        const lineup = { formation: '4-2-3-1', startingXI: [], bench: [], substitutions: [] };
+        const games = [
+            makeGame(2, [KOS, HRIBAR], {
+                lineup,
+                opponentPosition: 3,
+                leagueSize: 10,
+                competition: PRVA_LIGA,
+                round: 'Round 4',
+                venue: 'home',
+                halftimeScore: '1 - 0',
+                events: [{ type: 'card', minute: 31, addedTime: null, team: 'home', player: 'Žan Kos', playerId: 900110, card: 'yellow' }],
+                opponent: { lineup, players: [{ name: 'Raul Florucz', playerId: 900124, rating: 7.2 }] }
+            }),
+            makeGame(1, [])
+        ];
+
+        database.saveGames(games);
+
+        assert.deepEqual(database.getGames(), games);
+        assert.deepEqual(database.getGame(games[1].id), games[1]);
+        assert.equal(database.getGame('missing'), null);
+    });
+
+    it('replaces a re-saved game together with its appearances', () => {
+        database.saveGames([makeGame(1, [KOS, HRIBAR])]);
+        database.saveGames([makeGame(1, [{ ...KOS, rating: 7.1 }])]);
+
+        const [game] = database.getGames();
+        assert.equal(game.players.length, 1);
+        assert.equal(game.players[0].rating, 7.1);
+        assert.equal(database.db.prepare('SELECT COUNT(*) AS count FROM appearance_stats').get().count, 5);
+    });
+
+    it('keeps one player row per SofaScore id across games', () => {
+        database.saveGames([
+            makeGame(2, [KOS]),
+            makeGame(1, [{ ...KOS, name: 'Zan Kos' }, HRIBAR])
+        ]);
+
+        const players = database.db.prepare('SELECT sofascore_id, name FROM players ORDER BY id').all();
+        assert.deepEqual(players, [
+            { sofascore_id: 900110, name: 'Žan Kos' },
+            { sofascore_id: null, name: 'Gal Hribar' }
+        ]);
+    });
+
+    it('lists a player\'s appearances oldest first, by id or by name', () => {
+        database.saveGames([
+            makeGame(2, [KOS, HRIBAR], { date: '17/08/2025', competition: PRVA_LIGA, venue: 'away' }),
+            makeGame(1, [{ ...KOS, rating: 7.1 }])
+        ]);
+
+        const kos = database.getPlayerAppearances('900110');
+        assert.deepEqual(kos.player, { playerId: 900110, name: 'Žan Kos' });
+        assert.deepEqual(kos.appearances.map(entry => [entry.gameId, entry.rating]), [
+            ['abc1#id:1', 7.1],
+            ['abc2#id:2', 8.4]
+        ]);
+        assert.equal(kos.appearances[1].stats.goals, 1);
+        // Appearances carry the game's competition and venue for filtering
+        assert.deepEqual(kos.appearances[1].competition, PRVA_LIGA);
+        assert.equal(kos.appearances[1].venue, 'away');
+        assert.equal(kos.appearances[0].venue, undefined);
+
+        const hribar = database.getPlayerAppearances('Gal Hribar');
+        assert.deepEqual(hribar.appearances.map(entry => entry.date), ['17/08/2025']);
+        assert.equal(database.getPlayerAppearances('42'), null);
+    });
+
+    it('finds games by competition, venue and id in the database', () => {
+        const CUP = { id: 1020, name: 'Pokal', slug: 'pokal' };
+        database.saveGames([
+            makeGame(3, [], { competition: CUP, venue: 'away', homeTeam: 'NK Celje', awayTeam: 'NK Maribor' }),
+            makeGame(2, [], { competition: PRVA_LIGA, venue: 'home' }),
+            // Stored before venues were recorded
+            makeGame(1, [], { competition: PRVA_LIGA, homeTeam: 'NK Bravo', awayTeam: 'NK Maribor' })
+        ]);
+        const ids = filters => database.findGames({ teamName: 'NK Maribor', ...filters }).map(game => game.id);
+
+        assert.deepEqual(ids({}), ['abc3#id:3', 'abc2#id:2', 'abc1#id:1']);
+        assert.deepEqual(ids({ competition: '212' }), ['abc2#id:2', 'abc1#id:1']);
+        assert.deepEqual(ids({ venue: 'away' }), ['abc3#id:3', 'abc1#id:1']);
+        assert.deepEqual(ids({ competition: '212', venue: 'away' }), ['abc1#id:1']);
+        assert.deepEqual(ids({ gameId: 'abc2#id:2' }), ['abc2#id:2']);
+        assert.deepEqual(ids({ competition: '999' }), []);
+    });
+
+    it('drops games missing from a replacing save', () => {
+        database.saveGames([makeGame(2, [KOS]), makeGame(1, [HRIBAR])]);
+        database.replaceGames([makeGame(3, [])]);
+
+        assert.deepEqual(database.getGames().map(game => game.id), ['abc3#id:3']);
+    });
+
+    it('stores run reports newest first and replaces a re-saved run', () => {
+        const run = (id, startedAt, status) => ({ id, startedAt, status, summary: {}, matches: [] });
+        database.saveRun(run('a', '2025-08-10T10:00:00.000Z', 'running'));
+        database.saveRun(run('b', '2025-08-17T10:00:00.000Z', 'completed'));
+        database.saveRun(run('a', '2025-08-10T10:00:00.000Z', 'partial'));
+
+        assert.deepEqual(database.getRuns().map(entry => [entry.id, entry.status]), [['b', 'completed'], ['a', 'partial']]);
+        assert.deepEqual(database.getRuns(1).map(entry => entry.id), ['b']);
+        assert.equal(database.getRun('a').status, 'partial');
+        assert.equal(database.getRun('missing'), null);
+    });
+
+    it('imports games.json and exports it back unchanged', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'games-db-'));
+        const games = [makeGame(2, [KOS, HRIBAR]), makeGame(1, [])];
+        fs.writeFileSync(path.join(dir, 'games.json'), JSON.stringify(games));
+
+        assert.equal(database.importJson(path.join(dir, 'games.json')), 2);
+        assert.equal(database.importJson(path.join(dir, 'missing.json')), 0);
+
+        database.exportJson(path.join(dir, 'export', 'games.json'));
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'export', 'games.json'), 'utf8')), games);
+    });
+
+    it('keeps the stored games when a migrate import file is missing or broken', (t) => {
+        t.mock.method(console, 'log', () => {});
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'games-db-'));
+        const config = { databaseFile: path.join(dir, 'maribor.db'), dataPath: path.join(dir, 'games.json') };
+        const storedGames = () => {
+            const stored = new GamesDatabase(config.databaseFile);
+            try {
+                return stored.getGames().map(game => game.id);
+            } finally {
+                stored.close();
+            }
+        };
+        const seeded = new GamesDatabase(config.databaseFile);
+        seeded.saveGames([makeGame(2, [KOS]), makeGame(1, [])]);
+        seeded.close();
+
+        assert.throws(() => migrate.run('import', config), /games\.json does not exist/);
+        assert.deepEqual(storedGames(), ['abc2#id:2', 'abc1#id:1']);
+
+        fs.writeFileSync(config.dataPath, '[{"id": ');
+        assert.throws(() => migrate.run('import', config), /Invalid JSON in .*games\.json/);
+        assert.deepEqual(storedGames(), ['abc2#id:2', 'abc1#id:1']);
+
+        fs.writeFileSync(config.dataPath, JSON.stringify([makeGame(3, [HRIBAR])]));
+        migrate.run('import', config);
+        assert.deepEqual(storedGames(), ['abc3#id:3']);
+    });
+});
@@ -0,0 +1,108 @@
+// test/helpers/fixture-page.js - Offline stand-in for a Puppeteer page backed by saved HTML fixtures
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { STEP_TIMEOUTS } = require('../../src/pageWaits');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+/**
+ * Implements the subset of the Puppeteer Page API the scraper uses. Functions passed to
+ * evaluate() are serialized and run inside the fixture document, exactly like in a real
+ * browser, so closures over Node-side variables fail here the same way they would there.
+ */
+class FixturePage {
+    /**
+     * @param {Object} [routes] - URL -> fixture file name, used by goto()
+     */
+    constructor(routes = {}) {
+        this.routes = routes;
+        this.screenshots = [];
+        this.dom = null;
+    }
+
+    static load(fixtureName, url = 'https://www.sofascore.com/') {
+        const page = new FixturePage();
+        page.setContent(readFixture(fixtureName), url);
+        return page;
+    }
+
+    setContent(html, url = 'https://www.sofascore.com/') {
+        // Layout APIs such as window.scrollTo are not implemented by jsdom; keep their errors quiet
+        const virtualConsole = new VirtualConsole();
+        this.dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole });
+    }
+
+    async goto(url) {
+        const fixtureName = this.routes[url];
+        if (!fixtureName) {
+            throw new Error(`No fixture registered for ${url}`);
+        }
+        this.setContent(readFixture(fixtureName), url);
+    }
+
+    async evaluate(fn, ...args) {
+        const source = `(${fn.toString()})(...${JSON.stringify(args)})`;
+        const result = await this.dom.window.eval(source);
+        // Results cross the page boundary as JSON, like Puppeteer's serialization
+        return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    }
+
+    async waitForFunction(fn, options = {}, ...args) {
+        const timeout = options.timeout || 1000;
+        const started = Date.now();
+        while (Date.now() - started < timeout) {
+            if (await this.evaluate(fn, ...args)) return true;
+            await new Promise(resolve => setTimeout(resolve, typeof options.polling === 'number' ? options.polling : 20));
+        }
+        throw new Error(`Waiting failed: ${timeout}ms exceeded`);
+    }
+
+    async screenshot(options = {}) {
+        this.screenshots.push(options.path);
+    }
+
+    url() {
+        return this.dom ? this.dom.window.location.href : 'about:blank';
+    }
+
+    async close() {
+        this.closed = true;
+    }
+
+    isClosed() {
+        return Boolean(this.closed);
+    }
+}
+
+/**
+ * Stand-in for puppeteer.launch() for a BrowserPool: every new page is a FixturePage with the given routes
+ * @param {Object} [routes] - URL -> fixture file name
+ * @returns {Function} async launch() with a `pages` array of the pages it opened
+ */
+function fixtureLauncher(routes = {}) {
+    const launch = async () => ({
+        newPage: async () => {
+            const page = new FixturePage(routes);
+            launch.pages.push(page);
+            return page;
+        },
+        close: async () => {}
+    });
+    launch.pages = [];
+    return launch;
+}
+
+// Readiness waits for scraping fixtures: the static documents are ready at once, and a wait
+// that can never succeed on them gives up quickly
+const FIXTURE_WAITS = {
+    timeouts: Object.fromEntries(Object.keys(STEP_TIMEOUTS).map(step => [step, 5])),
+    stableMs: 0,
+    interval: 5
+};
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+module.exports = { FixturePage, fixtureLauncher, FIXTURE_WAITS, FIXTURES_DIR };
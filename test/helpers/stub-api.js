@@ -0,0 +1,55 @@
+// test/helpers/stub-api.js - Local stand-in for the SofaScore JSON API serving recorded fixtures
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR } = require('./fixture-page');
+
+const API_FIXTURES_DIR = path.join(FIXTURES_DIR, 'api');
+const API_PREFIX = '/api/v1';
+
+/**
+ * Start a server mapping /api/v1/<endpoint> to test/fixtures/api/<endpoint>.json.
+ * Endpoints without a fixture answer 404, like SofaScore does for missing data.
+ * @param {Object} [options]
+ * @param {Object} [options.failures] - Endpoint -> HTTP status to answer with instead of the fixture
+ * @returns {Promise<{url: string, requests: string[], close: Function}>}
+ */
+function startStubApi(options = {}) {
+    const failures = options.failures || {};
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const endpoint = req.url.startsWith(API_PREFIX) ? req.url.slice(API_PREFIX.length) : req.url;
+        requests.push(endpoint);
+
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (failures[endpoint]) {
+            return reply(failures[endpoint], { error: { code: failures[endpoint], message: 'Stubbed failure' } });
+        }
+
+        const fixturePath = path.join(API_FIXTURES_DIR, `${endpoint}.json`);
+        if (!fixturePath.startsWith(API_FIXTURES_DIR) || !fs.existsSync(fixturePath)) {
+            return reply(404, { error: { code: 404, message: 'Not Found' } });
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(fs.readFileSync(fixturePath));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}${API_PREFIX}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startStubApi };
@@ -0,0 +1,90 @@
+// test/lineup.test.js - Formation slots and lineup parsing
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { formationSlots, roleFromAveragePosition, parseLineup, applyLineupToPlayers } = require('../src/utils/lineup');
+
+const API_FIXTURES = path.join(__dirname, 'fixtures/api/event/13981734');
+const lineups = JSON.parse(fs.readFileSync(path.join(API_FIXTURES, 'lineups.json'), 'utf8'));
+const incidents = JSON.parse(fs.readFileSync(path.join(API_FIXTURES, 'incidents.json'), 'utf8'));
+const averagePositions = JSON.parse(fs.readFileSync(path.join(API_FIXTURES, 'average-positions.json'), 'utf8'));
+
+describe('lineup parsing', () => {
+    it('labels formation slots line by line from right to left', () => {
+        assert.deepEqual(formationSlots('4-2-3-1'), ['GK', 'RB', 'RCB', 'LCB', 'LB', 'RDM', 'LDM', 'RAM', 'CAM', 'LAM', 'ST']);
+        assert.deepEqual(formationSlots('3-5-2'), ['GK', 'RCB', 'CB', 'LCB', 'RWB', 'RCM', 'CM', 'LCM', 'LWB', 'RS', 'LS']);
+        assert.deepEqual(formationSlots('4-3-3'), ['GK', 'RB', 'RCB', 'LCB', 'LB', 'RCM', 'CM', 'LCM', 'RW', 'ST', 'LW']);
+    });
+
+    it('returns no slots for unreadable formations', () => {
+        assert.deepEqual(formationSlots(null), []);
+        assert.deepEqual(formationSlots('4-4-3'), []);
+    });
+
+    it('splits starters and bench with shirt numbers and slots', () => {
+        const lineup = parseLineup(lineups, incidents, true);
+
+        assert.equal(lineup.formation, '4-2-3-1');
+        assert.deepEqual(lineup.startingXI[0], {
+            name: 'Ažbe Jug', playerId: 900101, shirtNumber: 1, position: 'G', detailedPosition: 'GK', slot: 'GK'
+        });
+        assert.equal(lineup.bench.length, 5);
+        assert.equal(lineup.bench[0].slot, undefined);
+    });
+
+    it('gives starters the detailed role of their formation slot', () => {
+        const lineup = parseLineup(lineups, incidents, true);
+
+        assert.deepEqual(lineup.startingXI.map(entry => entry.detailedPosition), [
+            'GK', 'FB', 'CB', 'CB', 'FB', 'DM', 'DM', 'W', 'AM', 'W', 'ST'
+        ]);
+        assert.deepEqual(lineup.bench.map(entry => entry.detailedPosition), [null, null, null, null, null]);
+    });
+
+    it('falls back to average positions for players without a slot', () => {
+        const lineup = parseLineup(lineups, incidents, true, averagePositions);
+
+        assert.deepEqual(lineup.bench.map(entry => [entry.name, entry.detailedPosition]), [
+            ['Gal Hribar', 'FB'],
+            ['Matej Golob', 'DM'],
+            ['Luka Rozman', 'W'],
+            ['Tim Lesjak', 'ST'],
+            ['Klemen Mihelak', null]
+        ]);
+        // The slot wins over the average position
+        assert.equal(lineup.startingXI[1].detailedPosition, 'FB');
+    });
+
+    it('reads roles off average positions', () => {
+        assert.equal(roleFromAveragePosition('D', 40, 50), 'CB');
+        assert.equal(roleFromAveragePosition('M', 55, 50), 'CM');
+        assert.equal(roleFromAveragePosition('M', 70, 45), 'AM');
+        assert.equal(roleFromAveragePosition('M', 55, 10), 'W');
+        assert.equal(roleFromAveragePosition(null, 55, 50), null);
+    });
+
+    it('keeps only our side\'s substitutions in match order', () => {
+        const home = parseLineup(lineups, incidents, true);
+        const away = parseLineup(lineups, incidents, false);
+
+        assert.deepEqual(home.substitutions.map(sub => sub.minute), [40, 65, 71, 88]);
+        assert.equal(home.substitutions[0].injury, true);
+        assert.deepEqual(away.substitutions, [
+            { minute: 62, addedTime: null, playerIn: 'Marko Brest', playerOut: 'Justas Lasickas', injury: false }
+        ]);
+    });
+
+    it('applies lineup data to players matched by name regardless of accents', () => {
+        const lineup = parseLineup(lineups, null, true);
+        const [player, unknown] = applyLineupToPlayers([
+            { name: 'Andrej Pavlic', isStartingXI: false },
+            { name: 'Someone Else', isStartingXI: true }
+        ], lineup);
+
+        assert.deepEqual(player, {
+            name: 'Andrej Pavlic', isStartingXI: true, shirtNumber: 3, formationSlot: 'LB', detailedPosition: 'FB'
+        });
+        assert.deepEqual(unknown, { name: 'Someone Else', isStartingXI: true });
+    });
+});
@@ -0,0 +1,43 @@
+// test/locales.test.js - Locale bundles: matching UI strings in every language and scraper word lookups
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LOCALES, localeOrder, scraperWords, scraperMap, uiBundle } = require('../src/locales');
+const { normalizeStatKey } = require('../src/utils/stats');
+
+describe('locale bundles', () => {
+    it('translate every UI string of the English bundle, with the plural forms of their language', () => {
+        const englishKeys = Object.keys(LOCALES.en.ui).sort();
+
+        Object.values(LOCALES).forEach(locale => {
+            assert.deepEqual(Object.keys(locale.ui).sort(), englishKeys, `${locale.code} UI strings`);
+
+            const categories = new Intl.PluralRules(locale.dateLocale).resolvedOptions().pluralCategories;
+            Object.entries(locale.ui)
+                .filter(([, text]) => typeof text === 'object')
+                .forEach(([key, forms]) => {
+                    assert.deepEqual(Object.keys(forms).sort(), [...categories].sort(), `${locale.code} ${key}`);
+                });
+        });
+    });
+
+    it('put the page language first and fall back to the others', () => {
+        assert.deepEqual(localeOrder('sl-SI'), ['sl', 'en']);
+        assert.deepEqual(localeOrder('de'), ['en', 'sl']);
+        assert.deepEqual(scraperWords(['sl', 'en'], 'lineupTab'), ['postava', 'postave', 'lineups', 'lineup']);
+        // "S" is a midfielder (srednji) in Slovenian, where English has no such code
+        assert.equal(scraperMap(['sl', 'en'], 'positionCodes').S, 'Midfielder');
+        assert.equal(scraperMap(['en'], 'positionCodes').S, undefined);
+    });
+
+    it('map statistics column headers of either language to the same keys', () => {
+        assert.equal(normalizeStatKey('Natančne podaje'), normalizeStatKey('Accurate passes'));
+        assert.equal(normalizeStatKey('Ocena Sofascore'), 'rating');
+    });
+
+    it('give the browser only the UI part of a bundle', () => {
+        assert.deepEqual(Object.keys(uiBundle('sl')), ['code', 'name', 'dateLocale', 'ui']);
+        assert.equal(uiBundle('sl').ui['nav.runs'], '🩺 Zajemi');
+        assert.equal(uiBundle('de'), null);
+        assert.equal(uiBundle('constructor'), null);
+    });
+});
@@ -0,0 +1,85 @@
+// test/logger.test.js - Log levels, JSON output with context, and rotated log files
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, RotatingFile } = require('../src/logger');
+
+function readEntries(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+}
+
+describe('Logger', () => {
+    let lines;
+    let errors;
+
+    beforeEach(() => {
+        lines = [];
+        errors = [];
+        mock.method(console, 'log', line => lines.push(line));
+        mock.method(console, 'error', line => errors.push(line));
+    });
+
+    it('drops entries below the configured level and sends errors to stderr', () => {
+        const log = new Logger({});
+        log.configure({ level: 'info' });
+
+        log.debug('🔍 Step detail');
+        log.info('✅ Saved');
+        log.error('❌ Failed');
+
+        assert.deepEqual(lines, ['✅ Saved']);
+        assert.deepEqual(errors, ['❌ Failed']);
+        assert.equal(log.isLevelEnabled('debug'), false);
+    });
+
+    it('writes JSON entries carrying the context of child loggers', () => {
+        const log = new Logger({});
+        log.configure({ level: 'debug', format: 'json' });
+
+        log.child({ runId: 'run-1' }).child({ eventId: '13981734' }).warn('  ⚠️ Retrying', { attempt: 2, error: new Error('Timed out') });
+
+        const entry = JSON.parse(lines[0]);
+        assert.deepEqual({ ...entry, time: undefined }, {
+            time: undefined,
+            level: 'warn',
+            msg: '⚠️ Retrying',
+            runId: 'run-1',
+            eventId: '13981734',
+            attempt: 2,
+            error: 'Timed out'
+        });
+    });
+
+    it('rejects an unknown level or format', () => {
+        const log = new Logger({});
+        assert.throws(() => log.configure({ level: 'verbose' }), /Invalid log level: verbose/);
+        assert.throws(() => log.configure({ format: 'xml' }), /Invalid log format: xml/);
+    });
+
+    it('writes every entry to the log file, whatever the console format', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maribor-logs-'));
+        const log = new Logger({});
+        log.configure({ level: 'info', dir });
+
+        log.child({ runId: 'run-2' }).info('🚀 Starting');
+
+        assert.deepEqual(lines, ['🚀 Starting']);
+        const [entry] = readEntries(path.join(dir, 'maribor.log'));
+        assert.deepEqual([entry.msg, entry.runId], ['🚀 Starting', 'run-2']);
+    });
+});
+
+describe('RotatingFile', () => {
+    it('rolls over by size and keeps at most maxFiles files', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maribor-logs-'));
+        const file = new RotatingFile(dir, { maxBytes: 20, maxFiles: 3 });
+
+        ['first line\n', 'second line\n', 'third line\n', 'fourth line\n'].forEach(line => file.write(line));
+
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['maribor.1.log', 'maribor.2.log', 'maribor.log']);
+        assert.equal(fs.readFileSync(path.join(dir, 'maribor.log'), 'utf8'), 'fourth line\n');
+        assert.equal(fs.readFileSync(path.join(dir, 'maribor.2.log'), 'utf8'), 'second line\n');
+    });
+});
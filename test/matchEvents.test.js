@@ -0,0 +1,44 @@
+// test/matchEvents.test.js - Score, halftime score and event timeline from the incidents JSON
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatScore, parseMatchEvents } = require('../src/utils/matchEvents');
+
+describe('match events', () => {
+    it('orders incidents by minute and added time, though SofaScore lists them newest first', () => {
+        const { events } = parseMatchEvents({
+            incidents: [
+                { incidentType: 'card', incidentClass: 'red', time: 90, addedTime: 3, isHome: false, player: { id: 2, name: 'B' } },
+                { incidentType: 'injuryTime', time: 90, length: 4 },
+                { incidentType: 'goal', incidentClass: 'penalty', time: 90, addedTime: 1, isHome: true, player: { id: 1, name: 'A' }, homeScore: 1, awayScore: 0 },
+                { incidentType: 'period', text: 'HT', homeScore: 0, awayScore: 0 },
+                { incidentType: 'card', incidentClass: 'yellowRed', time: 12, isHome: false, playerName: 'C' }
+            ]
+        });
+
+        assert.deepEqual(events.map(event => [event.type, event.minute, event.addedTime]), [
+            ['card', 12, null],
+            ['goal', 90, 1],
+            ['card', 90, 3]
+        ]);
+        assert.deepEqual(events[0], {
+            type: 'card', minute: 12, addedTime: null, team: 'away', player: 'C', playerId: null, card: 'yellowRed'
+        });
+        assert.equal(events[1].goalType, 'penalty');
+        assert.equal(events[1].assist, null);
+    });
+
+    it('takes the halftime score from the event and falls back to the HT period incident', () => {
+        const incidents = { incidents: [{ incidentType: 'period', text: 'HT', homeScore: 0, awayScore: 1 }] };
+        const event = { homeScore: { current: 2, period1: 1 }, awayScore: { current: 2, period1: 1 } };
+
+        assert.equal(parseMatchEvents(incidents, event).halftimeScore, '1 - 1');
+        assert.equal(parseMatchEvents(incidents, { homeScore: { current: 2 }, awayScore: { current: 2 } }).halftimeScore, '0 - 1');
+        assert.equal(parseMatchEvents(incidents, event).score, '2 - 2');
+    });
+
+    it('returns an empty timeline without incidents', () => {
+        assert.deepEqual(parseMatchEvents(null), { score: null, halftimeScore: null, events: [] });
+        assert.equal(formatScore(0, 0), '0 - 0');
+        assert.equal(formatScore(1, undefined), null);
+    });
+});
@@ -0,0 +1,64 @@
+// test/pageWaits.test.js - Readiness waits against a fixture page that changes while it is watched
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { waitForCondition, waitForStableCount, waitUntil, summarizeSteps } = require('../src/pageWaits');
+const { FixturePage } = require('./helpers/fixture-page');
+
+function tablePage(rows) {
+    const page = new FixturePage();
+    page.setContent(`<table><tbody>${'<tr><td>7.0</td></tr>'.repeat(rows)}</tbody></table>`);
+    return page;
+}
+
+function addRowLater(page, ms) {
+    setTimeout(() => {
+        const document = page.dom.window.document;
+        document.querySelector('tbody').appendChild(document.createElement('tr'));
+    }, ms);
+}
+
+const countRows = () => document.querySelectorAll('tr').length;
+
+describe('page waits', () => {
+    it('waits for a row count to reach its minimum and stop growing', async () => {
+        const page = tablePage(2);
+        addRowLater(page, 20);
+        addRowLater(page, 40);
+
+        const count = await waitForStableCount(page, countRows, { timeout: 1000, min: 3, stableMs: 60, interval: 5 });
+        assert.equal(count, 4);
+    });
+
+    it('gives up on a count that never reaches its minimum', async () => {
+        const count = await waitForStableCount(tablePage(2), countRows, { timeout: 30, min: 8, stableMs: 0, interval: 5 });
+        assert.equal(count, null);
+    });
+
+    it('reports whether a page condition held before the timeout', async () => {
+        const page = tablePage(1);
+        addRowLater(page, 10);
+
+        assert.equal(await waitForCondition(page, min => document.querySelectorAll('tr').length >= min, { timeout: 500, interval: 5 }, 2), true);
+        assert.equal(await waitForCondition(page, () => document.title === 'never', { timeout: 20, interval: 5 }), false);
+    });
+
+    it('waits for a condition on the Node side', async () => {
+        const responses = new Map();
+        setTimeout(() => responses.set('13981734/lineups', {}), 10);
+
+        assert.equal(await waitUntil(() => responses.has('13981734/lineups'), { timeout: 500, interval: 5 }), true);
+        assert.equal(await waitUntil(() => false, { timeout: 20, interval: 5 }), false);
+    });
+
+    it('summarizes step durations and timeouts', () => {
+        assert.deepEqual(summarizeSteps([
+            { step: 'page', durationMs: 400, ok: true },
+            { step: 'statsTable', durationMs: 1200, ok: true },
+            { step: 'page', durationMs: 600, ok: true },
+            { step: 'statsTable', durationMs: 15000, ok: false }
+        ]), {
+            page: { count: 2, timeouts: 0, maxMs: 600, avgMs: 500 },
+            statsTable: { count: 2, timeouts: 1, maxMs: 15000, avgMs: 8100 }
+        });
+    });
+});
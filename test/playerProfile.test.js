@@ -0,0 +1,78 @@
+// test/playerProfile.test.js - Player profile: form, position split and highlights
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPlayerProfile } = require('../src/utils/playerProfile');
+
+function appearance(gameId, rating, extra = {}) {
+    return {
+        gameId: gameId,
+        date: `0${gameId}/08/2025`,
+        homeTeam: 'NK Maribor',
+        awayTeam: `Opponent ${gameId}`,
+        score: '1 - 0',
+        rating: rating,
+        position: 'Midfielder',
+        minutesPlayed: 90,
+        isStartingXI: true,
+        stats: {},
+        ...extra
+    };
+}
+
+const PLAYER = { playerId: 900110, name: 'Žan Kos' };
+
+describe('buildPlayerProfile', () => {
+    it('tracks rolling form over the configured window', () => {
+        const profile = buildPlayerProfile(PLAYER, [
+            appearance(1, 6.0),
+            appearance(2, 7.0),
+            appearance(3, null, { minutesPlayed: 5, isStartingXI: false }),
+            appearance(4, 8.0)
+        ], { teamName: 'NK Maribor', formWindow: 2 });
+
+        assert.deepEqual(profile.matches.map(match => match.form), [6, 6.5, 6.5, 7.5]);
+        assert.deepEqual(profile.summary, {
+            appearances: 4,
+            starts: 3,
+            minutes: 275,
+            averageRating: 7,
+            form: 7.5,
+            formWindow: 2
+        });
+    });
+
+    it('splits appearances by position, most played first', () => {
+        const profile = buildPlayerProfile(PLAYER, [
+            appearance(1, 6.0, { position: 'Forward', minutesPlayed: 30 }),
+            appearance(2, 7.0),
+            appearance(3, 8.0)
+        ], { teamName: 'NK Maribor' });
+
+        assert.deepEqual(profile.positions, [
+            { position: 'Midfielder', appearances: 2, minutes: 180, averageRating: 7.5 },
+            { position: 'Forward', appearances: 1, minutes: 30, averageRating: 6 }
+        ]);
+    });
+
+    it('lists the best and worst rated matches', () => {
+        const ratings = [6.5, 8.1, 5.9, 7.2, 9.0];
+        const profile = buildPlayerProfile(PLAYER, ratings.map((rating, index) => appearance(index + 1, rating)), {
+            teamName: 'NK Maribor'
+        });
+
+        assert.deepEqual(profile.best.map(match => match.rating), [9.0, 8.1, 7.2]);
+        assert.deepEqual(profile.worst.map(match => match.rating), [5.9, 6.5, 7.2]);
+    });
+
+    it('names the opponent and venue from our side', () => {
+        const profile = buildPlayerProfile(PLAYER, [
+            appearance(1, 7.0),
+            appearance(2, 7.0, { homeTeam: 'NK Celje', awayTeam: 'NK Maribor' })
+        ], { teamName: 'NK Maribor' });
+
+        assert.deepEqual(profile.matches.map(match => [match.opponent, match.venue]), [
+            ['Opponent 1', 'home'],
+            ['NK Celje', 'away']
+        ]);
+    });
+});
@@ -0,0 +1,67 @@
+// test/playerRegistry.test.js - Player id registry and name aliasing
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlayerRegistry = require('../src/playerRegistry');
+
+describe('PlayerRegistry', () => {
+    it('resolves names accent-insensitively and abbreviated to a unique player', () => {
+        const registry = new PlayerRegistry(null);
+        registry.register(900110, 'Žan Kos');
+        registry.register(900105, 'Andrej Pavlič');
+
+        assert.equal(registry.resolve('Zan Kos'), 900110);
+        assert.equal(registry.resolve('Ž. Kos'), 900110);
+        assert.equal(registry.resolve('A Pavlic'), 900105);
+        assert.equal(registry.resolve('Someone Else'), null);
+    });
+
+    it('refuses to guess between players sharing a name', () => {
+        const registry = new PlayerRegistry(null);
+        registry.register(1, 'Luka Kraljić');
+        registry.register(2, 'Luka Kraljič');
+        registry.register(3, 'Lovro Kraljić');
+
+        assert.equal(registry.resolve('Luka Kraljic'), null);
+        assert.equal(registry.resolve('L. Kraljic'), null);
+    });
+
+    it('follows merges and manual aliases to the canonical id', () => {
+        const registry = new PlayerRegistry(null, {
+            players: { 900110: { name: 'Žan Kos', names: ['Žan Kos', 'Kos Žan'] } },
+            merges: { 123: 900110 }
+        });
+
+        assert.equal(registry.resolve('Kos Zan'), 900110);
+        assert.equal(registry.register(123, 'Zan Kos'), 900110);
+        assert.deepEqual(registry.players[900110].names, ['Žan Kos', 'Kos Žan', 'Zan Kos']);
+        assert.equal(registry.players[123], undefined);
+    });
+
+    it('fills in ids for records scraped without one', () => {
+        const registry = new PlayerRegistry(null);
+        const games = [
+            { players: [{ name: 'Žan Kos', playerId: 900110 }, { name: 'Gal Hribar', playerId: null }] },
+            { players: [{ name: 'Z. Kos' }] }
+        ];
+
+        registry.applyToGames(games);
+
+        assert.equal(games[1].players[0].playerId, 900110);
+        assert.equal(games[0].players[1].playerId, null);
+        assert.deepEqual(registry.players[900110].names, ['Žan Kos']);
+    });
+
+    it('round-trips through its file', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'players-')), 'players.json');
+        const registry = await PlayerRegistry.load(filePath);
+        registry.register(900101, 'Ažbe Jug');
+        await registry.save();
+
+        const reloaded = await PlayerRegistry.load(filePath);
+        assert.equal(reloaded.canonicalName(900101), 'Ažbe Jug');
+        assert.equal(reloaded.resolve('Azbe Jug'), 900101);
+    });
+});
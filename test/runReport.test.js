@@ -0,0 +1,59 @@
+// test/runReport.test.js - Run reports: match outcomes, timings and the run status
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RunReport, classifyError } = require('../src/runReport');
+
+const MATCH = {
+    url: 'https://www.sofascore.com/football/match/nk-celje-nk-maribor/pKsEbQ#id:13981720',
+    teams: 'NK Celje vs NK Maribor'
+};
+
+describe('RunReport', () => {
+    it('records each match with its outcome, attempts and duration', () => {
+        const report = new RunReport({ reason: 'manual', source: 'auto' });
+        const entry = report.startMatch(MATCH);
+        report.finishMatch(entry, {
+            outcome: 'stats-tab-missing',
+            source: 'browser',
+            attempts: 3,
+            screenshot: '/tmp/debug.png',
+            steps: [{ step: 'page', durationMs: 300, ok: true }, { step: 'page', durationMs: 500, ok: true }]
+        });
+        report.finishMatch(report.startMatch({ ...MATCH, eventId: 13981734 }), { outcome: 'ok', source: 'api', attempts: 1, players: 14 });
+        report.finish();
+
+        const json = report.toJSON();
+        assert.equal(json.status, 'partial');
+        assert.deepEqual(json.summary, { 'stats-tab-missing': 1, ok: 1 });
+        assert.deepEqual(json.matches.map(match => [match.eventId, match.attempts]), [['13981720', 3], ['13981734', 1]]);
+        assert.equal(json.matches[0].screenshot, '/tmp/debug.png');
+        assert.deepEqual(json.steps, { page: { count: 2, timeouts: 0, maxMs: 500, avgMs: 400 } });
+        assert.ok(json.matches[0].durationMs >= 0);
+        assert.ok(json.durationMs >= 0);
+    });
+
+    it('completes when matches only lack ratings, and records why a run ended early', () => {
+        const completed = new RunReport();
+        completed.finishMatch(completed.startMatch(MATCH), { outcome: 'no-ratings' });
+        completed.finish();
+        assert.equal(completed.status, 'completed');
+
+        const failed = new RunReport();
+        failed.finish(new Error('Browser crashed'));
+        assert.deepEqual([failed.status, failed.error], ['failed', 'Browser crashed']);
+
+        const cancelled = new RunReport();
+        cancelled.finish(Object.assign(new Error('Scrape cancelled'), { cancelled: true }));
+        assert.equal(cancelled.status, 'cancelled');
+    });
+
+    it('classifies navigation failures and timeouts', () => {
+        const timeout = new Error('Navigation timeout of 45000 ms exceeded');
+        timeout.name = 'TimeoutError';
+
+        assert.equal(classifyError(Object.assign(new Error('Navigation failed'), { outcome: 'lineup-tab-missing' })), 'lineup-tab-missing');
+        assert.equal(classifyError(timeout), 'timeout');
+        assert.equal(classifyError(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' })), 'timeout');
+        assert.equal(classifyError(new Error('Request failed with status code 500')), 'error');
+    });
+});
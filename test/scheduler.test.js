@@ -0,0 +1,229 @@
+// test/scheduler.test.js - Scrape scheduling around kickoff times, with mocked timers
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScrapeScheduler = require('../src/scheduler');
+const ScrapeJobManager = require('../src/scrapeJobs');
+const MariborScraper = require('../src/scraper');
+const { GamesDatabase } = require('../src/storage/gamesDatabase');
+const { loadConfig } = require('../src/config');
+const { FIXTURES_DIR } = require('./helpers/fixture-page');
+const { startStubApi } = require('./helpers/stub-api');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2025-08-17T12:00:00Z').getTime();
+const KICKOFF = new Date('2025-08-17T20:15:00Z');
+const BRAVO = { eventId: 1, url: 'https://www.sofascore.com/football/match/nk-maribor-nk-bravo/qRsTuv#id:1', teams: 'NK Maribor vs NK Bravo', kickoff: KICKOFF };
+
+function createScheduler(fixtures, runScrape, argv = []) {
+    const config = loadConfig({ argv, env: {}, configPath: path.join(FIXTURES_DIR, 'scraper.config.json') });
+    const api = { getFixtures: mock.fn(async () => fixtures) };
+    return new ScrapeScheduler({ config, api, jobs: new ScrapeJobManager({ runScrape }) });
+}
+
+// Let the scheduler's promise chains settle between timer ticks
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ScrapeScheduler', () => {
+    let scheduler;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        mock.timers.reset();
+    });
+
+    it('plans a scrape and a recheck after each future kickoff', async () => {
+        scheduler = createScheduler([BRAVO], async () => []);
+        await scheduler.start();
+
+        const status = scheduler.getStatus();
+        assert.deepEqual(status.schedule.map(run => [run.kind, run.runAt]), [
+            ['scrape', '2025-08-17T22:45:00.000Z'],
+            ['recheck', '2025-08-18T08:15:00.000Z']
+        ]);
+        assert.equal(status.nextRun.teams, 'NK Maribor vs NK Bravo');
+        assert.equal(status.lastRun, null);
+    });
+
+    it('scrapes when a run comes due and records the outcome', async () => {
+        const runScrape = mock.fn(async () => [{ id: 'a' }, { id: 'b' }]);
+        scheduler = createScheduler([BRAVO], runScrape);
+        await scheduler.start();
+
+        mock.timers.tick(KICKOFF.getTime() + 150 * MINUTE - NOW);
+        await settle();
+
+        assert.equal(runScrape.mock.callCount(), 1);
+        const status = scheduler.getStatus();
+        assert.equal(status.lastRun.status, 'completed');
+        assert.equal(status.lastRun.gamesCount, 2);
+        assert.equal(status.lastRun.reason, 'scrape NK Maribor vs NK Bravo');
+        assert.equal(status.nextRun.kind, 'recheck');
+        assert.equal(runScrape.mock.calls[0].arguments[0].match, BRAVO.url);
+    });
+
+    it('re-scrapes a match whose ratings are already stored when its recheck comes due', async () => {
+        const stub = await startStubApi();
+        const database = new GamesDatabase(':memory:');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+        // Scrapes the way the server does: a single-match job always fetches its match again
+        const runScrape = async ({ match, runId, reason }) => {
+            const config = {
+                ...scheduler.config,
+                source: 'api',
+                dataPath: path.join(dir, 'games.json'),
+                playersDataPath: path.join(dir, 'players.json')
+            };
+            const scraper = new MariborScraper({ config, database, runId, reason });
+            if (!match) return scraper.scrapeGames();
+            await scraper.scrapeSingleMatch(match);
+            return database.getGames();
+        };
+        const url = 'https://www.sofascore.com/football/match/nk-maribor-nk-olimpija-ljubljana/dFsLgb#id:13981734';
+        scheduler = createScheduler([{ eventId: 13981734, url, teams: 'NK Maribor vs NK Olimpija Ljubljana', kickoff: KICKOFF }],
+            runScrape, ['--api-url', stub.url]);
+        const kosRating = () => database.getGames()[0].players.find(player => player.name === 'Žan Kos').rating;
+
+        try {
+            await scheduler.start();
+            mock.timers.tick(KICKOFF.getTime() + 150 * MINUTE - NOW);
+            await scheduler.jobs.active.done;
+            assert.equal(kosRating(), 8.4);
+
+            // Ratings still provisional at the first scrape, corrected by SofaScore since
+            const [game] = database.getGames();
+            database.saveGames([{ ...game, players: game.players.map(player => ({ ...player, rating: 6.0 })) }]);
+
+            mock.timers.tick(570 * MINUTE);
+            const recheck = scheduler.jobs.active;
+            await recheck.done;
+            await settle();
+
+            assert.deepEqual([recheck.reason, recheck.match, recheck.status],
+                ['recheck NK Maribor vs NK Olimpija Ljubljana', url, 'completed']);
+            assert.equal(kosRating(), 8.4);
+            assert.equal(scheduler.getStatus().nextRun, null);
+        } finally {
+            database.close();
+            await stub.close();
+        }
+    });
+
+    it('retries a failed scheduled scrape later and gives up after three attempts', async () => {
+        const runScrape = mock.fn(async () => { throw new Error('SofaScore unreachable'); });
+        scheduler = createScheduler([BRAVO], runScrape);
+        await scheduler.start();
+
+        mock.timers.tick(KICKOFF.getTime() + 150 * MINUTE - NOW);
+        await scheduler.jobs.latest().done;
+        await settle();
+
+        assert.equal(scheduler.getStatus().lastRun.status, 'failed');
+        assert.deepEqual([scheduler.getStatus().nextRun.kind, scheduler.getStatus().nextRun.runAt], ['scrape', '2025-08-17T23:15:00.000Z']);
+
+        // A fixture refresh meanwhile keeps the retry
+        await scheduler.refresh();
+        assert.equal(scheduler.getStatus().nextRun.runAt, '2025-08-17T23:15:00.000Z');
+
+        for (const attempt of [2, 3]) {
+            mock.timers.tick(30 * MINUTE);
+            await scheduler.jobs.latest().done;
+            await settle();
+            assert.equal(runScrape.mock.callCount(), attempt);
+        }
+        assert.equal(scheduler.getStatus().nextRun.kind, 'recheck');
+    });
+
+    it('counts a scheduled scrape as done once a retry completes', async () => {
+        let failures = 1;
+        const runScrape = mock.fn(async () => {
+            if (failures-- > 0) throw new Error('SofaScore unreachable');
+            return [];
+        });
+        scheduler = createScheduler([BRAVO], runScrape);
+        await scheduler.start();
+
+        mock.timers.tick(KICKOFF.getTime() + 150 * MINUTE - NOW);
+        await scheduler.jobs.latest().done;
+        await settle();
+        mock.timers.tick(30 * MINUTE);
+        await scheduler.jobs.latest().done;
+        await settle();
+
+        assert.equal(scheduler.getStatus().lastRun.status, 'completed');
+        await scheduler.refresh();
+        assert.deepEqual(scheduler.getStatus().schedule.map(run => run.kind), ['recheck']);
+    });
+
+    it('does not plan runs that are already in the past', async () => {
+        const earlier = new Date(NOW - 13 * 60 * MINUTE);
+        scheduler = createScheduler([{ eventId: 1, teams: 'Old match', kickoff: earlier }], async () => []);
+        await scheduler.start();
+
+        assert.equal(scheduler.getStatus().nextRun, null);
+    });
+
+    it('queues a due run while another scrape is in progress and starts it once that ends', async () => {
+        let finish;
+        const runScrape = mock.fn(({ match }) => match ? Promise.resolve([]) : new Promise(resolve => { finish = resolve; }));
+        scheduler = createScheduler([BRAVO], runScrape);
+        await scheduler.start();
+        const manual = scheduler.jobs.start('manual');
+
+        mock.timers.tick(KICKOFF.getTime() + 150 * MINUTE - NOW);
+        await settle();
+
+        assert.equal(runScrape.mock.callCount(), 1);
+        assert.equal(scheduler.getStatus().activeJob.reason, 'manual');
+        assert.equal(scheduler.getStatus().nextRun.kind, 'scrape');
+
+        // A fixture refresh meanwhile keeps the queued run
+        await scheduler.refresh();
+        assert.equal(scheduler.getStatus().nextRun.kind, 'scrape');
+
+        finish([]);
+        await manual.done;
+        await scheduler.jobs.latest().done;
+        await settle();
+
+        assert.equal(runScrape.mock.callCount(), 2);
+        assert.equal(runScrape.mock.calls[1].arguments[0].match, BRAVO.url);
+        assert.equal(scheduler.getStatus().lastRun.reason, 'scrape NK Maribor vs NK Bravo');
+        assert.equal(scheduler.getStatus().nextRun.kind, 'recheck');
+    });
+
+    it('stays idle when disabled', async () => {
+        scheduler = createScheduler([BRAVO], async () => []);
+        scheduler.settings = { ...scheduler.settings, enabled: false };
+        await scheduler.start();
+
+        assert.equal(scheduler.api.getFixtures.mock.callCount(), 0);
+        assert.equal(scheduler.getStatus().enabled, false);
+    });
+});
+
+describe('schedule settings', () => {
+    const load = (options) => loadConfig({ argv: [], env: {}, configPath: path.join(FIXTURES_DIR, 'scraper.config.json'), ...options });
+
+    it('accept runs at kickoff but reject a fixture refresh without a delay', () => {
+        assert.equal(load({ argv: ['--scrape-delay', '0'] }).schedule.delayMinutes, 0);
+
+        const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-config-')), 'scraper.config.json');
+        const fileConfig = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'scraper.config.json'), 'utf8'));
+        fs.writeFileSync(configPath, JSON.stringify({ ...fileConfig, schedule: { ...fileConfig.schedule, refreshHours: 0 } }));
+        assert.throws(() => load({ configPath }), /Invalid schedule\.refreshHours: 0/);
+    });
+
+    it('reject negative, non-numeric and infinite delays', () => {
+        assert.throws(() => load({ argv: ['--scrape-delay', '-5'] }), /Invalid schedule\.delayMinutes: -5/);
+        assert.throws(() => load({ argv: ['--recheck-delay', 'soon'] }), /Invalid schedule\.recheckMinutes: NaN/);
+        assert.throws(() => load({ env: { SCRAPE_RECHECK_MINUTES: 'Infinity' } }), /Invalid schedule\.recheckMinutes: Infinity/);
+    });
+});
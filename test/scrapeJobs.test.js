@@ -0,0 +1,329 @@
+// test/scrapeJobs.test.js - Background scrape jobs: progress, concurrency guard and cancellation
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScrapeJobManager = require('../src/scrapeJobs');
+const MariborScraper = require('../src/scraper');
+const BrowserPool = require('../src/browserPool');
+const { GamesDatabase } = require('../src/storage/gamesDatabase');
+const { loadConfig } = require('../src/config');
+const { FIXTURES_DIR } = require('./helpers/fixture-page');
+const { startStubApi } = require('./helpers/stub-api');
+
+const MATCH_URL = 'https://www.sofascore.com/football/match/nk-maribor-nk-olimpija-ljubljana/dFsLgb#id:13981734';
+
+// A scrape that reports one match, then waits until released
+function controllableScrape() {
+    let release;
+    const runScrape = mock.fn(({ onProgress, signal }) => {
+        onProgress({ type: 'match', index: 1, total: 2, teams: 'NK Maribor vs NK Bravo', message: 'Match 1/2' });
+        return new Promise((resolve, reject) => {
+            release = () => resolve([{ id: 'a' }]);
+            signal.addEventListener('abort', () => reject(new Error('Scrape cancelled')));
+        });
+    });
+    return { runScrape, release: () => release() };
+}
+
+describe('ScrapeJobManager', () => {
+    it('runs a job in the background and records its progress', async () => {
+        const { runScrape, release } = controllableScrape();
+        const jobs = new ScrapeJobManager({ runScrape });
+        const events = [];
+        jobs.on('progress', (job, event) => events.push(event.type));
+
+        const job = jobs.start('manual', { full: true });
+        assert.equal(job.status, 'running');
+        assert.equal(runScrape.mock.calls[0].arguments[0].full, true);
+        assert.deepEqual(jobs.describe(job).progress, { index: 1, total: 2, teams: 'NK Maribor vs NK Bravo' });
+
+        release();
+        await job.done;
+
+        assert.equal(job.status, 'completed');
+        assert.equal(job.gamesCount, 1);
+        assert.deepEqual(events, ['match']);
+        assert.equal(jobs.get(job.id), job);
+        assert.equal(jobs.active, null);
+    });
+
+    it('refuses to start a second run while one is active', async () => {
+        const { runScrape, release } = controllableScrape();
+        const jobs = new ScrapeJobManager({ runScrape });
+        const first = jobs.start('manual');
+
+        assert.throws(() => jobs.start('scheduled'), error => error.code === 'SCRAPE_RUNNING' && error.job === first);
+        assert.equal(runScrape.mock.callCount(), 1);
+
+        release();
+        await first.done;
+        const second = jobs.start('manual');
+        assert.notEqual(second.id, first.id);
+    });
+
+    it('takes progress listeners from any number of stream clients without a leak warning', () => {
+        const jobs = new ScrapeJobManager({ runScrape: async () => [] });
+
+        for (let i = 0; i < 20; i++) {
+            jobs.on('progress', () => {});
+            jobs.on('end', () => {});
+        }
+
+        assert.equal(jobs.listenerCount('progress'), 20);
+        // 0 turns off the MaxListenersExceededWarning check
+        assert.equal(jobs.getMaxListeners(), 0);
+    });
+
+    it('cancels a running job', async () => {
+        const { runScrape } = controllableScrape();
+        const jobs = new ScrapeJobManager({ runScrape });
+        const job = jobs.start('manual');
+
+        assert.equal(jobs.cancel(job.id), true);
+        await job.done;
+
+        assert.equal(job.status, 'cancelled');
+        assert.equal(jobs.cancel(job.id), false);
+        assert.equal(jobs.cancel('unknown'), false);
+    });
+
+    it('marks a job failed when the scrape throws', async () => {
+        const jobs = new ScrapeJobManager({ runScrape: async () => { throw new Error('Navigation failed'); } });
+        const job = jobs.start('manual');
+        await job.done;
+
+        assert.equal(job.status, 'failed');
+        assert.equal(jobs.describe(job).error, 'Navigation failed');
+    });
+
+    it('passes a single match to the scrape', async () => {
+        const runScrape = mock.fn(async () => []);
+        const jobs = new ScrapeJobManager({ runScrape });
+        const job = jobs.start('manual (match 13981720)', { match: '13981720' });
+        await job.done;
+
+        assert.equal(runScrape.mock.calls[0].arguments[0].match, '13981720');
+        assert.equal(jobs.describe(job).match, '13981720');
+    });
+});
+
+describe('MariborScraper runs', () => {
+    let stub;
+    let database;
+    let config;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        stub = await startStubApi();
+        database = new GamesDatabase(':memory:');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-run-'));
+        const loaded = loadConfig({ argv: ['--api-url', stub.url], env: {}, configPath: path.join(FIXTURES_DIR, 'scraper.config.json') });
+        config = {
+            ...loaded,
+            source: 'api',
+            // One match at a time keeps the order of progress events fixed
+            browser: { ...loaded.browser, concurrency: 1 },
+            dataPath: path.join(dir, 'games.json'),
+            playersDataPath: path.join(dir, 'players.json')
+        };
+    });
+
+    afterEach(async () => {
+        database.close();
+        await stub.close();
+    });
+
+    it('reports each match and the saved total', async () => {
+        const events = [];
+        const scraper = new MariborScraper({ config, database, onProgress: event => events.push(event) });
+        const games = await scraper.scrapeGames();
+
+        const matches = events.filter(event => event.type === 'match-done');
+        assert.equal(matches.length, 4);
+        assert.deepEqual(matches[0], { ...matches[0], index: 1, total: 4, success: true, players: 14 });
+        assert.equal(events.at(-1).type, 'saved');
+        assert.equal(events.at(-1).gamesCount, games.length);
+    });
+
+    describe('incremental runs', () => {
+        const KOS_ID = 900110;
+        const kosRating = () => database.getGame('dFsLgb#id:13981734').players.find(player => player.playerId === KOS_ID).rating;
+
+        // A full run stores every match, then Kos's rating is made stale so a re-scrape shows
+        beforeEach(async () => {
+            await new MariborScraper({ config, database, full: true }).scrapeGames();
+            const game = database.getGame('dFsLgb#id:13981734');
+            database.saveGames([{ ...game, players: game.players.map(player => player.playerId === KOS_ID ? { ...player, rating: 6.0 } : player) }]);
+            stub.requests.length = 0;
+        });
+
+        it('skips matches that already have ratings and scrapes the others again', async () => {
+            const rated = database.getGames().filter(game => game.hasRatings).map(game => game.id);
+            const scraper = new MariborScraper({ config, database, runId: 'incremental' });
+            await scraper.scrapeGames();
+
+            assert.deepEqual(rated, ['dFsLgb#id:13981734']);
+            assert.ok(!stub.requests.some(endpoint => endpoint.startsWith('/event/13981734')));
+            assert.ok(stub.requests.includes('/event/13981701'));
+            assert.ok(stub.requests.includes('/event/13981720'));
+            assert.ok(stub.requests.includes('/event/13981690'));
+            assert.equal(kosRating(), 6.0);
+            assert.deepEqual([database.getRun('incremental').found, database.getRun('incremental').skipped], [4, 1]);
+        });
+
+        it('keeps a stored record with ratings when a re-scrape returns none', async () => {
+            const celje = database.getGame('pKsEbQ#id:13981720');
+            database.saveGames([{ ...celje, hasRatings: true, players: [{ name: 'Žan Kos', playerId: KOS_ID, rating: 7.5, position: 'Forward', stats: {} }] }]);
+
+            const game = await new MariborScraper({ config, database }).scrapeSingleMatch('13981720');
+
+            assert.ok(stub.requests.includes('/event/13981720'));
+            assert.equal(game.hasRatings, true);
+            assert.deepEqual(database.getGame('pKsEbQ#id:13981720').players.map(player => player.rating), [7.5]);
+        });
+
+        it('rebuilds every match with --full and drops games no longer listed', async () => {
+            const stale = { ...database.getGame('pKsEbQ#id:13981720'), id: 'old#id:1', url: 'https://www.sofascore.com/football/match/old/old#id:1' };
+            database.saveGames([stale]);
+
+            await new MariborScraper({ config, database, full: true }).scrapeGames();
+
+            assert.ok(stub.requests.includes('/event/13981734/lineups'));
+            assert.equal(kosRating(), 8.4);
+            assert.equal(database.getGame('old#id:1'), null);
+            assert.equal(database.getGames().length, 4);
+        });
+    });
+
+    it('scrapes several matches at once and stores them in match list order', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const onProgress = (event) => {
+            if (event.type === 'match') maxInFlight = Math.max(maxInFlight, ++inFlight);
+            if (event.type === 'match-done') inFlight--;
+        };
+        const sequential = await new MariborScraper({ config, database }).scrapeGames();
+
+        const scraper = new MariborScraper({ config: { ...config, browser: { ...config.browser, concurrency: 3 } }, database, full: true, onProgress });
+        const games = await scraper.scrapeGames();
+
+        assert.equal(maxInFlight, 3);
+        assert.deepEqual(games.map(game => game.id), sequential.map(game => game.id));
+    });
+
+    it('saves a run report with the outcome of every candidate match', async () => {
+        await stub.close();
+        stub = await startStubApi({ failures: { '/event/13981701/lineups': 500 } });
+        config.apiBaseUrl = stub.url;
+        const scraper = new MariborScraper({ config, database, runId: 'run-1', reason: 'scheduled' });
+        await scraper.scrapeGames();
+
+        const [run] = database.getRuns();
+        assert.deepEqual([run.id, run.reason, run.status, run.found, run.skipped], ['run-1', 'scheduled', 'partial', 4, 0]);
+        assert.deepEqual(run.summary, { ok: 1, error: 1, 'no-ratings': 2 });
+        const failed = database.getRun('run-1').matches.find(match => match.outcome === 'error');
+        assert.deepEqual(
+            [failed.eventId, failed.source, failed.attempts, failed.error],
+            ['13981701', 'api', 1, 'Request failed with status code 500']
+        );
+    });
+
+    it('records a match whose browser fallback cannot start and still saves the others', async () => {
+        await stub.close();
+        stub = await startStubApi({ failures: { '/event/13981701/lineups': 500 } });
+        config = { ...config, apiBaseUrl: stub.url, source: 'auto' };
+        const scraper = new MariborScraper({ config, database, runId: 'run-2' });
+        scraper.createPool = () => new BrowserPool({
+            launch: async () => { throw new Error('Failed to launch the browser process!'); }
+        });
+
+        const games = await scraper.scrapeGames();
+
+        assert.ok(games.some(game => game.id === 'dFsLgb#id:13981734' && game.hasRatings));
+        assert.ok(!games.some(game => game.url.endsWith('#id:13981701')));
+        const run = database.getRun('run-2');
+        const failed = run.matches.find(match => match.eventId === '13981701');
+        assert.deepEqual([run.status, failed.outcome, failed.source, failed.error],
+            ['partial', 'error', 'browser', 'Failed to launch the browser process!']);
+    });
+
+    it('starts every run of the same scraper without the failures and responses of the last one', async () => {
+        const failures = { '/event/13981701/lineups': 500 };
+        await stub.close();
+        stub = await startStubApi({ failures });
+        const scraper = new MariborScraper({ config: { ...config, apiBaseUrl: stub.url }, database, full: true });
+        await scraper.scrapeGames();
+        assert.deepEqual(scraper.failedMatches.map(match => match.eventId), ['13981701']);
+
+        // The lineups answer again by the next run
+        delete failures['/event/13981701/lineups'];
+        scraper.capturedResponses.set('13981701/lineups', { confirmed: false });
+        await scraper.scrapeGames();
+
+        assert.deepEqual(scraper.failedMatches, []);
+        assert.equal(scraper.capturedResponses.size, 0);
+    });
+
+    it('stops after the current match when cancelled and keeps what it scraped', async () => {
+        const controller = new AbortController();
+        const onProgress = (event) => {
+            if (event.type === 'match-done') controller.abort();
+        };
+        const scraper = new MariborScraper({ config, database, onProgress, signal: controller.signal });
+
+        await assert.rejects(scraper.scrapeGames(), error => error.cancelled === true);
+        assert.deepEqual(database.getGames().map(game => game.id), ['dFsLgb#id:13981734']);
+        assert.equal(database.getRuns()[0].status, 'cancelled');
+    });
+
+    it('records a run as cancelled when the cancellation makes its work fail', async () => {
+        const controller = new AbortController();
+        // Aborting closes the browser pool, so in-flight work fails with its own error
+        const onProgress = (event) => {
+            if (event.type === 'match') controller.abort();
+        };
+        const scraper = new MariborScraper({ config: { ...config, source: 'browser' }, database, onProgress, signal: controller.signal, runId: 'cut-short' });
+        scraper.createPool = () => new BrowserPool({ launch: () => new Promise(() => {}) });
+
+        await assert.rejects(scraper.scrapeSingleMatch(MATCH_URL), error => error.cancelled === true);
+        assert.equal(database.getRun('cut-short').status, 'cancelled');
+    });
+
+    it('scrapes a single match by event id or URL and upserts it', async () => {
+        database.saveGames([{
+            id: 'dFsLgb#id:13981734',
+            url: MATCH_URL,
+            date: '10/08/2025',
+            homeTeam: 'NK Maribor',
+            awayTeam: 'NK Olimpija Ljubljana',
+            score: '2 - 1',
+            players: [],
+            hasRatings: false
+        }]);
+        const scraper = new MariborScraper({ config, database });
+
+        // A match not stored yet goes first
+        const added = await scraper.scrapeSingleMatch('13981720');
+        assert.equal(added.id, 'pKsEbQ#id:13981720');
+        assert.deepEqual(database.getGames().map(game => game.id), ['pKsEbQ#id:13981720', 'dFsLgb#id:13981734']);
+        assert.ok(!stub.requests.includes('/event/13981701'));
+
+        // A stored one is replaced in place
+        const replaced = await scraper.scrapeSingleMatch(MATCH_URL);
+        assert.equal(replaced.players.length, 14);
+        assert.deepEqual(database.getGames().map(game => [game.id, game.hasRatings]), [
+            ['pKsEbQ#id:13981720', false],
+            ['dFsLgb#id:13981734', true]
+        ]);
+    });
+
+    it('refuses a single match that is not a valid match of ours', async () => {
+        const scraper = new MariborScraper({ config: { ...config, team: { ...config.team, id: 4906 } }, database });
+
+        await assert.rejects(scraper.scrapeSingleMatch('13981720'), error => error.code === 'INVALID_MATCH');
+        await assert.rejects(scraper.scrapeSingleMatch('not-a-match'), /Not a SofaScore match URL/);
+        assert.deepEqual(database.getGames(), []);
+    });
+});
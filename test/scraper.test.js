@@ -0,0 +1,312 @@
+// test/scraper.test.js - Offline tests for the scraper's DOM extraction against saved SofaScore fixtures
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MariborScraper = require('../src/scraper');
+const { RunReport } = require('../src/runReport');
+const { loadConfig } = require('../src/config');
+const { FixturePage, FIXTURE_WAITS, FIXTURES_DIR } = require('./helpers/fixture-page');
+
+const MATCH_URL = 'https://www.sofascore.com/football/match/nk-maribor-nk-olimpija-ljubljana/dFsLgb#id:13981734';
+const SUMMARY_URL = 'https://www.sofascore.com/football/match/nk-celje-nk-maribor/pKsEbQ#id:13981720';
+
+function createScraper(page) {
+    const config = loadConfig({ argv: [], env: {}, configPath: path.join(FIXTURES_DIR, 'scraper.config.json') });
+    const scraper = new MariborScraper({ config });
+    scraper.page = page;
+    scraper.screenshotsPath = path.join(os.tmpdir(), 'maribor-scraper-test-screenshots');
+    scraper.waitOptions = FIXTURE_WAITS;
+    return scraper;
+}
+
+describe('MariborScraper DOM extraction', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    describe('getQualifiedGames', () => {
+        it('returns finished matches inside the season window, newest first', async () => {
+            const scraper = createScraper(FixturePage.load('team-page.html'));
+            const games = await scraper.getQualifiedGames();
+
+            assert.deepEqual(games.map(game => game.teams), [
+                'NK Maribor NK Olimpija Ljubljana',
+                'NK Celje NK Maribor',
+                'NK Maribor FC Koper'
+            ]);
+            assert.equal(games[0].url, MATCH_URL);
+            assert.equal(games[0].dateString, new Date(2025, 7, 10).toLocaleDateString());
+        });
+
+        it('skips fixtures that are not finished and matches before the start date', async () => {
+            const scraper = createScraper(FixturePage.load('team-page.html'));
+            const games = await scraper.getQualifiedGames();
+
+            assert.ok(!games.some(game => game.teams.includes('Sturm Graz')));
+            assert.ok(!games.some(game => game.url.includes('14000001')));
+        });
+
+        it('honours the configured end date', async () => {
+            const scraper = createScraper(FixturePage.load('team-page.html'));
+            scraper.endDate = new Date('2025-08-05');
+            const games = await scraper.getQualifiedGames();
+
+            assert.deepEqual(games.map(game => game.teams), ['NK Celje NK Maribor', 'NK Maribor FC Koper']);
+        });
+    });
+
+    describe('navigateToStats', () => {
+        it('verifies the player statistics table', async () => {
+            const scraper = createScraper(FixturePage.load('player-stats.html', MATCH_URL));
+            assert.equal(await scraper.navigateToStats(), true);
+        });
+
+        it('fails verification and takes a debug screenshot when there is no stats table', async () => {
+            const page = FixturePage.load('match-page.html', SUMMARY_URL);
+            const scraper = createScraper(page);
+
+            assert.equal(await scraper.navigateToStats(), false);
+            assert.equal(page.screenshots.length, 1);
+            assert.match(page.screenshots[0], /debug-failed-navigation-\d+\.png$/);
+            assert.deepEqual(scraper.navigationFailure, { outcome: 'table-verification-failed', screenshot: page.screenshots[0] });
+        });
+    });
+
+    describe('extractMariborPlayers', () => {
+        it('extracts only rated players of the configured team', async () => {
+            const scraper = createScraper(FixturePage.load('player-stats.html', MATCH_URL));
+            const players = await scraper.extractMariborPlayers();
+
+            assert.equal(players.length, 14);
+            assert.ok(!players.some(player => player.name === 'Raul Florucz'));
+            assert.ok(!players.some(player => player.name === 'Tim Lesjak'));
+        });
+
+        it('captures names, ratings, positions and minutes sorted by rating', async () => {
+            const scraper = createScraper(FixturePage.load('player-stats.html', MATCH_URL));
+            const players = await scraper.extractMariborPlayers();
+
+            const { stats, ...best } = players[0];
+            assert.deepEqual(best, {
+                name: 'Žan Kos',
+                playerId: 900110,
+                rating: 8.4,
+                position: 'Forward',
+                minutesPlayed: 90,
+                isStartingXI: true
+            });
+
+            const byName = Object.fromEntries(players.map(player => [player.name, player]));
+            assert.equal(byName['Ažbe Jug'].position, 'Goalkeeper');
+            assert.equal(byName['Luka Kraljić'].position, 'Defender');
+            assert.equal(byName['Marko Božič'].position, 'Midfielder');
+            assert.equal(byName['Matej Golob'].minutesPlayed, 25);
+            assert.equal(byName['Matej Golob'].rating, 6.9);
+        });
+
+        it('captures the SofaScore player id from each row link', async () => {
+            const scraper = createScraper(FixturePage.load('player-stats.html', MATCH_URL));
+            const players = await scraper.extractMariborPlayers();
+
+            const byName = Object.fromEntries(players.map(player => [player.name, player.playerId]));
+            assert.equal(byName['Ažbe Jug'], 900101);
+            assert.equal(byName['Luka Rozman'], 900114);
+            assert.ok(players.every(player => Number.isInteger(player.playerId)));
+        });
+
+        it('captures every statistics column as numeric stats', async () => {
+            const scraper = createScraper(FixturePage.load('player-stats.html', MATCH_URL));
+            const players = await scraper.extractMariborPlayers();
+
+            assert.deepEqual(players[0].stats, {
+                minutesPlayed: 90,
+                goals: 1,
+                assists: 1,
+                accuratePasses: 15,
+                passes: 20,
+                rating: 8.4
+            });
+        });
+
+        it('detects team rows by the configured team id', async () => {
+            const scraper = createScraper(FixturePage.load('player-stats.html', MATCH_URL));
+            scraper.team = { id: 4906, slug: 'nk-olimpija-ljubljana', name: 'NK Olimpija Ljubljana', keywords: ['olimpija'] };
+            const players = await scraper.extractMariborPlayers();
+
+            assert.equal(players.length, 11);
+            assert.equal(players[0].name, 'Raul Florucz');
+        });
+    });
+
+    describe('lineup step', () => {
+        const readApiFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'api', name), 'utf8'));
+
+        it('records the lineup from the JSON the lineup tab loaded', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html' });
+            const scraper = createScraper(page);
+            scraper.capturedResponses.set('13981734/lineups', readApiFixture('event/13981734/lineups.json'));
+            scraper.capturedResponses.set('13981734/incidents', readApiFixture('event/13981734/incidents.json'));
+
+            const game = await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+            const byName = Object.fromEntries(game.players.map(player => [player.name, player]));
+
+            assert.equal(game.lineup.formation, '4-2-3-1');
+            assert.equal(game.lineup.startingXI[0].slot, 'GK');
+            assert.equal(game.lineup.substitutions.length, 4);
+            assert.equal(byName['Andrej Pavlič'].isStartingXI, true);
+            assert.equal(byName['Gal Hribar'].isStartingXI, false);
+            assert.equal(byName['Žan Kos'].shirtNumber, 9);
+            assert.equal(byName['Nejc Vidmar'].formationSlot, 'CAM');
+        });
+
+        it('records match events and both lineups from the JSON the match page loaded', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html' });
+            const scraper = createScraper(page);
+            scraper.capturedResponses.set('13981734/event', readApiFixture('event/13981734.json'));
+            scraper.capturedResponses.set('13981734/lineups', readApiFixture('event/13981734/lineups.json'));
+            scraper.capturedResponses.set('13981734/incidents', readApiFixture('event/13981734/incidents.json'));
+
+            const game = await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+
+            assert.equal(game.score, '2 - 1');
+            assert.equal(game.halftimeScore, '1 - 0');
+            assert.deepEqual(game.events.filter(event => event.type === 'goal').map(goal => [goal.minute, goal.player]), [
+                [23, 'Nejc Vidmar'],
+                [58, 'Raul Florucz'],
+                [77, 'Žan Kos']
+            ]);
+            assert.equal(game.opponent.lineup.formation, '4-4-2');
+            assert.equal(game.opponent.players.find(player => player.name === 'Raul Florucz').rating, 7.2);
+        });
+
+        it('falls back to the formation shown on the pitch view', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html' });
+            const scraper = createScraper(page);
+
+            const game = await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+
+            assert.deepEqual(game.lineup, { formation: '4-2-3-1', startingXI: [], bench: [], substitutions: [] });
+            assert.equal(game.opponent, null);
+            assert.deepEqual(game.events, []);
+            // Without lineup data the minutes heuristic still applies
+            assert.equal(game.players.find(player => player.name === 'Andrej Pavlič').isStartingXI, false);
+        });
+    });
+
+    describe('scrapeGame', () => {
+        it('builds a game record with teams, score and players', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html' });
+            const scraper = createScraper(page);
+            const game = await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+
+            assert.equal(game.id, 'dFsLgb#id:13981734');
+            assert.equal(game.homeTeam, 'NK Maribor');
+            assert.equal(game.awayTeam, 'NK Olimpija Ljubljana');
+            assert.equal(game.score, '2 - 1');
+            assert.equal(game.hasRatings, true);
+            assert.equal(game.players.length, 14);
+        });
+
+        it('records how long each readiness step took', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html' });
+            const scraper = createScraper(page);
+            await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+
+            const steps = Object.fromEntries(scraper.stepTimings.map(({ step, ok }) => [step, ok]));
+            // The static fixture is ready at once; only the lineups JSON never arrives
+            assert.deepEqual(
+                [steps.page, steps.lineupTab, steps.navigation, steps.statsTable, steps.lineupData],
+                [true, true, true, true, false]
+            );
+            assert.ok(scraper.stepTimings.every(({ durationMs }) => durationMs >= 0));
+        });
+
+        it('records which selector strategy found each target', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html' });
+            const scraper = createScraper(page);
+            await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+
+            assert.deepEqual(scraper.strategyHits, [
+                { target: 'lineupTab', strategy: '2025.1/en/nav-container' },
+                { target: 'statsTab', strategy: '2025.1/en/tab-text' },
+                { target: 'statsTable', strategy: '2025.1/any/rated-rows' }
+            ]);
+        });
+
+        it('returns a record without players when the match has no ratings', async () => {
+            const page = new FixturePage({ [SUMMARY_URL]: 'match-page.html' });
+            const scraper = createScraper(page);
+            const game = await scraper.scrapeGame({ url: SUMMARY_URL, dateString: '03/08/2025' });
+
+            assert.equal(game.homeTeam, 'NK Celje');
+            assert.equal(game.awayTeam, 'NK Maribor');
+            assert.equal(game.score, '1 - 1');
+            assert.equal(game.hasRatings, false);
+            assert.deepEqual(game.players, []);
+        });
+
+        it('tags the game with competition, round and venue from the match page', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats.html', [SUMMARY_URL]: 'match-page.html' });
+            const scraper = createScraper(page);
+            const home = await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+            const away = await scraper.scrapeGame({ url: SUMMARY_URL, dateString: '03/08/2025' });
+
+            assert.deepEqual(home.competition, { id: 212, name: 'Prva Liga', slug: 'prva-liga' });
+            assert.deepEqual([home.round, home.venue], ['Round 4', 'home']);
+            assert.deepEqual([away.round, away.venue], ['Round 3', 'away']);
+        });
+    });
+
+    describe('Slovenian match page', () => {
+        it('finds the tabs, round, positions and statistics columns by their Slovenian names', async () => {
+            const page = new FixturePage({ [MATCH_URL]: 'player-stats-sl.html' });
+            const scraper = createScraper(page);
+            const game = await scraper.scrapeGame({ url: MATCH_URL, dateString: '10/08/2025' });
+
+            assert.deepEqual(scraper.locales, ['sl', 'en']);
+            assert.deepEqual([game.awayTeam, game.round, game.hasRatings, game.players.length], ['NK Olimpija Ljubljana', 'Round 4', true, 14]);
+            assert.deepEqual(scraper.strategyHits.map(hit => hit.strategy), [
+                '2025.1/sl/nav-container',
+                '2025.1/sl/tab-text',
+                '2025.1/any/rated-rows'
+            ]);
+
+            const byName = Object.fromEntries(game.players.map(player => [player.name, player]));
+            assert.deepEqual(['Ažbe Jug', 'Luka Kraljić', 'Marko Božič', 'Žan Kos'].map(name => byName[name].position),
+                ['Goalkeeper', 'Defender', 'Midfielder', 'Forward']);
+            assert.deepEqual(byName['Žan Kos'].stats, {
+                minutesPlayed: 90,
+                goals: 1,
+                assists: 1,
+                accuratePasses: 15,
+                passes: 20,
+                rating: 8.4
+            });
+        });
+    });
+
+    describe('run report', () => {
+        it('records why every browser attempt at a match failed', async () => {
+            const config = loadConfig({ argv: ['--source', 'browser'], env: {}, configPath: path.join(FIXTURES_DIR, 'scraper.config.json') });
+            const scraper = new MariborScraper({ config });
+            scraper.runReport = new RunReport();
+            scraper.pool = { withPage: task => task(null, new AbortController().signal) };
+            scraper.scrapeGame = mock.fn(async () => {
+                throw Object.assign(new Error('Navigation failed: stats-tab-missing'), {
+                    outcome: 'stats-tab-missing',
+                    screenshot: '/tmp/debug-stats-tab-missing-1.png'
+                });
+            });
+
+            assert.equal(await scraper.scrapeMatch({ url: SUMMARY_URL, teams: 'NK Celje vs NK Maribor' }), null);
+            const [entry] = scraper.runReport.matches;
+            assert.equal(scraper.scrapeGame.mock.callCount(), 3);
+            assert.deepEqual(
+                [entry.eventId, entry.outcome, entry.source, entry.attempts, entry.screenshot],
+                ['13981720', 'stats-tab-missing', 'browser', 3, '/tmp/debug-stats-tab-missing-1.png']
+            );
+        });
+    });
+});
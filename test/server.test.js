@@ -0,0 +1,68 @@
+// test/server.test.js - HTTP routes against a temporary database
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURES_DIR } = require('./helpers/fixture-page');
+
+describe('server routes', () => {
+    let server;
+    let baseUrl;
+    let app;
+
+    before(async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+        Object.assign(process.env, {
+            SCRAPER_CONFIG: path.join(FIXTURES_DIR, 'scraper.config.json'),
+            DATABASE_PATH: path.join(dir, 'maribor.db'),
+            OUTPUT_PATH: path.join(dir, 'games.json'),
+            PLAYERS_PATH: path.join(dir, 'players.json'),
+            LOG_PATH: path.join(dir, 'logs'),
+            LOG_LEVEL: 'error',
+            SCHEDULE_ENABLED: 'false'
+        });
+        app = require('../src/server');
+        server = app.app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        app.database.close();
+    });
+
+    const scrapeMatch = (match) => fetch(`${baseUrl}/api/scrape/match`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ match })
+    });
+
+    it('refuses a single-match scrape of something that is not a match URL or event id', async () => {
+        const response = await scrapeMatch('notanid');
+
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Not a SofaScore match URL \(with "#id:"\) or event id: notanid/);
+        assert.equal(app.jobs.latest(), null);
+    });
+
+    it('refuses a single-match scrape without a match', async () => {
+        const response = await scrapeMatch('');
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error, 'Missing match URL or event id');
+    });
+
+    it('heads exports in the language asked for and refuses unknown ones', async () => {
+        // fetch's text() would drop the byte order mark
+        const download = async (query) => Buffer.from(await (await fetch(`${baseUrl}/api/export/appearances?${query}`)).arrayBuffer()).toString('utf8');
+
+        assert.ok((await download('format=csv&lang=sl')).startsWith('\uFEFFDatum,Tekmovanje,Krog,Prizorišče,Nasprotnik'));
+        assert.ok((await download('format=csv')).startsWith('\uFEFFDate,Competition,Round,Venue,Opponent'));
+
+        const response = await fetch(`${baseUrl}/api/export/appearances?format=csv&lang=de`);
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error, 'Unknown lang "de", expected one of en, sl');
+    });
+});
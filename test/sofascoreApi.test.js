@@ -0,0 +1,262 @@
+// test/sofascoreApi.test.js - JSON API data source and browser fallback against a local stand-in API
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const MariborScraper = require('../src/scraper');
+const SofascoreApiSource = require('../src/sources/sofascoreApi');
+const { loadConfig } = require('../src/config');
+const BrowserPool = require('../src/browserPool');
+const { fixtureLauncher, FIXTURE_WAITS, FIXTURES_DIR } = require('./helpers/fixture-page');
+const { startStubApi } = require('./helpers/stub-api');
+
+const MATCH_URL = 'https://www.sofascore.com/football/match/nk-maribor-nk-olimpija-ljubljana/dFsLgb#id:13981734';
+
+function createConfig(apiBaseUrl, overrides = {}) {
+    const config = loadConfig({
+        argv: ['--api-url', apiBaseUrl],
+        env: {},
+        configPath: path.join(FIXTURES_DIR, 'scraper.config.json')
+    });
+    return { ...config, ...overrides };
+}
+
+describe('SofascoreApiSource', () => {
+    let stub;
+    let api;
+
+    before(async () => {
+        stub = await startStubApi();
+        api = new SofascoreApiSource(createConfig(stub.url));
+    });
+
+    after(() => stub.close());
+
+    it('lists finished matches in the season window, newest first', async () => {
+        const games = await api.getQualifiedGames();
+
+        assert.deepEqual(games.map(game => game.eventId), [13981734, 13981720, 13981701, 13981690]);
+        assert.equal(games[0].url, MATCH_URL);
+        assert.equal(games[0].teams, 'NK Maribor vs NK Olimpija Ljubljana');
+    });
+
+    it('lists upcoming and recently started fixtures for the scheduler, oldest first', async () => {
+        const fixtures = await api.getFixtures(new Date('2025-08-05'));
+
+        assert.deepEqual(fixtures.map(fixture => fixture.eventId), [13981734, 13981750, 13981766]);
+        assert.equal(fixtures[1].teams, 'NK Maribor vs NK Bravo');
+        assert.equal(fixtures[1].kickoff.toISOString(), '2025-08-17T20:15:00.000Z');
+        assert.equal(fixtures[1].url, 'https://www.sofascore.com/football/match/nk-maribor-nk-bravo/vBsLmc#id:13981750');
+    });
+
+    it('stops paging once it reaches matches before the start date', async () => {
+        stub.requests.length = 0;
+        await api.getQualifiedGames();
+
+        assert.deepEqual(stub.requests, ['/team/2420/events/last/0', '/team/2420/events/last/1']);
+    });
+
+    it('builds a game record from event details and lineups', async () => {
+        const [gameInfo] = await api.getQualifiedGames();
+        const game = await api.scrapeGame(gameInfo);
+
+        assert.equal(game.id, 'dFsLgb#id:13981734');
+        assert.equal(game.homeTeam, 'NK Maribor');
+        assert.equal(game.awayTeam, 'NK Olimpija Ljubljana');
+        assert.equal(game.score, '2 - 1');
+        assert.equal(game.hasRatings, true);
+        assert.equal(game.players.length, 14);
+        const { stats, ...best } = game.players[0];
+        assert.deepEqual(best, {
+            name: 'Žan Kos',
+            playerId: 900110,
+            rating: 8.4,
+            position: 'Forward',
+            minutesPlayed: 90,
+            isStartingXI: true,
+            shirtNumber: 9,
+            formationSlot: 'ST',
+            detailedPosition: 'ST'
+        });
+        assert.deepEqual(stats, {
+            minutesPlayed: 90,
+            rating: 8.4,
+            goals: 1,
+            assists: 1,
+            passes: 20,
+            accuratePasses: 15,
+            shotsOnTarget: 3,
+            shots: 3
+        });
+    });
+
+    it('records the real starting XI, bench, substitutions and formation', async () => {
+        const [gameInfo] = await api.getQualifiedGames();
+        const game = await api.scrapeGame(gameInfo);
+        const byName = Object.fromEntries(game.players.map(player => [player.name, player]));
+
+        assert.equal(game.lineup.formation, '4-2-3-1');
+        assert.equal(game.lineup.startingXI.length, 11);
+        assert.equal(game.lineup.bench.length, 5);
+        assert.deepEqual(game.lineup.substitutions.map(sub => [sub.minute, sub.playerIn, sub.playerOut]), [
+            [40, 'Gal Hribar', 'Andrej Pavlič'],
+            [65, 'Matej Golob', 'Rok Zupan'],
+            [71, 'Luka Rozman', 'Jošt Petek'],
+            [88, 'Tim Lesjak', 'Tilen Žnidar']
+        ]);
+
+        // Subbed off before half-time, but still a starter
+        assert.equal(byName['Andrej Pavlič'].isStartingXI, true);
+        assert.equal(byName['Andrej Pavlič'].formationSlot, 'LB');
+        assert.equal(byName['Gal Hribar'].isStartingXI, false);
+        assert.equal(byName['Gal Hribar'].shirtNumber, 15);
+        // Substitutes get their role from the average positions
+        assert.equal(byName['Andrej Pavlič'].detailedPosition, 'FB');
+        assert.equal(byName['Gal Hribar'].detailedPosition, 'FB');
+    });
+
+    it('records goals with their assists, cards, substitutions and the halftime score', async () => {
+        const [gameInfo] = await api.getQualifiedGames();
+        const game = await api.scrapeGame(gameInfo);
+
+        assert.equal(game.halftimeScore, '1 - 0');
+        assert.deepEqual(game.events.filter(event => event.type === 'goal').map(goal =>
+            [goal.minute, goal.team, goal.player, goal.assist, goal.score]), [
+            [23, 'home', 'Nejc Vidmar', 'Žan Kos', '1 - 0'],
+            [58, 'away', 'Raul Florucz', 'Svit Sešlar', '1 - 1'],
+            [77, 'home', 'Žan Kos', 'Martin Milec', '2 - 1']
+        ]);
+        assert.deepEqual(game.events.filter(event => event.type === 'card').map(card =>
+            [card.minute, card.team, card.player, card.card]), [
+            [31, 'home', 'Marko Božič', 'yellow'],
+            [83, 'away', 'Agustín Doffo', 'yellow']
+        ]);
+        assert.deepEqual(game.events.find(event => event.type === 'substitution'), {
+            type: 'substitution',
+            minute: 40,
+            addedTime: null,
+            team: 'home',
+            playerIn: 'Gal Hribar',
+            playerOut: 'Andrej Pavlič',
+            injury: true
+        });
+    });
+
+    it('stores the opponent\'s lineup and ratings apart from our players', async () => {
+        const [gameInfo] = await api.getQualifiedGames();
+        const game = await api.scrapeGame(gameInfo);
+        const florucz = game.opponent.players.find(player => player.name === 'Raul Florucz');
+
+        assert.equal(game.opponent.lineup.formation, '4-4-2');
+        assert.equal(game.opponent.lineup.startingXI.length, 11);
+        assert.equal(florucz.rating, 7.2);
+        assert.equal(florucz.isStartingXI, true);
+        assert.equal('stats' in florucz, false);
+        assert.equal(game.players.some(player => player.name === 'Raul Florucz'), false);
+    });
+
+    it('returns a record without ratings when the match has no lineups', async () => {
+        const games = await api.getQualifiedGames();
+        const game = await api.scrapeGame(games.find(g => g.eventId === 13981720));
+
+        assert.equal(game.homeTeam, 'NK Celje');
+        assert.equal(game.score, '1 - 1');
+        assert.equal(game.hasRatings, false);
+        assert.deepEqual(game.players, []);
+        assert.equal(game.opponent, null);
+        assert.deepEqual(game.events, []);
+    });
+
+    it('records the opponent\'s league position, fetching each table once', async () => {
+        const source = new SofascoreApiSource(createConfig(stub.url));
+        const games = await source.getQualifiedGames();
+        stub.requests.length = 0;
+        const olimpija = await source.scrapeGame(games.find(g => g.eventId === 13981734));
+        const celje = await source.scrapeGame(games.find(g => g.eventId === 13981720));
+
+        assert.deepEqual([olimpija.opponentPosition, olimpija.leagueSize], [3, 10]);
+        assert.deepEqual([celje.opponentPosition, celje.leagueSize], [1, 10]);
+        assert.equal(stub.requests.filter(endpoint => endpoint.includes('/standings/')).length, 1);
+    });
+
+    it('tags each game with its competition, round and our venue', async () => {
+        const games = await api.getQualifiedGames();
+        const celje = await api.scrapeGame(games.find(g => g.eventId === 13981720));
+        const olimpija = await api.scrapeGame(games.find(g => g.eventId === 13981734));
+
+        assert.deepEqual(celje.competition, { id: 212, name: 'Prva Liga', slug: 'prva-liga' });
+        assert.equal(celje.round, 'Round 3');
+        assert.equal(celje.venue, 'away');
+        assert.equal(olimpija.venue, 'home');
+    });
+
+    it('looks up a single finished match of ours by event id', async () => {
+        const gameInfo = await api.getGameInfo('13981734');
+        assert.equal(gameInfo.url, MATCH_URL);
+        assert.equal(gameInfo.teams, 'NK Maribor vs NK Olimpija Ljubljana');
+
+        const otherTeam = new SofascoreApiSource(createConfig(stub.url, { team: { id: 4906, name: 'NK Olimpija Ljubljana' } }));
+        await assert.rejects(otherTeam.getGameInfo(13981720), error =>
+            error.code === 'INVALID_MATCH' && /NK Celje vs NK Maribor\) is not a NK Olimpija Ljubljana match/.test(error.message));
+    });
+});
+
+describe('MariborScraper data source selection', () => {
+    let stub;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => stub.close());
+
+    // Fixture pages play the role of Puppeteer; launch.pages lists the pages the browser opened
+    function createScraper(config, routes = { [MATCH_URL]: 'player-stats.html' }) {
+        const scraper = new MariborScraper({ config });
+        scraper.screenshotsPath = path.join(os.tmpdir(), 'maribor-scraper-test-screenshots');
+        scraper.waitOptions = FIXTURE_WAITS;
+        scraper.launch = fixtureLauncher(routes);
+        scraper.pool = new BrowserPool({ launch: scraper.launch });
+        return scraper;
+    }
+
+    it('uses the JSON API without opening a browser when it works', async () => {
+        stub = await startStubApi();
+        const scraper = createScraper(createConfig(stub.url));
+        const [gameInfo] = await scraper.getGameList();
+        const game = await scraper.scrapeMatch(gameInfo);
+
+        assert.equal(game.players.length, 14);
+        assert.equal(scraper.launch.pages.length, 0);
+    });
+
+    it('falls back to the browser for a match whose JSON request fails', async () => {
+        stub = await startStubApi({ failures: { '/event/13981734/lineups': 500 } });
+        const scraper = createScraper(createConfig(stub.url));
+        const [gameInfo] = await scraper.getGameList();
+        const game = await scraper.scrapeMatch(gameInfo);
+
+        assert.equal(scraper.launch.pages.length, 1);
+        assert.equal(game.id, 'dFsLgb#id:13981734');
+        assert.equal(game.players.length, 14);
+    });
+
+    it('does not fall back when the source is restricted to the API', async () => {
+        stub = await startStubApi({ failures: { '/event/13981734/lineups': 500 } });
+        const scraper = createScraper(createConfig(stub.url, { source: 'api' }));
+        const [gameInfo] = await scraper.getGameList();
+
+        assert.equal(await scraper.scrapeMatch(gameInfo), null);
+        assert.equal(scraper.launch.pages.length, 0);
+    });
+
+    it('falls back to the team page when the match list cannot be fetched', async () => {
+        stub = await startStubApi({ failures: { '/team/2420/events/last/0': 403 } });
+        const config = createConfig(stub.url);
+        const scraper = createScraper(config, { [config.teamUrl]: 'team-page.html' });
+        const games = await scraper.getGameList();
+
+        assert.equal(games.length, 3);
+        assert.equal(games[0].url, MATCH_URL);
+    });
+});
@@ -0,0 +1,63 @@
+// test/stats.test.js - Normalization of per-player statistics
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStatKey, parseStatValue, normalizeTableStats, normalizeApiStats } = require('../src/utils/stats');
+
+describe('stats normalization', () => {
+    it('maps known column labels and camel-cases unknown ones', () => {
+        assert.equal(normalizeStatKey('Sofascore Rating'), 'rating');
+        assert.equal(normalizeStatKey('Duels (won)'), 'duelsWon');
+        assert.equal(normalizeStatKey('Big chances created'), 'bigChancesCreated');
+        assert.equal(normalizeStatKey('Ball recoveries'), 'ballRecoveries');
+    });
+
+    it('parses counts, minutes, percentages, decimals and fractions', () => {
+        assert.deepEqual(parseStatValue('3'), { value: 3 });
+        assert.deepEqual(parseStatValue("78'"), { value: 78 });
+        assert.deepEqual(parseStatValue('87%'), { value: 87 });
+        assert.deepEqual(parseStatValue('0,45'), { value: 0.45 });
+        assert.deepEqual(parseStatValue('45/52 (87%)'), { value: 45, total: 52 });
+        assert.equal(parseStatValue('–'), null);
+        assert.equal(parseStatValue('Nejc Vidmar'), null);
+    });
+
+    it('splits fraction cells into made and attempted keys', () => {
+        assert.deepEqual(normalizeTableStats({
+            'Player': 'Nejc Vidmar',
+            'Accurate passes': '41/49 (84%)',
+            'Duels (won)': '5/9',
+            'Ball recoveries': '4/6',
+            'Sofascore Rating': '8.1'
+        }), {
+            accuratePasses: 41,
+            passes: 49,
+            duelsWon: 5,
+            duels: 9,
+            ballRecoveries: 4,
+            ballRecoveriesTotal: 6,
+            rating: 8.1
+        });
+    });
+
+    it('renames JSON API keys and skips non-numeric values', () => {
+        assert.deepEqual(normalizeApiStats({
+            rating: 7.437,
+            goalAssist: 1,
+            totalPass: 30,
+            accuratePass: 26,
+            shotOffTarget: 2,
+            blockedScoringAttempt: 1,
+            ratingVersions: { original: 7.4 },
+            ballRecovery: 5
+        }), {
+            rating: 7.4,
+            assists: 1,
+            passes: 30,
+            accuratePasses: 26,
+            shotsOffTarget: 2,
+            shotsBlocked: 1,
+            ballRecovery: 5,
+            shots: 3
+        });
+    });
+});